@@ -12,14 +12,34 @@ class AppState {
         this.totalSteps = 6;
         
         // Data storage
-        this.rawCsv = null;
+        this.parsedCsvData = null; // All parsed rows, before coordinate validation
         this.originalCsvData = null;
         this.filteredCsvData = null;
         this.areaSelectedCsvData = null;
         this.processedData = null;
+
+        // Loaded files, merged into parsedCsvData (with a source_file column when there are several)
+        this.dataSources = []; // [{ name, rows, columns }]
+        this.activeSourceIndex = 0; // Slot the current load writes to – sheet/layer/option changes rewrite it
+        this.addingSource = false; // Next load is added to dataSources instead of replacing them
+        this.replacingSources = false; // Current load replaces all files rather than rewriting its slot
+
+        // Coordinate column mapping (suggested after upload, can be overridden)
+        this.coordinateSource = 'columns'; // 'columns', 'combined' (one column with both), 'h3' (cell indexes) or 'geometry' for GeoJSON-like inputs
+        this.coordinateColumns = { latitude: null, longitude: null, combined: null, h3: null };
+        this.weightColumn = null; // Count or value each row adds to its hexagon; without one every row counts 1
+        this.computedColumns = []; // [{ name, expression, exportAs, error }] added to the rows, see applyComputedColumns
+        this.dataTable = this.createDataTableState(); // Search, sort and rows of the filter step's table
+        this.rowGeometries = new WeakMap(); // Row -> { lat, lon } (or null) for rows read from geometries
+        this.inputCrs = { code: 'EPSG:4326', utmZone: 32, utmSouth: false, definition: '' }; // Coordinate system of the columns
+        this.crsTransform = null; // (x, y) -> { lat, lon } when inputCrs isn't WGS84
+        this.projectedCoordinates = new WeakMap(); // Row -> reprojected { lat, lon }, reset with the mapping
+        this.validationReport = null; // Valid/rejected row counts from the last validation
         
         // Filter state
-        this.activeFilters = {};
+        this.filterTree = FilterTree.createGroup(); // Rules in AND/OR groups, see FilterTree
+        this.filterPresetWarning = null; // Columns missing for the last applied preset
+        this.columnProfiles = null; // { source, sampled, columns: { column: profile } } for originalCsvData
         
         // Spatial filter state
         this.spatialFilter = null;
@@ -28,6 +48,19 @@ class AppState {
         this.pointsLayer = null;
         this.maxPointsToDisplay = 10000; // Configurable threshold
 
+        // Duplicate removal before H3 assignment
+        this.deduplication = {
+            mode: 'off',        // 'off', 'exact' or 'near'
+            distance: 375,      // Metres (one VIIRS pixel)
+            timeTolerance: 30,  // Minutes
+            dateColumn: '',
+            timeColumn: '',
+            differColumn: '',   // Near duplicates must differ here, e.g. the satellite
+            keep: 'first',      // 'first', 'last', 'max' or 'min' of keepColumn
+            keepColumn: ''
+        };
+        this.deduplicationResult = null; // { source, key, kept, removed } for the current area selection
+
         // Configuration
         this.resolution = 5;
         this.binStep = 5;
@@ -58,9 +91,18 @@ class AppState {
         this.customColors = {};  // User modifications for download step only
 
         // Constants
-        this.maxFileSize = 100 * 1024 * 1024; // 100MB
-        this.maxRows = 500000; // 500,000 rows
-        this.previewRows = 50; // Preview limit for filter step
+        this.columnSelectionThreshold = 100 * 1024 * 1024; // Above 100MB, ask which columns to keep in memory
+        this.maxFilterValues = 100; // Values listed by the categorical filter; columns with more start with the text filter
+
+        // Running CSV worker, so the upload can be cancelled
+        this.csvParsing = null;
+
+        // File types accepted by the upload step
+        this.supportedFileExtensions = ['csv', 'xlsx', 'geojson', 'json', 'kml', 'kmz', 'zip', 'gz'];
+        this.excelWorkbook = null; // Opened workbook, kept for switching sheets
+        this.csvFile = null; // Last CSV file, kept to re-read it with other options
+        this.csvOptions = null; // { encoding, delimiter, decimalComma } used for csvFile
+        this.detectedCsvOptions = null; // What sniffing suggested for csvFile
 
 
         // Centralized DOM elements
@@ -250,15 +292,36 @@ class AppState {
     reset() {
         this.currentStep = 1;
 
-        this.rawCsv = null;
+        this.cancelCSVParsing();
+
+        this.parsedCsvData = null;
         this.originalCsvData = null;
         this.filteredCsvData = null;
         this.areaSelectedCsvData = null;
         this.processedData = null;
 
-        this.activeFilters = {};
+        this.dataSources = [];
+        this.activeSourceIndex = 0;
+        this.addingSource = false;
+        this.replacingSources = false;
+        this.coordinateSource = 'columns';
+        this.coordinateColumns = { latitude: null, longitude: null, combined: null, h3: null };
+        this.weightColumn = null;
+        this.computedColumns = [];
+        this.inputCrs = { code: 'EPSG:4326', utmZone: 32, utmSouth: false, definition: '' };
+        this.crsTransform = null;
+        this.validationReport = null;
+
+        this.filterTree = FilterTree.createGroup();
+        this.filterPresetWarning = null;
+        this.columnProfiles = null;
+        clearTimeout(this.dataTable.searchTimer);
+        this.dataTable = this.createDataTableState();
         this.spatialFilter = null;
 
+        this.deduplication.mode = 'off';
+        this.deduplicationResult = null;
+
         this.resolution = 2;
         this.binStep = 10;
         this.binCount = 10;
@@ -304,6 +367,8 @@ class AppState {
         
         // Set up sample data loading
         this.setupSampleDataLoading();
+        this.setupPasteDataEntry();
+        this.setupURLDataLoading();
         
         console.log('✅ Upload step initialized');
     }
@@ -315,9 +380,9 @@ class AppState {
         if (csvUpload && uploadArea) {
             // Handle file input change
             csvUpload.addEventListener('change', (event) => {
-                const file = event.target.files[0];
-                if (file) {
-                    this.handleCSVFile(file);
+                const files = Array.from(event.target.files);
+                if (files.length > 0) {
+                    this.handleDataFiles(files);
                 }
             });
             
@@ -354,11 +419,11 @@ class AppState {
                 e.preventDefault();
                 uploadArea.classList.remove('dragover');
                 
-                const files = e.dataTransfer.files;
-                if (files.length > 0 && files[0].type === 'text/csv') {
-                    this.handleCSVFile(files[0]);
+                const files = Array.from(e.dataTransfer.files).filter(file => this.isSupportedDataFile(file));
+                if (files.length > 0) {
+                    this.handleDataFiles(files);
                 } else {
-                    this.showToast('Please drop a valid CSV file', 'error');
+                    this.showToast(`Please drop a supported file (${this.supportedFileExtensions.map(ext => `.${ext}`).join(', ')})`, 'error');
                 }
             });
         }
@@ -383,3048 +448,8040 @@ class AppState {
         }
     }
 
-    async handleCSVFile(file) {
-        console.log('📁 Processing CSV file:', file.name, 'Size:', (file.size / 1024 / 1024).toFixed(2), 'MB');
+    setupPasteDataEntry() {
+        const input = document.getElementById('paste-data-input');
+        const button = document.getElementById('paste-data-button');
 
-        // Show loading toast
-        const loadingToast = this.showToast('Processing CSV file...', 'loading');
-        
-        try {
-            // Validate file size
-            if (file.size > this.maxFileSize) {
-                throw new Error(`File too large. Maximum size is ${(this.maxFileSize / 1024 / 1024).toFixed(0)}MB.`);
-            }
+        // Assigned rather than added, as this runs every time the upload step is shown
+        if (input) {
+            input.oninput = () => this.updatePasteDataInfo();
+        }
 
-             // Update loading message for file reading
-             ToastManager.updateLoadingToast(loadingToast, 'Reading file...', 'loading');
-            // Read file content
-            const csvText = await this.readFileAsText(file);
-            
-            // Update loading message for parsing
-            ToastManager.updateLoadingToast(loadingToast, 'Parsing CSV data...', 'loading');
-            // Parse CSV data
-            const parsedData = this.parseCSV(csvText);
-            
-            // Update loading message for validation
-            ToastManager.updateLoadingToast(loadingToast, 'Validating data structure...', 'loading');
-            // Validate CSV structure
-            this.validateCSVStructure(parsedData);
-            
-            // Store data
-            this.rawCsv = csvText;
-            this.originalCsvData = parsedData;
-            
-            // Update UI
-            this.updateUploadSuccess(file.name, parsedData.length);
-            
-            // Update button states
-            if (this.navigation) {
-                this.navigation.updateButtonStates();
-            }
-            
-            console.log('✅ CSV file processed successfully');
-            // Update loading toast to success
-            ToastManager.updateLoadingToast(loadingToast, `CSV uploaded successfully: ${parsedData.length} rows`, 'success');            
-        
+        if (button) {
+            button.onclick = () => this.handlePastedData(input ? input.value : '');
+        }
+    }
+
+    setupURLDataLoading() {
+        const urlInput = document.getElementById('data-url-input');
+        const urlButton = document.getElementById('data-url-button');
+        const firmsButton = document.getElementById('firms-load-button');
+
+        // Assigned rather than added, as this runs every time the upload step is shown
+        if (urlButton) {
+            urlButton.onclick = () => {
+                const url = urlInput ? urlInput.value.trim() : '';
+                if (!url) {
+                    this.showToast('Enter the URL of a data file', 'warning');
+                    return;
+                }
+                this.loadDataFromURL(url);
+            };
+        }
+
+        if (firmsButton) {
+            firmsButton.onclick = () => this.handleFirmsRequest();
+        }
+    }
+
+    handleFirmsRequest() {
+        const value = id => {
+            const element = document.getElementById(id);
+            return element ? element.value.trim() : '';
+        };
+
+        const request = {
+            baseUrl: value('firms-base-url-input') || FirmsAreaAPI.DEFAULT_BASE_URL,
+            mapKey: value('firms-map-key-input'),
+            source: value('firms-source-select'),
+            west: value('firms-west-input'),
+            south: value('firms-south-input'),
+            east: value('firms-east-input'),
+            north: value('firms-north-input'),
+            days: value('firms-days-select'),
+            date: value('firms-date-input')
+        };
+
+        let url;
+        try {
+            url = FirmsAreaAPI.buildUrl(request);
         } catch (error) {
-            console.error('❌ Error processing CSV:', error);
-            // Update loading toast to error
-            ToastManager.updateLoadingToast(loadingToast, `Error: ${error.message}`, 'error');
-            this.resetUploadState();
+            this.showToast(error.message, 'warning');
+            return;
         }
+
+        // Show the request so it can be reused or tweaked
+        const urlInput = document.getElementById('data-url-input');
+        if (urlInput) {
+            urlInput.value = url;
+        }
+
+        return this.loadDataFromURL(url, FirmsAreaAPI.getFilename(request));
     }
 
-    readFileAsText(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            
-            reader.onload = (e) => resolve(e.target.result);
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            
-            reader.readAsText(file);
-        });
+    // Row count and detected delimiter while the user pastes
+    updatePasteDataInfo() {
+        const input = document.getElementById('paste-data-input');
+        const info = document.getElementById('paste-data-info');
+        if (!input || !info) return;
+
+        const text = input.value;
+        if (!text.trim()) {
+            info.textContent = '';
+            return;
+        }
+
+        const { delimiter } = CSVSniffer.sniffText(text);
+        const rowCount = d3.dsvFormat(delimiter).parseRows(text).filter(row => row.some(value => value.trim() !== '')).length - 1;
+        const delimiterLabel = CSVSniffer.DELIMITERS.find(d => d.value === delimiter).label.toLowerCase();
+        info.textContent = `${Math.max(rowCount, 0).toLocaleString()} rows plus header, ${delimiterLabel} separated`;
     }
 
-    parseCSV(csvText) {
+    handlePastedData(text) {
+        if (!text || !text.trim()) {
+            this.showToast('Paste some rows first – including the header row', 'warning');
+            return;
+        }
+
+        console.log('📋 Processing pasted data:', text.length, 'characters');
+
+        const loadingToast = this.showToast('Reading pasted data...', 'loading');
+        this.clearInputSource();
+
         try {
-            // Use D3's CSV parser
-            const data = d3.csvParse(csvText);
-            
-            if (!data || data.length === 0) {
-                throw new Error('CSV file is empty');
-            }
-            
-            if (!data.columns || data.columns.length === 0) {
-                throw new Error('CSV has no columns');
-            }
-            
-            return data;
+            // Spreadsheets copy as tab-separated text, web tables sometimes as CSV
+            const options = CSVSniffer.sniffText(text);
+            const parsedData = this.parseCSV(text, options);
+            this.loadParsedData(parsedData, 'Pasted data', loadingToast);
         } catch (error) {
-            throw new Error(`Failed to parse CSV: ${error.message}`);
+            console.error('❌ Error processing pasted data:', error);
+            ToastManager.updateLoadingToast(loadingToast, `Error: ${error.message}`, 'error');
+            this.handleSourceLoadFailure();
         }
     }
 
+    getFileExtension(file) {
+        return file.name.split('.').pop().toLowerCase();
+    }
 
-    validateCSVStructure(data) {
-        // Check for required columns (case-insensitive)
-        const columns = data.columns.map(col => col.trim().toLowerCase());
-        const hasLat = columns.includes('latitude');
-        const hasLon = columns.includes('longitude');
-        
-        if (!hasLat || !hasLon) {
-            throw new Error('CSV must contain "latitude" and "longitude" columns – spelled exactly like this!');
+    isSupportedDataFile(file) {
+        return this.supportedFileExtensions.includes(this.getFileExtension(file));
+    }
+
+    // Routes an uploaded file to the reader for its format
+    handleDataFile(file) {
+        this.clearInputSource();
+        return this.readDataFile(file);
+    }
+
+    readDataFile(file) {
+        switch (this.getFileExtension(file)) {
+            case 'xlsx':
+                return this.handleExcelFile(file);
+            case 'geojson':
+            case 'json':
+                return this.handleGeoJSONDataFile(file);
+            case 'kml':
+            case 'kmz':
+                return this.handleKMLFile(file);
+            case 'zip':
+                return this.handleZipFile(file);
+            case 'gz':
+                return this.handleGzipFile(file);
+            default:
+                return this.handleCSVFile(file);
         }
-        
-        // Check row count limit (max 500,000 rows)
-        if (data.length > this.maxRows) {
-            throw new Error(`Too many rows: ${data.length.toLocaleString()}. Maximum allowed is ${this.maxRows.toLocaleString()}.`);
+    }
+
+    // Loads several files one after the other; all but the first (unless `append`) are added to the dataset
+    async handleDataFiles(files, append = false) {
+        for (let i = 0; i < files.length; i++) {
+            this.addingSource = append || i > 0;
+            await this.handleDataFile(files[i]);
         }
-        
-        // Validate all rows for coordinate format
-        for (let i = 0; i < data.length; i++) {
-            const row = data[i];
-            const lat = parseFloat(row.latitude);
-            const lon = parseFloat(row.longitude);
-            
-            if (isNaN(lat) || isNaN(lon)) {
-                throw new Error(`Invalid coordinates at row ${i + 1}`);
-            }
-            
-            if (lat < -90 || lat > 90 || lon < -180 || lon > 180) {
-                throw new Error(`Coordinates out of range at row ${i + 1} (lat: ${lat}, lon: ${lon})`);
-            }
+    }
+
+    // New data replaces any workbook or CSV opened before
+    clearInputSource() {
+        this.excelWorkbook = null;
+        this.csvFile = null;
+        this.hideSourcePicker();
+        this.updateCSVOptionsUI();
+
+        // Added files get a new slot, anything else replaces all files
+        this.activeSourceIndex = this.addingSource ? this.dataSources.length : 0;
+        this.replacingSources = !this.addingSource;
+        this.addingSource = false;
+    }
+
+    // Drops only the file that failed to load; the other files stay loaded
+    handleSourceLoadFailure() {
+        const failedIndex = this.activeSourceIndex;
+        const failedSource = this.replacingSources ? null : this.dataSources[failedIndex];
+        const remaining = this.replacingSources ? [] : this.dataSources.filter((source, index) => index !== failedIndex);
+        this.replacingSources = false;
+
+        if (remaining.length === 0) {
+            this.resetUploadState();
+            return;
         }
 
-        // If we get here, validation passed
-        console.log(`✅ CSV validation passed: ${data.length} rows, ${data.columns.length} columns`);
-    
+        this.activeSourceIndex = remaining.length;
+
+        // A file being added had no slot yet, so the loaded data is unchanged
+        if (!failedSource) return;
+
+        // A file that was read again (other options, sheet or layer) is removed from the dataset
+        console.log('🗑️ Dropping data source that failed to load:', failedSource.name);
+        this.dataSources = remaining;
+        this.excelWorkbook = null;
+        this.csvFile = null;
+        this.hideSourcePicker();
+        this.updateCSVOptionsUI();
+
+        const loadingToast = this.showToast(`Removing ${failedSource.name}...`, 'loading');
+        this.loadMergedData(failedSource.name, 'removed', loadingToast);
     }
 
-    async loadSampleCSV(url) {
-        console.log('�� Loading sample CSV from:', url);
+    // Without options, the encoding, delimiter and decimal separator are detected from the start of the file
+    async handleCSVFile(file, options = null) {
+        console.log('📁 Processing CSV file:', file.name, 'Size:', (file.size / 1024 / 1024).toFixed(2), 'MB');
 
-         // Show loading toast
-         const loadingToast = this.showToast('Loading sample data...', 'loading');
-        
-        
-        try {            
-            // Update loading message
-            ToastManager.updateLoadingToast(loadingToast, 'Fetching sample file...', 'loading');
+        if (this.csvParsing) {
+            this.showToast('Another file is still loading – cancel it first', 'warning');
+            return;
+        }
 
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        // Show loading toast
+        const loadingToast = this.showToast('Processing CSV file...', 'loading');
+        
+        try {
+            if (!options) {
+                options = CSVSniffer.sniff(new Uint8Array(await this.readFileAsArrayBuffer(file.slice(0, CSVSniffer.SAMPLE_BYTES))));
+                this.detectedCsvOptions = options;
+                console.log('🔎 Detected CSV options:', options);
             }
 
-            // Update loading message
-            ToastManager.updateLoadingToast(loadingToast, 'Processing sample data...', 'loading');
-            
-            const csvText = await response.text();
-            
-            // Create a File object from the sample data
-            const filename = url.split('/').pop();
-            const file = new File([csvText], filename, { type: 'text/csv' });
+            // Stream the file through the parsing worker (progress is shown in the upload step)
+            const parsedData = await this.parseCSVInWorker(file, options);
             
-            // Process the sample file
-            await this.handleCSVFile(file);
+            this.csvFile = file;
+            this.csvOptions = options;
 
-            // Remove the loading toast (handleCSVFile will show its own result)
-            ToastManager.removeLoadingToast(loadingToast);
-            
+            // Suggest coordinates, validate and update the upload step
+            this.loadParsedData(parsedData, file.name, loadingToast);
+            this.updateCSVOptionsUI();
+        
         } catch (error) {
-            console.error('❌ Failed to load sample CSV:', error);
-            // Update loading toast to error
-            ToastManager.updateLoadingToast(loadingToast, `Failed to load sample: ${error.message}`, 'error');            // Don't reset upload state here - just show the error
+            if (error.name === 'AbortError') {
+                ToastManager.updateLoadingToast(loadingToast, 'Upload cancelled', 'info');
+            } else {
+                console.error('❌ Error processing CSV:', error);
+                // Update loading toast to error
+                ToastManager.updateLoadingToast(loadingToast, `Error: ${error.message}`, 'error');
+            }
+            this.handleSourceLoadFailure();
         }
     }
 
-    updateUploadSuccess(filename, rowCount) {
-        const uploadArea = document.getElementById('upload-area');
-        
-        if (uploadArea) {
-            uploadArea.innerHTML = `
-                <div class="upload-icon">✅</div>
-                <h3>File loaded successfully!</h3>
-                <p>${filename}</p>
-                <p class="file-info">${rowCount.toLocaleString()} rows loaded</p>
-                <button class="change-file-btn" onclick="app.changeFile()">Change File</button>
-            `;
+    // Shared by all input formats once the file has been turned into rows with a `columns` list
+    loadParsedData(parsedData, filename, loadingToast) {
+        // Store parsed data in its slot – added files keep the others. `columns` is the file's
+        // own list: computed columns are added to the rows' list later.
+        const source = { name: filename, rows: parsedData, columns: parsedData.columns.slice() };
+        if (this.replacingSources) {
+            this.dataSources = [source];
+        } else {
+            this.dataSources[this.activeSourceIndex] = source;
         }
-    }
+        this.replacingSources = false;
 
-    changeFile() {
-        console.log('🔄 User requested file change...');
-        this.resetUploadState();
+        this.loadMergedData(filename, this.activeSourceIndex > 0 ? 'added' : 'loaded', loadingToast);
     }
 
-    resetUploadState() {
-        console.log('🔄 Resetting upload state...');
+    // Merges the loaded files, maps the coordinates and validates the result.
+    // `action` is what happened to the file named `label` ('loaded', 'added' or 'removed').
+    loadMergedData(label, action, loadingToast) {
+        const isMerged = this.dataSources.length > 1;
+        const parsedData = this.mergeDataSources(this.dataSources);
+        this.parsedCsvData = parsedData;
+
+        // Keep a mapping the user already set up if the merged columns still have it
+        const keepMapping = isMerged && this.coordinateSource !== 'geometry' &&
+            this.getCoordinateColumnNames().every(col => col && parsedData.columns.includes(col));
+
+        if (!keepMapping) {
+            this.suggestCoordinateMapping(parsedData);
+        }
         
-        // Clear data
-        this.rawCsv = null;
-        this.csvData = null;
-        this.originalCsvData = null;
-        this.filteredCsvData = null;
+        // Update UI
+        const filename = isMerged ? `${this.dataSources.length} files combined` : label;
+        this.updateUploadSuccess(filename, parsedData.length);
+        this.updateDataSourcesUI();
+        this.updateColumnMappingUI();
+
+        // Update loading message for validation
+        ToastManager.updateLoadingToast(loadingToast, 'Validating data structure...', 'loading');
         
-        // Reset UI to upload area
-        this.resetUploadUI();
+        try {
+            // Validate with the suggested columns – a failure here keeps the file so the user can pick other columns
+            this.applyColumnMapping();
+            
+            console.log('✅ File processed successfully');
+            // Update loading toast to success
+            const message = action === 'loaded'
+                ? `${label} loaded: ${this.getValidationSummary()}`
+                : `${label} ${action} – ${this.dataSources.length} file(s), ${this.getValidationSummary()}`;
+            ToastManager.updateLoadingToast(loadingToast, message, 'success');
+        } catch (error) {
+            console.warn('⚠️ Coordinate columns need attention:', error.message);
+            ToastManager.updateLoadingToast(loadingToast, error.message, 'warning');
+        }
         
         // Update button states
         if (this.navigation) {
             this.navigation.updateButtonStates();
         }
-        
-        console.log('✅ Upload state reset complete');
     }
 
-    resetUploadUI() {
-        const uploadArea = document.getElementById('upload-area');
-        if (uploadArea) {
-            uploadArea.innerHTML = `
-                <div class="upload-icon">📁</div>
-                <h3>Drop your CSV file here</h3>
-                <p>or click to browse</p>
-                <input type="file" id="csv-upload" accept=".csv" style="display: none;">
-            `;
-            
-            // Re-setup listeners for the new upload area
-            this.setupFileInputListeners();
-            this.setupDragAndDrop();
+    // Rows read from geometries bring their own coordinates; otherwise guess the columns and let the user override them
+    suggestCoordinateMapping(parsedData) {
+        const suggestion = this.suggestCoordinateColumns(parsedData.columns);
+        const hasSeparateColumns = Boolean(suggestion.latitude && suggestion.longitude);
+        if (!hasSeparateColumns) {
+            suggestion.combined = this.findCombinedCoordinateColumn(parsedData, suggestion.combined);
+        }
+        // Aggregated tables come with H3 cells instead of points
+        suggestion.h3 = hasSeparateColumns || suggestion.combined ? null : this.findH3Column(parsedData);
+        this.weightColumn = this.suggestWeightColumn(parsedData, Boolean(suggestion.h3));
+
+        if (parsedData.length > 0 && parsedData.every(row => this.rowGeometries.has(row))) {
+            this.coordinateSource = 'geometry';
+        } else if (suggestion.h3) {
+            this.coordinateSource = 'h3';
+        } else {
+            this.coordinateSource = !hasSeparateColumns && suggestion.combined ? 'combined' : 'columns';
         }
+        this.coordinateColumns = suggestion;
     }
 
+    // Aligns the files by column name and tags every row with the file it came from.
+    // Rows are extended in place, so geometries registered for them stay valid.
+    mergeDataSources(sources) {
+        if (sources.length === 1) {
+            return sources[0].rows;
+        }
 
-    // ================================
-    // FILTER AND PREVIEW STEP METHODS
-    // ================================
+        const columns = [];
+        sources.forEach(source => {
+            source.rows.columns.forEach(col => {
+                if (!columns.includes(col)) columns.push(col);
+            });
+        });
+        if (!columns.includes('source_file')) {
+            columns.push('source_file');
+        }
 
-    initializeFilterStep() {
-        console.log('🔍 Initializing filter step...');
-        
-        // Initialize filteredCsvData with original data so user can proceed without filters
-        if (!this.filteredCsvData) {
-            this.filteredCsvData = this.originalCsvData;
+        const merged = [];
+        sources.forEach(source => {
+            const missingColumns = columns.filter(col => !source.rows.columns.includes(col));
+            source.rows.forEach(row => {
+                missingColumns.forEach(col => {
+                    row[col] = '';
+                });
+                row.source_file = source.name;
+                merged.push(row);
+            });
+        });
+
+        merged.columns = columns;
+        console.log(`🧩 Merged ${sources.length} files: ${merged.length} rows, ${columns.length} columns`);
+        return merged;
+    }
+
+    // Opens the file dialog for files to add to the current dataset
+    addDataFiles() {
+        const input = document.getElementById('add-data-file-input');
+        if (input) {
+            input.value = '';
+            input.click();
         }
-        
-        // Create data preview
-        this.createDataPreview();
+    }
 
-        // Initialize active filters display
-        this.updateActiveFiltersDisplay();
-        
-        // Update button states to ensure navigation is available
-        if (this.navigation) {
-            this.navigation.updateButtonStates();
+    removeDataSource(index) {
+        const source = this.dataSources[index];
+        if (!source) return;
+
+        console.log('🗑️ Removing data source:', source.name);
+
+        if (this.dataSources.length === 1) {
+            this.resetUploadState();
+            return;
         }
-        
-        console.log('✅ Filter step initialized');
+
+        this.dataSources.splice(index, 1);
+
+        // Sheet/layer pickers and CSV options belong to a single file, so drop them
+        this.excelWorkbook = null;
+        this.csvFile = null;
+        this.hideSourcePicker();
+        this.updateCSVOptionsUI();
+        this.activeSourceIndex = this.dataSources.length;
+
+        const loadingToast = this.showToast(`Removing ${source.name}...`, 'loading');
+        this.loadMergedData(source.name, 'removed', loadingToast);
     }
 
-    createDataPreview() {
-        const data = this.originalCsvData;
-        if (!data || data.length === 0) {
-            this.showToast('No data to preview', 'error');
+    // List of the loaded files with remove buttons and a way to add more
+    updateDataSourcesUI() {
+        const container = document.getElementById('data-sources');
+        if (!container) return;
+
+        if (this.dataSources.length === 0) {
+            container.innerHTML = '';
+            container.classList.add('hidden');
             return;
         }
 
+        const canRemove = this.dataSources.length > 1;
+        const items = this.dataSources.map((source, index) => `
+            <li>
+                <span>${escapeHTML(source.name)}</span>
+                <span class="data-source-rows">${source.rows.length.toLocaleString()} rows</span>
+                ${canRemove ? `<button class="control-button" onclick="app.removeDataSource(${index})">Remove</button>` : ''}
+            </li>
+        `).join('');
+
+        container.innerHTML = `
+            <h4>Files</h4>
+            <ul class="data-source-list">${items}</ul>
+            ${canRemove ? '<p class="control-description">Files are combined by column name. The <code>source_file</code> column tells them apart.</p>' : ''}
+            <button class="control-button" onclick="app.addDataFiles()">+ Add another file</button>
+            <input type="file" id="add-data-file-input" accept="${this.supportedFileExtensions.map(ext => `.${ext}`).join(',')}" multiple style="display: none;">
+        `;
 
-        // Get preview data (first 50 rows)
-        const columns = data.columns;
-        const previewData = data.slice(0, this.previewRows);
-        
-        // Create preview table
-        this.createPreviewTable(previewData);
-        
-        // Show preview info
-        this.updatePreviewInfo(data.length, previewData.length);
+        container.querySelector('#add-data-file-input').addEventListener('change', (event) => {
+            const files = Array.from(event.target.files);
+            if (files.length > 0) {
+                this.handleDataFiles(files, true);
+            }
+        });
+
+        container.classList.remove('hidden');
     }
 
+    async handleExcelFile(file) {
+        console.log('📊 Processing Excel file:', file.name);
 
-    createPreviewTable(data) {
+        const loadingToast = this.showToast('Reading Excel workbook...', 'loading');
 
-        data.columns = this.originalCsvData.columns;
+        try {
+            const workbook = await ExcelReader.open(file);
+            if (workbook.sheets.length === 0) {
+                throw new Error('The workbook has no sheets');
+            }
 
-        const previewContainer = document.getElementById('data-preview');
-        if (!previewContainer) return;
-        
-        // Clear existing content
-        previewContainer.innerHTML = '';
-        
-        if (data.length === 0) {
-            previewContainer.innerHTML = '<p>No data to display</p>';
-            return;
-        }
-        
-        // Create table using D3
-        const table = d3.select(previewContainer)
-            .append('table')
-            .attr('class', 'preview-table');
-        
-        // Create header
-        const header = table.append('thead').append('tr');
-        const headerCells = header.selectAll('th')
-            .data(data.columns)
-            .enter()
-            .append('th');
-        
-        // Add column name
-        headerCells.append('div')
-            .attr('class', 'column-header')
-            .text(d => d);
+            this.excelWorkbook = workbook;
 
+            // Start with the first sheet; the picker lets the user switch
+            if (workbook.sheets.length > 1) {
+                this.showSourcePicker('Sheet', workbook.sheets.map(sheet => sheet.name), sheetName => {
+                    this.loadExcelSheet(file.name, sheetName);
+                });
+            }
 
-        // Add filter icon below each column name
-        headerCells.append('div')
-            .attr('class', 'filter-icon')
-            .attr('data-column', d => d)
-            .html('<span class=\'table-icon\'>Filter <i class="si-filter"></i></span>')
-            .style('cursor', 'pointer')
-            .on('click', (event, column) => {
-                this.openFilterPopup(column, this.originalCsvData);
-            });
-        
-        // Create body
-        const tbody = table.append('tbody');
-        const rows = tbody.selectAll('tr')
-            .data(data)
-            .enter()
-            .append('tr');
-        
-        // Add cells
-        rows.selectAll('td')
-            .data(d => data.columns.map(col => d[col]))
-            .enter()
-            .append('td')
-            .text(d => d || 'N/A');
+            await this.loadExcelSheet(file.name, workbook.sheets[0].name, loadingToast);
+        } catch (error) {
+            console.error('❌ Error processing Excel file:', error);
+            ToastManager.updateLoadingToast(loadingToast, `Error: ${error.message}`, 'error');
+            this.handleSourceLoadFailure();
+        }
     }
 
-    updatePreviewInfo(totalRows, previewRows) {
-        const previewInfo = document.getElementById('preview-info');
-        if (previewInfo) {
-            previewInfo.innerHTML = `
-                <p>Showing first ${previewRows} of ${totalRows.toLocaleString()} rows</p>
-            `;
+    async handleGeoJSONDataFile(file) {
+        console.log('🗺️ Processing GeoJSON point file:', file.name);
+
+        const loadingToast = this.showToast('Reading GeoJSON features...', 'loading');
+
+        try {
+            const geojson = JSON.parse(await this.readFileAsText(file));
+            this.loadPointFeatures(geojson, file.name, loadingToast);
+        } catch (error) {
+            console.error('❌ Error processing GeoJSON:', error);
+            const message = error instanceof SyntaxError ? 'File is not valid JSON' : error.message;
+            ToastManager.updateLoadingToast(loadingToast, `Error: ${message}`, 'error');
+            this.handleSourceLoadFailure();
         }
     }
 
+    async handleKMLFile(file) {
+        console.log('📍 Processing KML/KMZ file:', file.name);
 
-    openFilterPopup(column, data) {
-        console.log(` Opening filter popup for column: ${column}`);
-        
-        // Create or get the popup for this specific column
-        let popup = document.getElementById(`filter-popup-${column}`);
-        
-        if (!popup) {
-            // Create new popup for this column
-            popup = this.createColumnFilterPopup(column);
-            document.body.appendChild(popup);
+        const loadingToast = this.showToast('Reading placemarks...', 'loading');
+
+        try {
+            const kmlText = this.getFileExtension(file) === 'kmz'
+                ? await KMLReader.extractKML(file)
+                : await this.readFileAsText(file);
+
+            this.loadPointFeatures(KMLReader.toGeoJSON(kmlText), file.name, loadingToast);
+        } catch (error) {
+            console.error('❌ Error processing KML:', error);
+            ToastManager.updateLoadingToast(loadingToast, `Error: ${error.message}`, 'error');
+            this.handleSourceLoadFailure();
         }
-        
-        // Update the popup content
-        this.updateColumnFilterPopup(popup, column, data);
-        
-        // Show this specific popup
-        popup.style.display = 'flex';
-        
-        // Hide all other popups
-        this.hideOtherFilterPopups(column);
     }
 
-    closeFilterPopup() {
-        // Close all filter popups
-        document.querySelectorAll('.filter-popup').forEach(popup => {
-            popup.style.display = 'none';
-        });
-    }
+    // Zips hold either a shapefile or one or more CSV files
+    async handleZipFile(file) {
+        console.log('🗜️ Processing zip archive:', file.name);
 
-    setupFilterPopupListeners(column, data) {
-        // This method is no longer needed with the new column-specific popup system
-        // Event listeners are now set up in setupColumnFilterPopupListeners
-        console.log(`Event listeners for ${column} will be set up in setupColumnFilterPopupListeners`);
+        const loadingToast = this.showToast('Reading zip archive...', 'loading');
+
+        try {
+            const zip = await JSZip.loadAsync(file);
+
+            const archive = ShapefileReader.fromZip(zip);
+            if (archive.layers.length > 0) {
+                // Start with the first layer; the picker lets the user switch
+                if (archive.layers.length > 1) {
+                    this.showSourcePicker('Layer', archive.layers.map(layer => layer.name), layerName => {
+                        this.loadShapefileLayer(archive, file.name, layerName);
+                    });
+                }
+
+                await this.loadShapefileLayer(archive, file.name, archive.layers[0].name, loadingToast);
+                return;
+            }
+
+            const entries = ArchiveReader.getTableEntries(zip);
+            if (entries.length === 0) {
+                throw new Error('No shapefile or CSV file found in the zip');
+            }
+
+            // Start with the first file; the picker lets the user switch
+            if (entries.length > 1) {
+                this.showSourcePicker('File', entries.map(entry => entry.name), entryName => {
+                    this.loadArchiveEntry(zip, entryName);
+                });
+            }
+
+            await this.loadArchiveEntry(zip, entries[0].name, loadingToast);
+        } catch (error) {
+            console.error('❌ Error processing zip archive:', error);
+            ToastManager.updateLoadingToast(loadingToast, `Error: ${error.message}`, 'error');
+            this.handleSourceLoadFailure();
+        }
     }
 
-    handleFilterTypeChange(column, newType, data) {
-        console.log(`🔄 Changing filter type for ${column} to ${newType}`);
-        
-        const filterContent = document.getElementById('filter-content');
-        if (filterContent) {
-            filterContent.innerHTML = this.createFilterContent(column, data, newType);
-            filterContent.dataset.column = column;
+    // Extracts a CSV from an open zip and reads it like an uploaded one
+    async loadArchiveEntry(zip, entryName, loadingToast = null) {
+        const toast = loadingToast || this.showToast(`Extracting ${entryName}...`, 'loading');
+
+        let file;
+        try {
+            if (loadingToast) {
+                ToastManager.updateLoadingToast(toast, `Extracting ${entryName}...`, 'loading');
+            }
+            file = await ArchiveReader.extract(zip, entryName);
+        } catch (error) {
+            // Keep the archive so another file can be picked
+            if (!loadingToast) {
+                ToastManager.updateLoadingToast(toast, `Error: ${error.message}`, 'error');
+                return;
+            }
+            throw error;
         }
+
+        ToastManager.removeLoadingToast(toast);
+        console.log(`🗜️ Extracted ${entryName}: ${(file.size / 1024 / 1024).toFixed(2)} MB`);
+        await this.handleCSVFile(file);
     }
-    
-    handleApplyFilter(column) {
-        console.log(`✅ Applying filter for column: ${column}`);
-        console.log(`🔍 Active filters BEFORE:`, JSON.stringify(this.activeFilters, null, 2));
 
-        
-        // Collect filter values and apply them
-        const filterData = this.collectFilterData(column);
-        console.log(`🔍 Collected filter data:`, JSON.stringify(filterData, null, 2));
+    async handleGzipFile(file) {
+        console.log('🗜️ Decompressing:', file.name);
 
-        if (filterData) {
-            this.activeFilters[column] = filterData;
-            console.log(`🔍 Active filters AFTER setting ${column}:`, JSON.stringify(this.activeFilters, null, 2));
+        const loadingToast = this.showToast(`Decompressing ${file.name}...`, 'loading');
 
-            this.applyFilters();
-            this.closeFilterPopup();
-            this.showToast(`Filter applied to ${column}`, 'success');
+        let decompressed;
+        try {
+            decompressed = await ArchiveReader.gunzip(file);
+        } catch (error) {
+            console.error('❌ Error decompressing file:', error);
+            ToastManager.updateLoadingToast(loadingToast, `Error: ${error.message}`, 'error');
+            this.handleSourceLoadFailure();
+            return;
         }
+
+        ToastManager.removeLoadingToast(loadingToast);
+        console.log(`🗜️ Decompressed ${file.name}: ${(decompressed.size / 1024 / 1024).toFixed(2)} MB`);
+
+        // "fires.csv.gz" is read as "fires.csv", "points.geojson.gz" as "points.geojson"
+        await this.readDataFile(decompressed);
     }
-    
-    handleClearFilter(column) {
-        console.log(`🗑️ Clearing filter for column: ${column}`);
-        
-        delete this.activeFilters[column];
-        
-        // If no more filters, reset to original data
-        if (Object.keys(this.activeFilters).length === 0) {
-            this.filteredCsvData = this.originalCsvData;
+
+    async loadShapefileLayer(archive, filename, layerName, loadingToast = null) {
+        const toast = loadingToast || this.showToast(`Reading layer "${layerName}"...`, 'loading');
+
+        try {
+            const geojson = await ShapefileReader.readLayer(archive, layerName);
+            const label = archive.layers.length > 1 ? `${filename} – ${layerName}` : filename;
+            this.loadPointFeatures(geojson, label, toast);
+        } catch (error) {
+            // Keep the archive so another layer can be picked
+            if (!loadingToast) {
+                ToastManager.updateLoadingToast(toast, `Error: ${error.message}`, 'error');
+                return;
+            }
+            throw error;
         }
-        
-        this.applyFilters();
-        this.closeFilterPopup();
-        this.showToast(`Filter cleared for ${column}`, 'success');
     }
-    
-    collectFilterData(column) {
-        console.log("Collecting filter data for column:", column);
-        
-        // Get the popup for this specific column
-        const popup = document.getElementById(`filter-popup-${column}`);
-        if (!popup) {
-            console.error(`No popup found for column: ${column}`);
-            return null;
+
+    // Turns point features into rows and hands them to the column mapping/validation
+    loadPointFeatures(geojson, filename, loadingToast) {
+        const { rows, coordinates, skippedFeatures } = GeoJSONPointReader.read(geojson);
+
+        if (rows.length === 0) {
+            throw new Error('No point features found');
         }
-        
-        // Get filter type from this specific popup
-        const typeSelector = popup.querySelector('.filter-type');
-        const filterType = typeSelector ? typeSelector.value : 'categorical';
-        
-        console.log("Filter type:", filterType);
-        
-        switch (filterType) {
-            case 'categorical':
-                return this.collectCategoricalFilterData(column);
-            case 'numeric':
-                return this.collectNumericFilterData(column);
-            case 'date':
-                return this.collectDateFilterData(column);
-            default:
-                return null;
+
+        this.registerRowGeometries(rows, coordinates);
+
+        if (skippedFeatures > 0) {
+            this.showToast(`${skippedFeatures.toLocaleString()} features without point geometry were skipped`, 'warning');
         }
+
+        this.loadParsedData(rows, filename, loadingToast);
     }
-    
-    collectCategoricalFilterData(column) {
-        console.log(` === COLLECTING CATEGORICAL DATA FOR ${column} ===`);
 
-        // Get the popup for this specific column
-        const popup = document.getElementById(`filter-popup-${column}`);
-        if (!popup) {
-            console.error(`No popup found for column: ${column}`);
-            return null;
+    // Remembers the geometry coordinates of rows that came from features instead of table columns
+    registerRowGeometries(rows, coordinates) {
+        rows.forEach((row, i) => {
+            this.rowGeometries.set(row, coordinates[i]);
+        });
+    }
+
+    async loadExcelSheet(filename, sheetName, loadingToast = null) {
+        const toast = loadingToast || this.showToast(`Reading sheet "${sheetName}"...`, 'loading');
+
+        try {
+            const parsedData = await ExcelReader.readSheet(this.excelWorkbook, sheetName);
+            if (parsedData.length === 0) {
+                throw new Error(`Sheet "${sheetName}" has no data rows`);
+            }
+            this.loadParsedData(parsedData, `${filename} – ${sheetName}`, toast);
+        } catch (error) {
+            // Keep the workbook so another sheet can be picked
+            if (!loadingToast) {
+                ToastManager.updateLoadingToast(toast, `Error: ${error.message}`, 'error');
+                return;
+            }
+            throw error;
         }
-        
-        // Only get checkboxes from this specific popup
-        const uncheckedBoxes = popup.querySelectorAll(`.filter-content input[type="checkbox"]:not(:checked)`);
-        console.log(`🔍 Found ${uncheckedBoxes.length} unchecked checkboxes`);
+    }
 
-        uncheckedBoxes.forEach((cb, i) => {
-            console.log(`🔍 Checkbox ${i}: value="${cb.value}", data-column="${cb.dataset.column}"`);
-        });
+    // Shows how the current CSV was read, with overrides and a few rows as a preview
+    updateCSVOptionsUI() {
+        const container = document.getElementById('csv-options');
+        if (!container) return;
 
-        const excludedValues = Array.from(uncheckedBoxes).map(cb => cb.value);
-        console.log("Excluded values:", excludedValues);
-        if (excludedValues.length === 0) return null;
-        
-        const filterValues = {
-            type: 'categorical',
-            exclude: excludedValues
+        if (!this.csvFile || !this.csvOptions || !this.parsedCsvData) {
+            container.innerHTML = '';
+            container.classList.add('hidden');
+            return;
         }
 
-        console.log("Filter values:", filterValues);
+        const detected = this.detectedCsvOptions || {};
+        const createSelect = (id, label, choices, value, detectedValue) => `
+            <label class="column-mapping-input">
+                <span>${label}</span>
+                <select id="${id}" class="sample-select" onchange="app.handleCSVOptionsChange()">
+                    ${choices.map(([choiceValue, choiceLabel]) => `
+                        <option value="${choiceValue}" ${choiceValue === String(value) ? 'selected' : ''}>${choiceLabel}${choiceValue === String(detectedValue) ? ' (detected)' : ''}</option>
+                    `).join('')}
+                </select>
+            </label>
+        `;
 
-        return filterValues;
+        container.innerHTML = `
+            <h4>How the file was read</h4>
+            <p class="control-description">Detected automatically – change a setting if the preview below looks wrong.</p>
+            <div class="column-mapping-inputs">
+                ${createSelect('csv-delimiter-select', 'Delimiter', CSVSniffer.DELIMITERS.map(d => [d.value, d.label]), this.csvOptions.delimiter, detected.delimiter)}
+                ${createSelect('csv-decimal-select', 'Decimal separator', [['false', 'Point (48.137)'], ['true', 'Comma (48,137)']], this.csvOptions.decimalComma, detected.decimalComma)}
+                ${createSelect('csv-encoding-select', 'Encoding', CSVSniffer.ENCODINGS.map(e => [e.value, e.label]), this.csvOptions.encoding, detected.encoding)}
+            </div>
+            <div class="csv-preview"></div>
+        `;
+
+        // Built with D3 so cell values are inserted as text
+        const data = this.parsedCsvData;
+        const table = d3.select(container.querySelector('.csv-preview'))
+            .append('table')
+            .attr('class', 'preview-table');
+
+        table.append('thead').append('tr')
+            .selectAll('th')
+            .data(data.columns)
+            .enter()
+            .append('th')
+            .text(d => d);
+
+        table.append('tbody')
+            .selectAll('tr')
+            .data(data.slice(0, 5))
+            .enter()
+            .append('tr')
+            .selectAll('td')
+            .data(row => data.columns.map(col => row[col]))
+            .enter()
+            .append('td')
+            .text(d => d);
+
+        container.classList.remove('hidden');
     }
-    
-    collectNumericFilterData(column) {
-        // Get the popup for this specific column
-        const popup = document.getElementById(`filter-popup-${column}`);
-        if (!popup) {
-            console.error(`No popup found for column: ${column}`);
-            return null;
-        }
-        
-        // Only get inputs from this specific popup
-        const minInput = popup.querySelector('.min-input');
-        const maxInput = popup.querySelector('.max-input');
-        
-        const min = minInput ? parseFloat(minInput.value) : undefined;
-        const max = maxInput ? parseFloat(maxInput.value) : undefined;
-        
-        if (min === undefined && max === undefined) return null;
-        
-        return {
-            type: 'numeric',
-            min: min,
-            max: max
+
+    handleCSVOptionsChange() {
+        if (!this.csvFile) return;
+
+        const options = {
+            delimiter: document.getElementById('csv-delimiter-select').value,
+            decimalComma: document.getElementById('csv-decimal-select').value === 'true',
+            encoding: document.getElementById('csv-encoding-select').value
         };
+
+        console.log('🔧 Re-reading CSV with options:', options);
+        return this.handleCSVFile(this.csvFile, options);
     }
-    
-    collectDateFilterData(column) {
-        // Get the popup for this specific column
-        const popup = document.getElementById(`filter-popup-${column}`);
-        if (!popup) {
-            console.error(`No popup found for column: ${column}`);
-            return null;
+
+    // Persistent picker for inputs with several parts (sheets, files in an archive)
+    showSourcePicker(label, options, onSelect) {
+        const container = document.getElementById('source-picker');
+        if (!container) return;
+
+        container.innerHTML = `
+            <label class="column-mapping-input">
+                <span>${label}</span>
+                <select class="sample-select">
+                    ${options.map(option => `<option value="${escapeHTML(option)}">${escapeHTML(option)}</option>`).join('')}
+                </select>
+            </label>
+        `;
+        container.querySelector('select').addEventListener('change', (event) => {
+            onSelect(event.target.value);
+        });
+        container.classList.remove('hidden');
+    }
+
+    hideSourcePicker() {
+        const container = document.getElementById('source-picker');
+        if (container) {
+            container.innerHTML = '';
+            container.classList.add('hidden');
         }
-        
-        // Only get inputs from this specific popup
-        const dateFrom = popup.querySelector('.date-from');
-        const dateTo = popup.querySelector('.date-to');
-        
-        const from = dateFrom ? dateFrom.value : undefined;
-        const to = dateTo ? dateTo.value : undefined;
-        
-        if (!from && !to) return null;
-        
-        return {
-            type: 'date',
-            dateFrom: from,
-            dateTo: to
-        };
     }
 
+    // Parses a CSV file in csv-worker.js, keeping only the columns that are needed
+    parseCSVInWorker(file, options) {
+        // Workers are unavailable e.g. when the page is opened from file://
+        let worker;
+        try {
+            worker = new Worker('./csv-worker.js');
+        } catch (error) {
+            console.warn('⚠️ CSV worker unavailable, parsing on the main thread:', error.message);
+            return this.readFileAsText(file, options.encoding).then(csvText => this.parseCSV(csvText, options));
+        }
 
-    createFilterContent(column, data, type) {
-        switch (type) {
-            case 'categorical':
-                return this.createCategoricalFilter(column, data);
-            case 'numeric':
-                return this.createNumericFilter(column, data);
-            case 'date':
-                return this.createDateFilter(column, data);
-            default:
-                return this.createCategoricalFilter(column, data);
+        return new Promise((resolve, reject) => {
+            const rows = [];
+            let columns = null;
+
+            const finish = () => {
+                worker.terminate();
+                this.csvParsing = null;
+                this.hideParsingProgress();
+            };
+
+            this.csvParsing = {
+                worker: worker,
+                cancel: () => {
+                    finish();
+                    const error = new Error('Upload cancelled');
+                    error.name = 'AbortError';
+                    reject(error);
+                }
+            };
+
+            worker.onmessage = (event) => {
+                const message = event.data;
+
+                switch (message.type) {
+                    case 'header':
+                        this.chooseColumnsToLoad(file, message.columns, message.sampleRows).then(keep => {
+                            columns = keep;
+                            worker.postMessage({ type: 'columns', columns: keep });
+                        });
+                        break;
+                    case 'rows':
+                        message.rows.forEach(values => {
+                            const row = {};
+                            for (let i = 0; i < columns.length; i++) {
+                                row[columns[i]] = values[i];
+                            }
+                            rows.push(row);
+                        });
+                        break;
+                    case 'progress':
+                        this.updateParsingProgress(message.bytesRead, message.totalBytes, message.rowCount);
+                        break;
+                    case 'done':
+                        finish();
+                        if (rows.length === 0) {
+                            reject(new Error('CSV file is empty'));
+                            return;
+                        }
+                        rows.columns = columns;
+                        console.log(`✅ Worker parsed ${rows.length} rows with ${columns.length} columns`);
+                        resolve(rows);
+                        break;
+                    case 'error':
+                        finish();
+                        reject(new Error(`Failed to parse CSV: ${message.message}`));
+                        break;
+                }
+            };
+
+            worker.onerror = (event) => {
+                finish();
+                reject(new Error(`Failed to parse CSV: ${event.message || 'worker error'}`));
+            };
+
+            this.showParsingProgress(file);
+            worker.postMessage({ type: 'parse', file: file, options: options });
+        });
+    }
+
+    cancelCSVParsing() {
+        if (this.csvParsing) {
+            console.log('🛑 Cancelling CSV parsing...');
+            this.csvParsing.cancel();
         }
     }
-    
-    createCategoricalFilter(column, data) {
-        // Get unique values
-        const uniqueValues = [...new Set(data.map(row => row[column]).filter(val => val !== ''))];
-        
-        // Selects the first 100 unique values to display
-        const displayValues = uniqueValues.slice(0, 100);
-        const hasMore = uniqueValues.length > 100;
 
-        
-        let html = `
-            <div class="categorical-filter">
-                <div class="filter-summary">
-                    ${hasMore ? `<span class="more-indicator">Showing first 100 for performance reasons – consider limiting the amount of categories or using a different filter type)</span>` : ''}
-                    <span>${uniqueValues.length} unique values</span>
-                </div>
-                <div class="value-list">
-        `;
-        
-        displayValues.forEach(value => {
-            html += `
-                <label class="filter-checkbox">
-                    <input type="checkbox" value="${value}" data-column="${column}" checked>
-                    <span>${value}</span>
-                </label>
+    // Small files keep every column; for large ones the user picks what to load besides the coordinates
+    chooseColumnsToLoad(file, columns, sampleRows) {
+        if (file.size <= this.columnSelectionThreshold) {
+            return Promise.resolve(columns);
+        }
+
+        const container = document.getElementById('upload-progress');
+        if (!container) {
+            return Promise.resolve(columns);
+        }
+
+        // The sample rows as objects, so the columns can be guessed like suggestCoordinateMapping does
+        const sample = sampleRows.map(values => Object.fromEntries(
+            columns.map((col, index) => [col, values[index] !== undefined ? values[index] : ''])
+        ));
+        sample.columns = columns;
+
+        const suggested = this.suggestCoordinateColumns(columns);
+        const hasSeparateColumns = Boolean(suggested.latitude && suggested.longitude);
+        const combined = hasSeparateColumns ? null : this.findCombinedCoordinateColumn(sample, suggested.combined);
+        const h3 = hasSeparateColumns || combined ? null : this.findH3Column(sample);
+
+        // Columns the current mapping uses (when adding a file) are kept too
+        const neededColumns = {
+            coordinates: [suggested.latitude, suggested.longitude, combined, h3,
+                this.coordinateColumns.latitude, this.coordinateColumns.longitude,
+                this.coordinateColumns.combined, this.coordinateColumns.h3],
+            count: [this.suggestWeightColumn(sample, Boolean(h3)), this.weightColumn]
+        };
+        const getRole = col => Object.keys(neededColumns).find(role => neededColumns[role].includes(col));
+
+        return new Promise(resolve => {
+            const checkboxes = columns.map((col, index) => {
+                const example = sampleRows.length > 0 && sampleRows[0][index] !== undefined ? sampleRows[0][index] : '';
+                const role = getRole(col);
+                return `
+                    <label class="filter-checkbox">
+                        <input type="checkbox" value="${escapeHTML(col)}" ${role ? 'checked' : ''}>
+                        <span>${escapeHTML(col)}${role ? ` <em>(${role})</em>` : ''} <small>${escapeHTML(example)}</small></span>
+                    </label>
+                `;
+            }).join('');
+
+            const selection = document.createElement('div');
+            selection.className = 'column-selection';
+            selection.innerHTML = `
+                <h4>Which columns do you need?</h4>
+                <p class="control-description">This file is ${(file.size / 1024 / 1024).toFixed(0)}MB. Only the columns you select will be loaded – keep the coordinates and anything you want to filter by.</p>
+                <div class="value-list">${checkboxes}</div>
+                <button class="control-button">Load selected columns</button>
             `;
+
+            selection.querySelector('button').addEventListener('click', () => {
+                const keep = Array.from(selection.querySelectorAll('input:checked')).map(input => input.value);
+                if (keep.length === 0) {
+                    this.showToast('Please select at least the coordinate columns', 'warning');
+                    return;
+                }
+                selection.remove();
+                resolve(keep);
+            });
+
+            container.appendChild(selection);
         });
-        
-        html += `
-                </div>
-                <div class="filter-actions">
-                    <button class="select-all-btn" onclick="app.selectAllValues('${column}')">Select All</button>
-                    <button class="clear-all-btn" onclick="app.clearAllValues('${column}')">Clear All</button>
-                </div>
-            </div>
-        `;
-        
-        return html;
     }
-    
-    createNumericFilter(column, data) {
-        const values = data.map(row => parseFloat(row[column])).filter(val => !isNaN(val));
-        const min = Math.min(...values);
-        const max = Math.max(...values);
-        const avg = values.reduce((a, b) => a + b, 0) / values.length;
-        
-        return `
-            <div class="numeric-filter">
-                <div class="filter-summary">
-                    <span>Range: ${min.toFixed(2)} to ${max.toFixed(2)} | Avg: ${avg.toFixed(2)}</span>
-                </div>
-                <div class="range-inputs">
-                    <label>
-                        Min: <input type="number" class="min-input" data-column="${column}" value="${min.toFixed(2)}" step="0.01">
-                    </label>
-                    <label>
-                        Max: <input type="number" class="max-input" data-column="${column}" value="${max.toFixed(2)}" step="0.01">
-                    </label>
-                </div>
+
+    showParsingProgress(file) {
+        const container = document.getElementById('upload-progress');
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="upload-progress-header">
+                <span>Reading ${escapeHTML(file.name)}</span>
+                <button class="control-button" onclick="app.cancelCSVParsing()">Cancel</button>
             </div>
-        `;
-    }
-    
-    createDateFilter(column, data) {
-        return `
-            <div class="date-filter">
-                <div class="date-format-selector">
-                    <label>Date Format:</label>
-                    <select class="date-format" data-column="${column}">
-                        <option value="auto">Auto-detect</option>
-                        <option value="YYYY-MM-DD">YYYY-MM-DD</option>
-                        <option value="MM/DD/YYYY">MM/DD/YYYY</option>
-                        <option value="DD/MM/YYYY">DD/MM/YYYY</option>
-                    </select>
-                </div>
-                <div class="date-range">
-                    <label>
-                        From: <input type="date" class="date-from" data-column="${column}">
-                    </label>
-                    <label>
-                        To: <input type="date" class="date-to" data-column="${column}">
-                    </label>
-                </div>
+            <div class="progress-bar">
+                <div class="progress-fill" id="upload-progress-fill" style="width: 0%"></div>
             </div>
+            <p class="upload-progress-text" id="upload-progress-text">Starting...</p>
         `;
+        container.classList.remove('hidden');
     }
-    
-    applyFilters() {
-        console.log('🔍 Applying filters...');
 
-        console.log('🔍 Active filters:', this.activeFilters);
-        
-        if (Object.keys(this.activeFilters).length === 0) {
-            // No filters, use original data
-            this.filteredCsvData = this.originalCsvData;
-            this.updateFilteredPreview(this.originalCsvData);
-            this.updateActiveFiltersDisplay();
-            return;
+    updateParsingProgress(bytesRead, totalBytes, rowCount) {
+        const percent = totalBytes > 0 ? Math.min(100, (bytesRead / totalBytes) * 100) : 0;
+        const fill = document.getElementById('upload-progress-fill');
+        const text = document.getElementById('upload-progress-text');
+
+        if (fill) {
+            fill.style.width = `${percent}%`;
         }
-        
-        // Apply filters to data
-        const filteredData = this.filterData(this.originalCsvData, this.activeFilters);
-        
-        // Update filtered data
-        this.filteredCsvData = filteredData;
-        
-        // Update preview
-        this.updateFilteredPreview(filteredData);
-        this.updateActiveFiltersDisplay();
-        
-        // Update button states
-        if (this.navigation) {
-            this.navigation.updateButtonStates();
+        if (text) {
+            text.textContent = `${percent.toFixed(0)}% – ${rowCount.toLocaleString()} rows read`;
         }
-        
-        console.log(`✅ Filters applied: ${filteredData.length} rows remaining`);
-        console.log("Filtered data:", filteredData);
-        console.log("AppState filtered data:", this.filteredCsvData);
-    }
-    
-    filterData(data, filters) {
-        return data.filter(row => {
-            return Object.keys(filters).every(column => {
-                const filter = filters[column];
-                const value = row[column];
-                
-                // Categorical filter
-                if (filter.type === 'categorical' && filter.exclude && filter.exclude.length > 0) {
-                    return !filter.exclude.includes(value);
-                }
-                
-                // Numeric filter
-                if (filter.type === 'numeric') {
-                    const numValue = parseFloat(value);
-                    if (isNaN(numValue)) return false;
-                    if (filter.min !== undefined && numValue < filter.min) return false;
-                    if (filter.max !== undefined && numValue > filter.max) return false;
-                }
-                
-                // Date filter
-                if (filter.type === 'date') {
-                    const dateValue = new Date(value);
-                    if (isNaN(dateValue.getTime())) return false;
-                    if (filter.dateFrom && dateValue < new Date(filter.dateFrom)) return false;
-                    if (filter.dateTo && dateValue > new Date(filter.dateTo)) return false;
-                }
-                
-                return true;
-            });
-        });
     }
-    
-    updateFilteredPreview(filteredData) {
-        const previewData = filteredData.slice(0, this.previewRows);
-        this.createPreviewTable(previewData);
-        this.updatePreviewInfo(filteredData.length, previewData.length);
-    }
-    
-    selectAllValues(column) {
-        const popup = document.getElementById(`filter-popup-${column}`);
-        if (popup) {
-            popup.querySelectorAll(`.filter-content input[type="checkbox"][data-column="${column}"]`).forEach(checkbox => {
-                checkbox.checked = true;
-            });
+
+    hideParsingProgress() {
+        const container = document.getElementById('upload-progress');
+        if (container) {
+            container.innerHTML = '';
+            container.classList.add('hidden');
         }
     }
-    
-    clearAllValues(column) {
-        const popup = document.getElementById(`filter-popup-${column}`);
-        if (popup) {
-            popup.querySelectorAll(`.filter-content input[type="checkbox"][data-column="${column}"]`).forEach(checkbox => {
-                checkbox.checked = false;
-            });
-        }
+
+    readFileAsText(file, encoding = 'utf-8') {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Failed to read file'));
+            
+            reader.readAsText(file, encoding);
+        });
     }
 
-    updateActiveFiltersDisplay() {
-        const container = document.getElementById('active-filters-list');
-        if (!container) return;
-        
-        const filterKeys = Object.keys(this.activeFilters);
-        
-        if (filterKeys.length === 0) {
-            container.innerHTML = '<p class="no-filters-message">No filters applied</p>';
-            return;
-        }
-        
-        let html = '';
-        filterKeys.forEach(column => {
-            const filter = this.activeFilters[column];
-            html += this.createFilterTag(column, filter);
+    readFileAsArrayBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Failed to read file'));
+            
+            reader.readAsArrayBuffer(file);
         });
-        
-        container.innerHTML = html;
-        
-        // Add remove listeners
-        this.setupFilterTagListeners();
     }
-    
-    createFilterTag(column, filter) {
-        let filterText = '';
-        
-        switch (filter.type) {
-            case 'categorical':
-                filterText = `${filter.exclude.length} values excluded`;
-                break;
-            case 'numeric':
-                if (filter.min !== undefined && filter.max !== undefined) {
-                    filterText = `${filter.min} - ${filter.max}`;
-                } else if (filter.min !== undefined) {
-                    filterText = `≥ ${filter.min}`;
-                } else if (filter.max !== undefined) {
-                    filterText = `≤ ${filter.max}`;
-                }
-                break;
-            case 'date':
-                if (filter.dateFrom && filter.dateTo) {
-                    filterText = `${filter.dateFrom} to ${filter.dateTo}`;
-                } else if (filter.dateFrom) {
-                    filterText = `≥ ${filter.dateFrom}`;
-                } else if (filter.dateTo) {
-                    filterText = `≤ ${filter.dateTo}`;
-                }
-                break;
+
+    parseCSV(csvText, options = {}) {
+        try {
+            // Use D3's DSV parser with the detected or chosen delimiter
+            const parsed = d3.dsvFormat(options.delimiter || ',').parse(csvText);
+
+            // Skip blank lines, as the parsing worker does
+            const data = parsed.filter(row => parsed.columns.some(col => row[col] !== ''));
+            data.columns = parsed.columns;
+
+            if (options.decimalComma) {
+                data.forEach(row => {
+                    data.columns.forEach(col => {
+                        row[col] = CSVSniffer.normalizeDecimalComma(row[col]);
+                    });
+                });
+            }
+            
+            if (!data || data.length === 0) {
+                throw new Error('CSV file is empty');
+            }
+            
+            if (!data.columns || data.columns.length === 0) {
+                throw new Error('CSV has no columns');
+            }
+            
+            return data;
+        } catch (error) {
+            throw new Error(`Failed to parse CSV: ${error.message}`);
         }
-        
-        return `
-            <div class="filter-tag" data-column="${column}">
-                <span><strong>${column}:</strong> ${filterText}</span>
-                <button class="remove-filter" onclick="app.removeFilter('${column}')" title="Remove filter">×</button>
-            </div>
-        `;
-    }
-    
-    setupFilterTagListeners() {
-        // Remove filter listeners are handled by onclick in the HTML
-        // This method can be used for any additional listeners if needed
     }
-    
-    removeFilter(column) {
-        console.log(`🗑️ Removing filter for column: ${column}`);
-        
-        delete this.activeFilters[column];
+
+
+    validateCSVStructure(data) {
+        // Check that the mapped coordinate columns exist
+        const coordinateColumns = this.getCoordinateColumnNames();
         
-        // If no more filters, reset to original data
-        if (Object.keys(this.activeFilters).length === 0) {
-            this.filteredCsvData = this.originalCsvData;
+        if (coordinateColumns.some(col => !col || !data.columns.includes(col))) {
+            const messages = {
+                combined: 'Please choose the column with the coordinates',
+                h3: 'Please choose the column with the H3 cells'
+            };
+            throw new Error(messages[this.coordinateSource] || 'Please choose the latitude and longitude columns');
         }
         
-        // Reapply filters
-        this.applyFilters();
-        
-        // Update the display
-        this.updateActiveFiltersDisplay();
+        if (this.coordinateSource === 'columns' && coordinateColumns[0] === coordinateColumns[1]) {
+            throw new Error('Latitude and longitude must be two different columns');
+        }
         
-        this.showToast(`Filter removed from ${column}`, 'info');
+        // Sort every row into valid or rejected instead of stopping at the first bad one
+        const validRows = [];
+        const rejectedRows = [];
+        const counts = { empty: 0, nonNumeric: 0, outOfRange: 0, duplicateHeader: 0 };
+
+        for (let i = 0; i < data.length; i++) {
+            const reason = this.getRowRejectionReason(data[i], coordinateColumns);
+            
+            if (reason) {
+                counts[reason]++;
+                // Line numbers count the header as line 1
+                rejectedRows.push({ line: i + 2, reason: reason, row: data[i] });
+            } else {
+                validRows.push(data[i]);
+            }
+        }
+
+        validRows.columns = data.columns;
+
+        this.validationReport = {
+            totalRows: data.length,
+            validRows: validRows.length,
+            rejectedRows: rejectedRows,
+            counts: counts
+        };
+
+        if (validRows.length === 0) {
+            const source = this.coordinateSource === 'geometry'
+                ? 'in its geometry'
+                : `in ${coordinateColumns.map(col => `"${col}"`).join(' and ')}`;
+            throw new Error(`None of the ${data.length.toLocaleString()} rows has valid coordinates ${source}`);
+        }
+
+        console.log(`✅ CSV validation passed: ${validRows.length} valid rows, ${rejectedRows.length} rejected, ${data.columns.length} columns`);
+        return validRows;
     }
-    
 
-    // Method to create a new filter popup for a specific column
-    createColumnFilterPopup(column) {
-        const popup = document.createElement('div');
-        popup.id = `filter-popup-${column}`;
-        popup.className = 'filter-popup';
-        popup.style.display = 'none';
-        
-        popup.innerHTML = `
-            <div class="filter-popup-header">
-                <h4 class="filter-popup-title">Filter: ${column}</h4>
-                <button class="close-filter-btn" onclick="app.closeColumnFilterPopup('${column}')">×</button>
-            </div>
-            
-            <div class="filter-popup-content">
-                <div class="filter-type-selector">
-                    <label>Filter Type</label>
-                    <select class="filter-type" data-column="${column}">
-                        <option value="categorical">Categorical (Select Values)</option>
-                        <option value="numeric">Numeric (Range)</option>
-                        <option value="date">Date (Range)</option>
-                    </select>
-                </div>
-                
-                <div class="filter-content" data-column="${column}">
-                    <!-- Filter content will be generated here -->
-                </div>
-                
-                <div class="filter-popup-actions">
-                    <button class="clear-filter-btn" data-column="${column}">Clear Filter</button>
-                    <button class="apply-filter-btn" data-column="${column}">Apply Filter</button>
-                </div>
-            </div>
-        `;
-        
-        // Setup event listeners for this specific popup
-        this.setupColumnFilterPopupListeners(popup, column);
-        
-        return popup;
+    // Returns the validation report category for a bad row, or null if the row is fine
+    getRowRejectionReason(row, coordinateColumns) {
+        // Rows from features are checked by their geometry
+        if (this.rowGeometries.has(row)) {
+            const geometry = this.rowGeometries.get(row);
+            if (!geometry) return 'empty';
+            if (isNaN(geometry.lat) || isNaN(geometry.lon)) return 'nonNumeric';
+            return this.isCoordinateInRange(geometry.lat, geometry.lon) ? null : 'outOfRange';
+        }
+
+        const values = coordinateColumns.map(col => (row[col] || '').trim());
+
+        // Header lines repeated inside the file, e.g. after concatenating exports
+        if (values.every((value, i) => value === coordinateColumns[i].trim())) {
+            return 'duplicateHeader';
+        }
+
+        if (values.some(value => value === '')) {
+            return 'empty';
+        }
+
+        const { lat, lon } = this.getPointCoordinates(row);
+
+        if (isNaN(lat) || isNaN(lon)) {
+            return 'nonNumeric';
+        }
+
+        if (!this.isCoordinateInRange(lat, lon)) {
+            return 'outOfRange';
+        }
+
+        return null;
     }
 
-    // Method to update the content of a specific column filter popup
-    updateColumnFilterPopup(popup, column, data) {
-        // Update title
-        const title = popup.querySelector('.filter-popup-title');
-        if (title) {
-            title.textContent = `Filter: ${column}`;
+    isCoordinateInRange(lat, lon) {
+        return lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180;
+    }
+
+    updateValidationReportUI() {
+        const container = document.getElementById('validation-report');
+        if (!container) return;
+
+        const report = this.validationReport;
+        if (!report) {
+            container.innerHTML = '';
+            container.classList.add('hidden');
+            return;
         }
-        
-        // Update filter content with stored type (or default to 'categorical')
-        const filterContent = popup.querySelector('.filter-content');
-        if (filterContent) {
-            const previousFilterType = popup.dataset.filterType || 'categorical';
-            filterContent.innerHTML = this.createFilterContent(column, data, previousFilterType);
+
+        const rejectedCount = report.rejectedRows.length;
+        const labels = {
+            empty: 'Empty coordinates',
+            nonNumeric: 'Coordinates that could not be read',
+            outOfRange: 'Coordinates out of range',
+            duplicateHeader: 'Repeated header lines'
+        };
+
+        if (rejectedCount === 0) {
+            container.innerHTML = `
+                <p class="validation-summary">All ${report.totalRows.toLocaleString()} rows have valid coordinates</p>
+            `;
+        } else {
+            const items = Object.keys(labels)
+                .filter(key => report.counts[key] > 0)
+                .map(key => `<li><span>${labels[key]}</span><strong>${report.counts[key].toLocaleString()}</strong></li>`)
+                .join('');
+
+            container.innerHTML = `
+                <p class="validation-summary">
+                    ${report.validRows.toLocaleString()} of ${report.totalRows.toLocaleString()} rows are valid –
+                    <strong>${rejectedCount.toLocaleString()} rows will be skipped</strong>
+                </p>
+                <ul class="validation-counts">${items}</ul>
+                ${report.counts.outOfRange > report.validRows && !this.crsTransform && this.coordinateSource !== 'geometry'
+                    ? '<p class="control-description">Most coordinates are out of range – if they are in metres (UTM, Web Mercator, a national grid), choose their coordinate system above.</p>'
+                    : ''}
+                <button class="control-button" onclick="app.downloadRejectedRows()">Download skipped rows (CSV)</button>
+            `;
         }
+
+        container.classList.remove('hidden');
     }
 
-    // Method to hide all other filter popups except the one for the given column
-    hideOtherFilterPopups(currentColumn) {
-        // Hide all filter popups except the current one
-        document.querySelectorAll('.filter-popup').forEach(popup => {
-            if (popup.id !== `filter-popup-${currentColumn}`) {
-                popup.style.display = 'none';
+    downloadRejectedRows() {
+        const report = this.validationReport;
+        if (!report || report.rejectedRows.length === 0) return;
+
+        // Keep the original columns and add where and why each row was rejected
+        const columns = ['source_line', 'rejection_reason', ...this.parsedCsvData.columns];
+        const rows = report.rejectedRows.map(({ line, reason, row }) => ({
+            ...row,
+            source_line: line,
+            rejection_reason: reason
+        }));
+
+        const csvString = d3.csvFormat(rows, columns);
+        downloadBlob(new Blob([csvString], { type: 'text/csv' }), 'rejected_rows.csv');
+    }
+
+    // ==================
+    // COORDINATE COLUMN MAPPING
+    // ==================
+
+    // Picks the most likely latitude/longitude columns (and a combined coordinate column) from the header names
+    suggestCoordinateColumns(columns) {
+        const normalize = name => name.trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+        // Checked in order: exact names, then prefixes like "LATITUDE_DD", then generic axis names
+        const candidates = {
+            latitude: {
+                exact: ['latitude', 'lat', 'latdd', 'latitudedd', 'decimallatitude'],
+                prefix: ['latitude', 'lat'],
+                fallback: ['y', 'ycoord', 'ycoordinate', 'pointy']
+            },
+            longitude: {
+                exact: ['longitude', 'lon', 'lng', 'long', 'londd', 'longitudedd', 'decimallongitude'],
+                prefix: ['longitude', 'lon', 'lng'],
+                fallback: ['x', 'xcoord', 'xcoordinate', 'pointx']
+            }
+        };
+
+        const findExact = names => {
+            for (const name of names) {
+                const match = columns.find(col => normalize(col) === name);
+                if (match) return match;
             }
+            return null;
+        };
+
+        const suggestion = {};
+        Object.keys(candidates).forEach(key => {
+            const { exact, prefix, fallback } = candidates[key];
+            suggestion[key] = findExact(exact)
+                || columns.find(col => prefix.some(p => normalize(col).startsWith(p)))
+                || findExact(fallback)
+                || null;
         });
-    }
 
-    // Method to close a specific column's filter popup
-    closeColumnFilterPopup(column) {
-        const popup = document.getElementById(`filter-popup-${column}`);
-        if (popup) {
-            popup.style.display = 'none';
-        }
+        // Single columns holding both coordinates, e.g. WKT or "lat, lon"
+        suggestion.combined = findExact(['coordinates', 'coordinate', 'coords', 'latlon', 'latlng', 'latlong', 'location',
+            'position', 'point', 'geometry', 'geom', 'thegeom', 'wkt', 'wktgeom', 'shape', 'geolocation']);
+
+        console.log('🧭 Suggested coordinate columns:', suggestion);
+        return suggestion;
     }
 
-    // Method to setup event listeners for a specific column's filter popup
-    setupColumnFilterPopupListeners(popup, column) {
-        // Filter type change - only affects this popup
-        const typeSelector = popup.querySelector('.filter-type');
-        if (typeSelector) {
-            typeSelector.addEventListener('change', (e) => {
-                this.handleColumnFilterTypeChange(column, e.target.value);
-            });
-        }
-        
-        // Apply filter button - only affects this column
-        const applyBtn = popup.querySelector('.apply-filter-btn');
-        if (applyBtn) {
-            applyBtn.addEventListener('click', () => {
-                this.handleApplyFilter(column);
-            });
-        }
-        
-        // Clear filter button - only affects this column
-        const clearBtn = popup.querySelector('.clear-filter-btn');
-        if (clearBtn) {
-            clearBtn.addEventListener('click', () => {
-                this.handleClearFilter(column);
+    // Returns the column whose values read as coordinate pairs, preferring the suggested one
+    findCombinedCoordinateColumn(data, suggested) {
+        const sample = data.slice(0, 20);
+        const holdsPairs = col => {
+            const values = sample.map(row => row[col]).filter(value => value && value.trim() !== '');
+            // Most values must read as pairs; a single number with a decimal comma ("48,13") is not one
+            const pairs = values.filter(value => {
+                if (CSVSniffer.DECIMAL_COMMA.test(value)) return false;
+                const pair = CoordinateParser.parsePair(value);
+                return pair !== null && this.isCoordinateInRange(pair.lat, pair.lon);
             });
-        }
+            return pairs.length > 0 && pairs.length >= values.length / 2;
+        };
+
+        if (suggested && holdsPairs(suggested)) return suggested;
+        return data.columns.find(holdsPairs) || null;
     }
 
-    // Method to handle filter type change for a specific column
-    handleColumnFilterTypeChange(column, newType) {
-        console.log(`🔄 Changing filter type for ${column} to ${newType}`);
-        
-        const popup = document.getElementById(`filter-popup-${column}`);
-        if (popup) {
-            // Store the selected type in the popup's dataset for persistence
-            popup.dataset.filterType = newType;
-            
-            const filterContent = popup.querySelector('.filter-content');
-            if (filterContent) {
-                filterContent.innerHTML = this.createFilterContent(column, this.originalCsvData, newType);
-            }
+    // Returns the column whose values are H3 cell indexes, preferring one named like "h3"
+    findH3Column(data) {
+        const sample = data.slice(0, 20);
+        const holdsCells = col => {
+            const values = sample.map(row => row[col]).filter(value => value && value.trim() !== '');
+            const cells = values.filter(value => CoordinateParser.parseH3(value) !== null);
+            return cells.length > 0 && cells.length >= values.length / 2;
+        };
+
+        const named = data.columns.filter(col => /^h3/i.test(col.trim()));
+        return [...named, ...data.columns].find(holdsCells) || null;
+    }
+
+    // Numeric column with a count per row, by its name. Aggregated (H3) tables get more
+    // generic names too – in point data a "value" is more likely a measurement.
+    suggestWeightColumn(data, isAggregated) {
+        const names = isAggregated
+            ? ['count', 'value', 'n', 'total', 'sum', 'points', 'weight']
+            : ['count', 'weight'];
+        const sample = data.slice(0, 20);
+        return data.columns.find(col => {
+            if (!names.includes(col.trim().toLowerCase().replace(/^(point|fire)_?/, ''))) return false;
+            const values = sample.map(row => row[col]).filter(value => value && value.trim() !== '');
+            return values.length > 0 && values.filter(value => !isNaN(Number(value))).length >= values.length / 2;
+        }) || null;
+    }
+
+    // Columns the coordinates are read from with the current mapping
+    getCoordinateColumnNames() {
+        switch (this.coordinateSource) {
+            case 'geometry':
+                return [];
+            case 'combined':
+                return [this.coordinateColumns.combined];
+            case 'h3':
+                return [this.coordinateColumns.h3];
+            default:
+                return [this.coordinateColumns.latitude, this.coordinateColumns.longitude];
         }
     }
 
-    // ================================================
-    // TOAST METHODS
-    // ================================================
+    // Validates the parsed rows with the current mapping and makes them available to the next steps
+    applyColumnMapping() {
+        // Everything downstream depends on the coordinates, so start from the parsed rows again
+        this.originalCsvData = null;
+        this.filteredCsvData = null;
+        this.areaSelectedCsvData = null;
+        this.validationReport = null;
+        this.projectedCoordinates = new WeakMap();
 
-    // Toast method
-    showToast(message, type = 'info') {
-        return ToastManager.show(message, type);
+        if (!this.parsedCsvData) return;
+
+        // Computed columns are kept for newly loaded files
+        this.applyComputedColumns();
+
+        try {
+            this.originalCsvData = this.validateCSVStructure(this.parsedCsvData);
+        } finally {
+            this.updateValidationReportUI();
+        }
     }
 
-    // ================================================
-    // AREA FILTERING METHODS
-    // ================================================
+    // Toast text for a successful validation, mentioning skipped rows if there are any
+    getValidationSummary() {
+        const report = this.validationReport;
+        const skipped = report.rejectedRows.length;
+        return `${report.validRows.toLocaleString()} rows${skipped > 0 ? ` (${skipped.toLocaleString()} invalid rows skipped)` : ''}`;
+    }
 
-    initializeAreaStep() {
-        console.log('��️ Initializing area selection step...');
-        
-        // Initialize the basic map
-        this.initializeBasicMap();
-        
-        // Setup rectangle drawing
-        this.setupRectangleDrawing();
-        
-        // Setup GeoJSON upload functionality
-        this.setupGeoJSONUpload();
-        
-        // Setup sample GeoJSON loading
-        this.setupSampleGeoJSONLoading();
+    getPointCoordinates(point) {
+        // Feature geometries take precedence over table columns
+        if (this.rowGeometries.has(point)) {
+            return this.rowGeometries.get(point) || { lat: NaN, lon: NaN };
+        }
 
-        // If the user set the spatial filter before, apply it
-        if (this.spatialFilter) {
-            this.applySpatialFilter();
+        // H3 cells are always WGS84
+        if (!this.crsTransform || this.coordinateSource === 'h3') {
+            return this.readCoordinateValues(point);
         }
-        
-        console.log('✅ Area step initialized');
-    }
 
-    initializeBasicMap() {
-        if (!this.maps.area) {
-            console.log('🗺️ Creating area selection map...');
-            
-            // Create Leaflet map
-            this.maps.area = L.map('map').setView([0, 0], 2);
-            
-            // Add OpenStreetMap tiles
-            L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-                attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-                maxZoom: 19
-            }).addTo(this.maps.area);
-            console.log('Tile layer created');
-            
-            // Initialize drawn items layer
-            this.drawnItems = new L.FeatureGroup();
-            this.maps.area.addLayer(this.drawnItems);
-            
-            console.log('✅ Basic map initialized');
+        // Reprojecting is comparatively slow and every step asks again, so keep the result per row
+        let coordinates = this.projectedCoordinates.get(point);
+        if (!coordinates) {
+            const { lat: y, lon: x } = this.readCoordinateValues(point);
+            coordinates = isNaN(x) || isNaN(y) ? { lat: NaN, lon: NaN } : this.crsTransform(x, y);
+            this.projectedCoordinates.set(point, coordinates);
         }
+        return coordinates;
     }
 
-    setupRectangleDrawing() {
-        console.log('🔧 Setting up rectangle drawing...');
-        
-        // Only setup if drawing controls don't already exist
-        if (document.querySelector('.leaflet-draw')) {
-            console.log('Drawing controls already exist, skipping setup');
-            return;
+    // Coordinates as written in the mapped column(s); x/y for projected systems, the centre for H3 cells
+    readCoordinateValues(point) {
+        if (this.coordinateSource === 'h3') {
+            const cell = CoordinateParser.parseH3(point[this.coordinateColumns.h3]);
+            if (!cell) return { lat: NaN, lon: NaN };
+            const [lat, lon] = h3.cellToLatLng(cell);
+            return { lat, lon };
         }
-        
 
-        // Create drawing control (rectangle only)
-        const drawControl = new L.Control.Draw({
-            draw: {
-                rectangle: true,
-                polygon: false,
-                polyline: false,
-                circle: false,
-                marker: false,
-                circlemarker: false
-            },
-            edit: false
-        });
+        if (this.coordinateSource === 'combined') {
+            return CoordinateParser.parsePair(point[this.coordinateColumns.combined]) || { lat: NaN, lon: NaN };
+        }
 
-        console.log('Draw control created:', drawControl);
-    
-        // Check if map exists before adding control
-        console.log('Map object:', this.maps.area);
-        console.log('Map container:', this.maps.area?._container);
-        
-        this.maps.area.addControl(drawControl);
-        console.log('Draw control added to map', drawControl);
+        return {
+            lat: CoordinateParser.parseValue(point[this.coordinateColumns.latitude]),
+            lon: CoordinateParser.parseValue(point[this.coordinateColumns.longitude])
+        };
+    }
 
-        // Check if the control is actually in the DOM
-        setTimeout(() => {
-            const drawContainer = document.querySelector('.leaflet-draw');
-            console.log('Draw container in DOM:', drawContainer);
-            console.log('Draw container HTML:', drawContainer?.outerHTML);
-        }, 100);
+    updateColumnMappingUI() {
+        const container = document.getElementById('column-mapping');
+        if (!container) return;
 
-        
-        // Handle drawing events
-        this.maps.area.on('draw:created', (event) => {
-            this.handleRectangleDrawn(event);
-        });
-        console.log('Drawing event listeners set up');
+        if (!this.parsedCsvData) {
+            container.innerHTML = '';
+            container.classList.add('hidden');
+            return;
+        }
 
-    }
+        if (this.coordinateSource === 'geometry') {
+            container.innerHTML = `
+                <h4>Coordinates</h4>
+                <p class="control-description">Coordinates are taken from the point geometry of each feature. All other properties are available as columns.</p>
+                ${this.getWeightInputHTML()}
+            `;
+            container.classList.remove('hidden');
+            return;
+        }
 
-    handleRectangleDrawn(event) {
-        console.log('📐 Rectangle drawn');
-        
-        const layer = event.layer;
-        
-        // Clear any existing drawings
-        this.drawnItems.clearLayers();
+        const columns = this.parsedCsvData.columns;
+        const createSelect = (key, label) => {
+            const selected = this.coordinateColumns[key];
+            const options = columns.map(col =>
+                `<option value="${escapeHTML(col)}" ${col === selected ? 'selected' : ''}>${escapeHTML(col)}</option>`
+            ).join('');
 
-        // Clear any existing GeoJSON layers
-        this.clearGeoJSONLayers();
-        
-        // Add the new rectangle
-        this.drawnItems.addLayer(layer);
+            return `
+                <label class="column-mapping-input">
+                    <span>${label}</span>
+                    <select id="${key}-column-select" class="sample-select" onchange="app.handleCoordinateColumnChange()">
+                        <option value="" ${selected ? '' : 'selected'}>Choose a column...</option>
+                        ${options}
+                    </select>
+                </label>
+            `;
+        };
 
-        // Make the rectangle editable
-        this.enableRectangleEditing(layer);
-        
-        // Store the bounds as spatial filter
-        this.spatialFilter = layer.getBounds();
-        
-        // Update filtered data
-        this.applySpatialFilter();
-        
-        // Update UI
-        this.updateAreaSelectionUI();
-        
-        // Enable next button
-        if (this.navigation) {
-            this.navigation.updateButtonStates();
+        const isCombined = this.coordinateSource === 'combined';
+        const isCells = this.coordinateSource === 'h3';
+        const isProjected = Boolean(this.crsTransform);
+        const formats = [
+            ['columns', 'Latitude and longitude columns'],
+            ['combined', 'One column with both'],
+            ['h3', 'H3 cell index']
+        ];
+
+        let inputs;
+        let description;
+        if (isCells) {
+            inputs = createSelect('h3', 'H3 cell');
+            description = 'Cells can have any resolution. Cells smaller than the hexagon size you choose later are rolled up into their parent cell and their counts added up.';
+        } else {
+            inputs = isCombined
+                ? createSelect('combined', 'Coordinates')
+                : `${createSelect('latitude', isProjected ? 'Y (northing)' : 'Latitude')}${createSelect('longitude', isProjected ? 'X (easting)' : 'Longitude')}`;
+            description = `
+                Decimal degrees and degrees-minutes-seconds (40°56'40.9"N) are understood.
+                ${isCombined ? 'A single column can hold WKT (POINT(31.39 40.94)) or "latitude, longitude" pairs.' : ''}
+            `;
         }
-        
-        this.showToast('Area selected successfully!', 'success');
+
+        container.innerHTML = `
+            <h4>Coordinate columns</h4>
+            <p class="control-description">We guessed which columns hold the coordinates. Change them if the guess is wrong.</p>
+            <div class="column-mapping-inputs">
+                <label class="column-mapping-input">
+                    <span>Format</span>
+                    <select id="coordinate-format-select" class="sample-select" onchange="app.handleCoordinateColumnChange()">
+                        ${formats.map(([value, label]) => `<option value="${value}" ${value === this.coordinateSource ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </label>
+                ${inputs}
+            </div>
+            <p class="control-description">${description}</p>
+            ${isCells ? '' : this.getCRSInputsHTML()}
+            ${this.getWeightInputHTML()}
+        `;
+        container.classList.remove('hidden');
     }
 
-    enableRectangleEditing(layer) {
-        // Create edit control for this specific layer
-        const editControl = new L.EditToolbar.Edit(this.maps.area, {
-            featureGroup: this.drawnItems
-        });
-        
-        // Enable editing mode
-        editControl.enable();
-        
-        // Listen for edit events to update the spatial filter
-        layer.on('edit', (e) => {
-            console.log('✏️ Rectangle edited');
-            const editedLayer = e.target;
-            
-            // Update spatial filter with new bounds
-            this.spatialFilter = editedLayer.getBounds();
-            
-            // Reapply spatial filter with new bounds
-            this.applySpatialFilter();
-            
-            // Update UI
-            this.updateAreaSelectionUI();
-            
-            this.showToast('Area updated!', 'success');
-        });
+    // Pre-aggregated data (one row per village, cell...) adds a count per row instead of 1
+    getWeightInputHTML() {
+        const columns = this.parsedCsvData.columns;
+        return `
+            <div class="column-mapping-inputs">
+                <label class="column-mapping-input">
+                    <span>Count per row</span>
+                    <select id="weight-column-select" class="sample-select" onchange="app.handleWeightColumnChange()">
+                        <option value="" ${this.weightColumn ? '' : 'selected'}>Each row counts as 1</option>
+                        ${columns.map(col => `<option value="${escapeHTML(col)}" ${col === this.weightColumn ? 'selected' : ''}>${escapeHTML(col)}</option>`).join('')}
+                    </select>
+                </label>
+            </div>
+            <p class="control-description">For tables with a count or value per row, such as incidents per village: hexagons add up this column instead of counting rows. Empty or non-numeric values count as 0.</p>
+        `;
+    }
+
+    handleWeightColumnChange() {
+        const select = document.getElementById('weight-column-select');
+        if (!select) return;
 
+        this.weightColumn = select.value || null;
+        this.showToast(this.weightColumn
+            ? `Hexagons add up "${this.weightColumn}"`
+            : 'Hexagons count one point per row', 'success');
     }
 
-    applySpatialFilter() {
-        if (!this.spatialFilter || !this.filteredCsvData) {
-            return;
+    getCRSInputsHTML() {
+        const crs = this.inputCrs;
+        const presets = CoordinateReferenceSystems.PRESETS.map(preset =>
+            `<option value="${preset.code}" ${preset.code === crs.code ? 'selected' : ''}>${preset.label}</option>`
+        ).join('');
+
+        let details = '';
+        if (crs.code === 'utm') {
+            const zones = Array.from({ length: 60 }, (_, i) => i + 1).map(zone =>
+                `<option value="${zone}" ${zone === crs.utmZone ? 'selected' : ''}>${zone}</option>`
+            ).join('');
+            details = `
+                <label class="column-mapping-input">
+                    <span>UTM zone</span>
+                    <select id="crs-utm-zone-select" class="sample-select" onchange="app.handleCRSChange()">${zones}</select>
+                </label>
+                <label class="column-mapping-input">
+                    <span>Hemisphere</span>
+                    <select id="crs-utm-hemisphere-select" class="sample-select" onchange="app.handleCRSChange()">
+                        <option value="north" ${crs.utmSouth ? '' : 'selected'}>North</option>
+                        <option value="south" ${crs.utmSouth ? 'selected' : ''}>South</option>
+                    </select>
+                </label>
+            `;
+        } else if (crs.code === 'custom') {
+            details = `
+                <label class="column-mapping-input crs-definition-input">
+                    <span>proj4 string or WKT (e.g. from epsg.io)</span>
+                    <input type="text" id="crs-definition-input" class="sample-select" value="${crs.definition.replace(/"/g, '&quot;')}" placeholder="+proj=utm +zone=33 +ellps=GRS80 +units=m +no_defs">
+                </label>
+                <button class="control-button" onclick="app.handleCRSChange()">Apply</button>
+            `;
         }
-        
-        console.log('🔍 Applying spatial filter...');
 
-        let filteredData;
-        
-        if (this.isLeafletBounds(this.spatialFilter)) {
-            // Rectangle filtering (fast)
-            filteredData = this.applyBoundingBoxFilter();
-        } else {
-            // GeoJSON filtering (hybrid approach)
-            filteredData = this.applyGeoJSONFilter();
+        return `
+            <div class="column-mapping-inputs">
+                <label class="column-mapping-input">
+                    <span>Coordinate system</span>
+                    <select id="crs-select" class="sample-select" onchange="app.handleCRSChange()">${presets}</select>
+                </label>
+                ${details}
+            </div>
+        `;
+    }
+
+    handleCRSChange() {
+        const select = document.getElementById('crs-select');
+        const zoneSelect = document.getElementById('crs-utm-zone-select');
+        const hemisphereSelect = document.getElementById('crs-utm-hemisphere-select');
+        const definitionInput = document.getElementById('crs-definition-input');
+
+        const crs = {
+            code: select ? select.value : this.inputCrs.code,
+            utmZone: zoneSelect ? parseInt(zoneSelect.value) : this.inputCrs.utmZone,
+            utmSouth: hemisphereSelect ? hemisphereSelect.value === 'south' : this.inputCrs.utmSouth,
+            definition: definitionInput ? definitionInput.value.trim() : this.inputCrs.definition
+        };
+
+        // Show the definition input but keep the current system until a definition is entered
+        if (crs.code === 'custom' && !crs.definition) {
+            this.inputCrs = crs;
+            this.updateColumnMappingUI();
+            return;
         }
-        
 
-        // Sanity check: if no points in selected area, warn and discard
-        if (filteredData.length === 0) {
-            this.showToast('⚠️ No data points found in selected area. Please choose a larger area.', 'warning');
-            
-            this.discardSpatialSelection()           
-            
+        // An unusable definition leaves the current system (and validated rows) in place
+        let transform;
+        try {
+            transform = CoordinateReferenceSystems.createTransform(crs);
+        } catch (error) {
+            this.showToast(error.message, 'warning');
             return;
         }
 
-        this.showToast('GeoJSON area loaded successfully', 'success');
-        
-        // Save to areaSelectedCsvData instead of filteredCsvData
-        this.areaSelectedCsvData = filteredData;
+        this.inputCrs = crs;
+        this.crsTransform = transform;
 
-        // Add points to map for visual feedback
-        this.addFilteredPointsToMap();
-        
-        console.log(`🔍 Spatial filtering: ${this.originalCsvData.length} → ${filteredData.length} points`);
+        console.log('🌐 Input coordinate system:', crs);
+
+        // Column labels and the UTM/custom inputs depend on the chosen system
+        this.updateColumnMappingUI();
+
+        try {
+            this.applyColumnMapping();
+            this.showToast(`Coordinates read as ${CoordinateReferenceSystems.getLabel(crs)}: ${this.getValidationSummary()}`, 'success');
+        } catch (error) {
+            this.showToast(error.message, 'warning');
+        }
 
+        if (this.navigation) {
+            this.navigation.updateButtonStates();
+        }
     }
 
-    discardSpatialSelection() {
-        console.log('🗑️ Discarding spatial selection due to zero points');
-        
-        // Clear the spatial filter
-        this.spatialFilter = null;
-        this.areaSelectedCsvData = null;
-        
-        // Clear the drawn rectangle from the map
-        if (this.drawnItems) {
-            this.drawnItems.clearLayers();
+    handleCoordinateColumnChange() {
+        // Selects of the other format aren't shown, so keep their previous values
+        const readSelect = key => {
+            const select = document.getElementById(`${key}-column-select`);
+            return select ? select.value || null : this.coordinateColumns[key];
+        };
+
+        this.coordinateColumns = {
+            latitude: readSelect('latitude'),
+            longitude: readSelect('longitude'),
+            combined: readSelect('combined'),
+            h3: readSelect('h3')
+        };
+
+        const formatSelect = document.getElementById('coordinate-format-select');
+        if (formatSelect && formatSelect.value !== this.coordinateSource) {
+            this.coordinateSource = formatSelect.value;
+            this.updateColumnMappingUI();
         }
-        
-        // Clear GeoJSON layer if it exists
-        if (this.geojsonLayer) {
-            this.maps.area.removeLayer(this.geojsonLayer);
-            this.geojsonLayer = null;
+
+        try {
+            this.applyColumnMapping();
+            const columnNames = this.getCoordinateColumnNames().map(col => `"${col}"`).join(' and ');
+            this.showToast(`Using ${columnNames} as coordinates: ${this.getValidationSummary()}`, 'success');
+        } catch (error) {
+            this.showToast(error.message, 'warning');
         }
-        
-        // Clear points layer
-        this.clearPointsLayer();
 
-        // Disable next button since no valid selection
         if (this.navigation) {
             this.navigation.updateButtonStates();
         }
     }
 
-    isLeafletBounds(spatialFilter) {
-        return spatialFilter._southWest && spatialFilter._northEast;
+    async loadSampleCSV(url) {
+        console.log('📂 Loading sample CSV from:', url);
+        return this.loadDataFromURL(url);
     }
 
-    applyBoundingBoxFilter() {
-        const bounds = this.spatialFilter;
-        return this.filteredCsvData.filter(point => {
-            const lat = parseFloat(point.latitude);
-            const lng = parseFloat(point.longitude);
-            
-            return lat >= bounds.getSouth() && 
-                   lat <= bounds.getNorth() && 
-                   lng >= bounds.getWest() && 
-                   lng <= bounds.getEast();
-        });
-    }
+    // Fetches a data file and hands it to the same readers as an upload
+    async loadDataFromURL(url, filename = null) {
+        console.log('🌐 Loading data from URL:', url);
 
-    applyGeoJSONFilter() {
-        // Stage 1: Bounding box pre-filter
-        const bounds = this.getGeoJSONBounds(this.spatialFilter);
-        const bboxFiltered = this.filteredCsvData.filter(point => {
-            const lat = parseFloat(point.latitude);
-            const lon = parseFloat(point.longitude);
-            return lat >= bounds.south && lat <= bounds.north &&
-                   lon >= bounds.west && lon <= bounds.east;
-        });
-        
-        console.log(`🗺️ Stage 1 - Bounding box filter: ${this.filteredCsvData.length} → ${bboxFiltered.length} points`);
-        
-        // Stage 2: Precise Turf.js filtering
-        const pointFeatures = bboxFiltered.map(point => 
-            turf.point([parseFloat(point.longitude), parseFloat(point.latitude)])
-        );
-        const pointsCollection = turf.featureCollection(pointFeatures);
-        
-        const pointsWithin = turf.pointsWithinPolygon(pointsCollection, this.spatialFilter);
-        console.log(`🗺️ Stage 2 - pointsWithinPolygon: ${bboxFiltered.length} → ${pointsWithin.features.length} points`);
-        
-        // Map back to original data
-        const filteredCoordinates = pointsWithin.features.map(feature => feature.geometry.coordinates);
-        const filtered = bboxFiltered.filter(point => {
-            const pointCoords = [parseFloat(point.longitude), parseFloat(point.latitude)];
-            return filteredCoordinates.some(coord => 
-                coord[0] === pointCoords[0] && coord[1] === pointCoords[1]
-            );
-        });
+        // Show loading toast
+        const loadingToast = this.showToast('Fetching data...', 'loading');
         
-        console.log(`🗺️ Total filtering result: ${this.filteredCsvData.length} → ${filtered.length} points`);
-        return filtered;
-    }
+        try {
+            let response;
+            try {
+                response = await fetch(url);
+            } catch (error) {
+                // Network and CORS problems both surface as a bare TypeError
+                throw new Error('Could not reach the server – check the URL and that the server allows cross-origin requests');
+            }
 
-    getGeoJSONBounds(geojson) {
-        let minLat = Infinity, maxLat = -Infinity;
-        let minLon = Infinity, maxLon = -Infinity;
-        
-        function processCoordinates(coords) {
-            if (Array.isArray(coords[0])) {
-                coords.forEach(processCoordinates);
-            } else {
-                const [lon, lat] = coords;
-                minLat = Math.min(minLat, lat);
-                maxLat = Math.max(maxLat, lat);
-                minLon = Math.min(minLon, lon);
-                maxLon = Math.max(maxLon, lon);
+            if (!response.ok) {
+                const message = (await response.text()).trim().split('\n')[0];
+                throw new Error(`HTTP ${response.status}: ${message || response.statusText}`);
             }
-        }
-        
-        if (geojson.type === 'FeatureCollection') {
-            geojson.features.forEach(feature => {
-                if (feature.geometry) {
-                    processCoordinates(feature.geometry.coordinates);
+
+            // Update loading message
+            ToastManager.updateLoadingToast(loadingToast, 'Processing data...', 'loading');
+            
+            const blob = await response.blob();
+
+            // APIs like FIRMS answer some errors (e.g. a wrong map key) with a one-line message instead of data
+            if (blob.size < 1024) {
+                const text = (await this.readFileAsText(blob)).trim();
+                if (text && !/[\n,;\t|]/.test(text)) {
+                    throw new Error(text);
                 }
-            });
-        } else if (geojson.type === 'Feature') {
-            if (geojson.geometry) {
-                processCoordinates(geojson.geometry.coordinates);
             }
-        } else if (geojson.type === 'Geometry') {
-            processCoordinates(geojson.coordinates);
+            
+            // Create a File object so the format is picked from its name like for uploads
+            const file = new File([blob], filename || this.getFilenameFromURL(url, blob.type), { type: blob.type });
+            
+            await this.handleDataFile(file);
+
+            // Remove the loading toast (the file handlers show their own result)
+            ToastManager.removeLoadingToast(loadingToast);
+            
+        } catch (error) {
+            console.error('❌ Failed to load data from URL:', error);
+            // Update loading toast to error
+            ToastManager.updateLoadingToast(loadingToast, `Failed to load data: ${error.message}`, 'error');
+            // Don't reset upload state here - just show the error
         }
-        
-        return {
-            south: minLat,
-            north: maxLat,
-            west: minLon,
-            east: maxLon
+    }
+
+    // Uses the last path segment, adding an extension from the content type if it has no known one
+    getFilenameFromURL(url, contentType) {
+        let name = '';
+        try {
+            name = decodeURIComponent(new URL(url, window.location.href).pathname.split('/').pop());
+        } catch (error) {
+            name = '';
+        }
+
+        if (this.supportedFileExtensions.includes(name.split('.').pop().toLowerCase())) {
+            return name;
+        }
+
+        const extensions = {
+            'application/geo+json': 'geojson',
+            'application/json': 'json',
+            'application/vnd.google-earth.kml+xml': 'kml',
+            'application/vnd.google-earth.kmz': 'kmz',
+            'application/zip': 'zip',
+            'application/gzip': 'gz',
+            'application/x-gzip': 'gz',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx'
         };
+        const extension = extensions[(contentType || '').split(';')[0].trim()] || 'csv';
+        return `${name || 'data'}.${extension}`;
     }
 
-    handleGeoJSONUpload(event) {
-        const file = event.target.files[0];
-        if (file) {
-            console.log('📁 GeoJSON file selected:', file.name);
-            
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                try {
-                    const geojson = JSON.parse(e.target.result);
-                    console.log('��️ GeoJSON loaded:', geojson.type);
-                    
-                    // Clear any existing selections
-                    this.clearAreaSelection();
-                    
-                    // Add GeoJSON to map
-                    this.addGeoJSONToMap(geojson);
-                    
-                    // Set as spatial filter
-                    this.spatialFilter = geojson;
-                    
-                    // Apply spatial filter with Turf.js
-                    this.applySpatialFilter();
-                    
-                    // Update button states since area is now selected
-                    if (this.navigation) {
-                        this.navigation.updateButtonStates();
-                    }
-                    
-                } catch (error) {
-                    console.error('❌ Invalid GeoJSON file:', error);
-                    this.showToast('Invalid GeoJSON file', 'error');
-                }
-            };
-            reader.readAsText(file);
+    updateUploadSuccess(filename, rowCount) {
+        const uploadArea = document.getElementById('upload-area');
+        
+        if (uploadArea) {
+            uploadArea.innerHTML = `
+                <div class="upload-icon">✅</div>
+                <h3>File loaded successfully!</h3>
+                <p>${escapeHTML(filename)}</p>
+                <p class="file-info">${rowCount.toLocaleString()} rows loaded</p>
+                <button class="change-file-btn" onclick="app.changeFile()">Change File</button>
+            `;
         }
     }
-    
-    addGeoJSONToMap(geojson) {
-        // Clear existing GeoJSON layers
-        this.clearGeoJSONLayers();
+
+    changeFile() {
+        console.log('🔄 User requested file change...');
+        this.resetUploadState();
+    }
+
+    resetUploadState() {
+        console.log('🔄 Resetting upload state...');
         
-        // Add new GeoJSON layer
-        const geojsonLayer = L.geoJSON(geojson, {
-            style: {
-                color: '#4facfe',
-                weight: 2,
-                fillColor: '#4facfe',
-                fillOpacity: 0.2
-            }
-        }).addTo(this.maps.area);
+        // Clear data
+        this.csvData = null;
+        this.parsedCsvData = null;
+        this.originalCsvData = null;
+        this.filteredCsvData = null;
+        this.dataSources = [];
+        this.activeSourceIndex = 0;
+        this.addingSource = false;
+        this.replacingSources = false;
+        this.coordinateSource = 'columns';
+        this.coordinateColumns = { latitude: null, longitude: null, combined: null, h3: null };
+        this.weightColumn = null;
+        this.inputCrs = { code: 'EPSG:4326', utmZone: 32, utmSouth: false, definition: '' };
+        this.crsTransform = null;
+        this.validationReport = null;
+        this.excelWorkbook = null;
+        this.csvFile = null;
+        this.csvOptions = null;
+        this.detectedCsvOptions = null;
         
-        // Store reference to remove later
-        this.geojsonLayer = geojsonLayer;
+        // Reset UI to upload area
+        this.resetUploadUI();
         
-        // Fit map to GeoJSON bounds
-        this.maps.area.fitBounds(geojsonLayer.getBounds());
+        // Update button states
+        if (this.navigation) {
+            this.navigation.updateButtonStates();
+        }
         
-        console.log('🗺️ GeoJSON added to map');
+        console.log('✅ Upload state reset complete');
     }
-    
-    clearGeoJSONLayers() {
-        if (this.geojsonLayer) {
-            this.maps.area.removeLayer(this.geojsonLayer);
-            this.geojsonLayer = null;
+
+    resetUploadUI() {
+        const uploadArea = document.getElementById('upload-area');
+        if (uploadArea) {
+            uploadArea.innerHTML = `
+                <div class="upload-icon">📁</div>
+                <h3>Drop your file here</h3>
+                <p>CSV (also .zip or .gz), Excel (.xlsx), GeoJSON, KML/KMZ or zipped shapefile points – or click to browse</p>
+                <input type="file" id="csv-upload" accept="${this.supportedFileExtensions.map(ext => `.${ext}`).join(',')}" multiple style="display: none;">
+            `;
+            
+            // Re-setup listeners for the new upload area
+            this.setupFileInputListeners();
+            this.setupDragAndDrop();
         }
+
+        this.hideSourcePicker();
+        this.updateDataSourcesUI();
+        this.updateCSVOptionsUI();
+        this.updateColumnMappingUI();
+        this.updateValidationReportUI();
     }
-    
-    clearAreaSelection() {
-        // Clear drawn items
-        if (this.drawnItems) {
-            this.drawnItems.clearLayers();
+
+
+    // ================================
+    // FILTER AND PREVIEW STEP METHODS
+    // ================================
+
+    initializeFilterStep() {
+        console.log('🔍 Initializing filter step...');
+        
+        // Initialize filteredCsvData with original data so user can proceed without filters
+        if (!this.filteredCsvData) {
+            this.filteredCsvData = this.originalCsvData;
         }
         
-        // Clear GeoJSON layers
-        this.clearGeoJSONLayers();
+        // Create data preview
+        this.setupDataTable();
+        this.createDataPreview();
 
-        // Clear points layer
-        this.clearPointsLayer();
-        
-        // Reset spatial filter
-        this.spatialFilter = null;
-        this.areaSelectedCsvData = null;
-    }
+        // Detected column types, empty values and ranges
+        this.updateColumnProfilesUI();
 
-    setupSampleGeoJSONLoading() {
-        const sampleSelect = this.elements.sampleGeojsonSelect;
+        // Initialize active filters display
+        this.updateActiveFiltersDisplay();
+        this.setupFilterPresets();
+        this.setupComputedColumns();
         
-        if (sampleSelect) {
-            sampleSelect.addEventListener('change', async (event) => {
-                const url = event.target.value;
-                if (!url) return;
-                
-                try {
-                    const response = await fetch(url);
-                    if (!response.ok) {
-                        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                    }
-                    
-                    const geojson = await response.json();
-                    
-                    // Clear any existing selections
-                    this.clearAreaSelection();
-                    
-                    // Add GeoJSON to map
-                    this.addGeoJSONToMap(geojson);
-                    
-                    // Set as spatial filter
-                    this.spatialFilter = geojson;
-                    
-                    // Apply spatial filter
-                    this.applySpatialFilter();
-                    
-                    // Update button states since area is now selected
-                    if (this.navigation) {
-                        this.navigation.updateButtonStates();
-                    }
-                    
-                    // Reset selection
-                    sampleSelect.value = '';
-                    
-                } catch (error) {
-                    console.error('❌ Failed to load sample GeoJSON:', error);
-                    this.showToast(`Failed to load sample: ${error.message}`, 'error');
-                    sampleSelect.value = '';
-                }
-            });
+        // Update button states to ensure navigation is available
+        if (this.navigation) {
+            this.navigation.updateButtonStates();
         }
+        
+        console.log('✅ Filter step initialized');
     }
 
-    setupGeoJSONUpload() {
-        const uploadGeojson = this.elements.uploadGeojson;
-        const geojsonUpload = this.elements.geojsonUpload;
-        
-        if (uploadGeojson && geojsonUpload) {
-            uploadGeojson.addEventListener('click', () => geojsonUpload.click());
-            geojsonUpload.addEventListener('change', (event) => {
-                this.handleGeoJSONUpload(event);
-            });
+    createDataPreview() {
+        const data = this.originalCsvData;
+        if (!data || data.length === 0) {
+            this.showToast('No data to preview', 'error');
+            return;
         }
+
+        // Rows left by the filters, when coming back to this step
+        this.updateFilteredPreview(this.filteredCsvData || data);
     }
 
-    updateAreaSelectionUI() {
-        // Show selected area info
-        const bounds = this.spatialFilter;
-        const coords = {
-            north: bounds.getNorth().toFixed(4),
-            south: bounds.getSouth().toFixed(4),
-            east: bounds.getEast().toFixed(4),
-            west: bounds.getWest().toFixed(4)
+    createDataTableState() {
+        return {
+            source: null,          // Filtered rows
+            rows: [],              // source after search and sort
+            search: '',
+            sortColumn: null,      // null keeps the file's order
+            sortDescending: false,
+            highlightedRow: null,  // Index in rows of the row jumped to
+            searchTimer: null,
+            renderPending: false
         };
-        
-        console.log('📍 Selected area coordinates:', coords);
-        
-        // You can add a visual indicator here if needed
-        // For now, we'll just log it
     }
 
-    clearSpatialFilter() {
-        console.log('🗑️ Clearing spatial filter...');
-        
-        // Clear data state
-        this.spatialFilter = null;
-        this.areaSelectedCsvData = null;
-        
-        // Update filter display
-        //this.updateActiveFiltersDisplay();
-        
-        // Clear map visuals
-        this.clearMapVisuals();
-        
-        // Update button states
-        if (this.navigation) {
-            this.navigation.updateButtonStates();
+    setupDataTable() {
+        const search = document.getElementById('table-search');
+        if (search) {
+            search.value = this.dataTable.search;
+            search.oninput = () => this.handleTableSearch(search.value);
         }
-        
-        this.showToast('Geographic area filter removed', 'info');
-    }
 
-    clearMapVisuals() {
-        if (this.currentStep === 4 && this.maps.area) {
-            // Clear drawn items
-            if (this.drawnItems) {
-                this.drawnItems.clearLayers();
-            }
-            
-            // Reset map view
-            this.maps.area.setView([0, 0], 2);
+        const jump = document.getElementById('table-jump');
+        const jumpButton = document.getElementById('table-jump-button');
+        if (jump) {
+            jump.onkeydown = (event) => {
+                if (event.key === 'Enter') this.jumpToTableRow(jump.value);
+            };
+        }
+        if (jump && jumpButton) {
+            jumpButton.onclick = () => this.jumpToTableRow(jump.value);
         }
     }
 
+    // Search, then sort, the rows the table shows
+    updateTableRows() {
+        const table = this.dataTable;
+        const columns = this.originalCsvData.columns;
+        let rows = table.source || [];
 
-    addFilteredPointsToMap() {
+        // A computed column that was sorted by may have been removed
+        if (table.sortColumn && !columns.includes(table.sortColumn)) {
+            table.sortColumn = null;
+        }
 
-        console.log('🎯 addFilteredPointsToMap called!'); 
-        console.log('Data:', this.areaSelectedCsvData);
+        rows = TableView.search(rows, columns, table.search);
+        if (table.sortColumn) {
+            const profiles = this.getColumnProfiles();
+            const profile = profiles && profiles.columns[table.sortColumn];
+            rows = TableView.sort(rows, table.sortColumn, profile ? profile.type : 'categorical', table.sortDescending);
+        }
 
-        // Clear existing points
-        this.clearPointsLayer();
-        
-        const pointCount = this.areaSelectedCsvData.length;
-        console.log('Point count:', pointCount); // ← Add this
+        table.rows = rows;
+        table.highlightedRow = null;
+        this.updatePreviewInfo(table.source ? table.source.length : 0, rows.length);
+    }
 
-        
-        // Don't display if too many points
-        if (pointCount > this.maxPointsToDisplay) {
-            this.showToast(`⚠️ Too many points (${pointCount.toLocaleString()}) to display on map. Data will still be processed.`, 'warning');
+    createPreviewTable() {
+        const previewContainer = document.getElementById('data-preview');
+        if (!previewContainer) return;
+
+        const columns = this.originalCsvData.columns;
+        const rows = this.dataTable.rows;
+
+        // Clear existing content
+        previewContainer.innerHTML = '';
+        previewContainer.scrollTop = 0;
+
+        if (rows.length === 0) {
+            previewContainer.innerHTML = this.dataTable.search
+                ? '<p>No rows contain the search text</p>'
+                : '<p>No data to display</p>';
             return;
         }
         
-        // Choose display method based on point count
-        if (pointCount > 1000) {
-            // Use clustering for medium datasets
-            console.log('🎯 Using clustering for', pointCount, 'points');
-            this.addClusteredPoints();
-        } else {
-            // Use simple markers for small datasets
-            console.log('🎯 Using simple points for', pointCount, 'points');
-            this.addSimplePoints();
-        }
+        // Create table using D3
+        const table = d3.select(previewContainer)
+            .append('table')
+            .attr('class', 'preview-table');
         
-        console.log(`🗺️ Added ${pointCount} points to map`);
-    }
-    
-    addSimplePoints() {
+        // Create header
+        const header = table.append('thead').append('tr');
+        header.append('th')
+            .attr('class', 'row-number')
+            .text('#');
+
+        const headerCells = header.selectAll('th.column')
+            .data(columns)
+            .enter()
+            .append('th')
+            .attr('class', 'column');
         
-        const customIcon = L.divIcon({
-            html: '<div class="custom-marker"></div>',
-            className: 'my-marker-icon',
-            iconSize: [12, 12]
-        });
-    
-        this.pointsLayer = L.layerGroup();
-    
-        this.areaSelectedCsvData.forEach(point => {
-            const marker = L.marker([point.latitude, point.longitude], {
-                icon: customIcon
-        });
-    
-        // Add popup with point info
-        marker.bindPopup(`
-            <strong>Point Data</strong><br>
-            Lat: ${point.latitude}<br>
-            Lon: ${point.longitude}<br>
-            ${this.getAdditionalPointInfo(point)}
-        `);
-            
-            this.pointsLayer.addLayer(marker);
-        });
+        // Add column name; clicking it sorts by the column
+        const sortColumn = this.dataTable.sortColumn;
+        headerCells.append('div')
+            .attr('class', 'column-header')
+            .classed('sorted', d => d === sortColumn)
+            .attr('title', 'Sort by this column')
+            .text(d => d)
+            .on('click', (event, column) => this.sortTableBy(column))
+            .append('span')
+            .attr('class', 'sort-indicator')
+            .text(d => d === sortColumn ? (this.dataTable.sortDescending ? ' ▼' : ' ▲') : '');
+
+        // Add the detected type
+        const profiles = this.getColumnProfiles();
+        headerCells.append('div')
+            .attr('class', 'column-type')
+            .text(d => profiles && profiles.columns[d] ? ColumnProfiler.TYPE_LABELS[profiles.columns[d].type] : '');
+
+
+        // Add filter icon below each column name
+        headerCells.append('div')
+            .attr('class', 'filter-icon')
+            .attr('data-column', d => d)
+            .html('<span class=\'table-icon\'>Filter <i class="si-filter"></i></span>')
+            .style('cursor', 'pointer')
+            .on('click', (event, column) => {
+                this.openFilterPopup(column, this.originalCsvData);
+            });
         
-        this.maps.area.addLayer(this.pointsLayer);
+        // Rows are drawn as they scroll into view
+        table.append('tbody');
+        previewContainer.onscroll = () => {
+            if (this.dataTable.renderPending) return;
+            this.dataTable.renderPending = true;
+            requestAnimationFrame(() => {
+                this.dataTable.renderPending = false;
+                this.renderTableRows();
+            });
+        };
+
+        this.renderTableRows();
     }
-    
-    addClusteredPoints() {
-        // Check if MarkerCluster is available
-        if (typeof L.markerClusterGroup === 'undefined') {
-            console.warn('MarkerCluster not available, falling back to simple points');
-            this.addSimplePoints();
+
+    // Draws the rows in view between two spacer rows that keep the scroll height
+    renderTableRows() {
+        const previewContainer = document.getElementById('data-preview');
+        const tbodyNode = previewContainer && previewContainer.querySelector('.preview-table tbody');
+        if (!tbodyNode) return;
+
+        const columns = this.originalCsvData.columns;
+        const rows = this.dataTable.rows;
+        const { first, last, top, bottom } = TableView.getVisibleRange(
+            rows.length,
+            previewContainer.scrollTop - this.getTableScrollStart(),
+            previewContainer.clientHeight || 400
+        );
+
+        const tbody = d3.select(tbodyNode);
+        tbody.html('');
+
+        const addSpacer = (height) => {
+            tbody.append('tr')
+                .attr('class', 'table-spacer')
+                .append('td')
+                .attr('colspan', columns.length + 1)
+                .style('height', `${height}px`);
+        };
+
+        addSpacer(top);
+
+        const visibleRows = tbody.selectAll('tr.data-row')
+            .data(rows.slice(first, last).map((row, i) => ({ row: row, index: first + i })))
+            .enter()
+            .append('tr')
+            .attr('class', 'data-row')
+            .classed('striped', d => d.index % 2 === 1)
+            .classed('highlighted', d => d.index === this.dataTable.highlightedRow);
+
+        visibleRows.append('td')
+            .attr('class', 'row-number')
+            .text(d => (d.index + 1).toLocaleString());
+
+        // Add cells
+        visibleRows.selectAll('td.value')
+            .data(d => columns.map(col => d.row[col]))
+            .enter()
+            .append('td')
+            .attr('class', 'value')
+            .attr('title', d => d || '')
+            .text(d => d || 'N/A');
+
+        addSpacer(bottom);
+    }
+
+    // Scroll position at which the first row sits just below the sticky header
+    getTableScrollStart() {
+        const previewContainer = document.getElementById('data-preview');
+        const tbody = previewContainer && previewContainer.querySelector('.preview-table tbody');
+        const thead = previewContainer && previewContainer.querySelector('.preview-table thead');
+        if (!tbody || !thead) return 0;
+
+        const bodyTop = tbody.getBoundingClientRect().top - previewContainer.getBoundingClientRect().top + previewContainer.scrollTop;
+        return bodyTop - thead.offsetHeight;
+    }
+
+    // Ascending, then descending, then back to the file's order
+    sortTableBy(column) {
+        const table = this.dataTable;
+        if (table.sortColumn !== column) {
+            table.sortColumn = column;
+            table.sortDescending = false;
+        } else if (!table.sortDescending) {
+            table.sortDescending = true;
+        } else {
+            table.sortColumn = null;
+        }
+
+        console.log('↕️ Sorting table by:', table.sortColumn || 'file order', table.sortDescending ? '(descending)' : '');
+        this.updateTableRows();
+        this.createPreviewTable();
+    }
+
+    handleTableSearch(text) {
+        // Wait for a pause in typing, searching every row is not free
+        clearTimeout(this.dataTable.searchTimer);
+        this.dataTable.searchTimer = setTimeout(() => {
+            this.dataTable.search = text;
+
+            // The data may have been cleared (a new file) while waiting
+            if (!this.originalCsvData) return;
+            this.updateTableRows();
+            this.createPreviewTable();
+        }, 250);
+    }
+
+    // Scrolls to a row number as shown in the # column and marks the row
+    jumpToTableRow(value) {
+        const rows = this.dataTable.rows;
+        const number = parseInt(value, 10);
+        if (!(number >= 1 && number <= rows.length)) {
+            this.showToast(`Enter a row number from 1 to ${rows.length.toLocaleString()}`, 'warning');
             return;
         }
 
-        
-        this.pointsLayer = L.markerClusterGroup({
-            chunkedLoading: true,
-            maxClusterRadius: 50,
-            spiderfyOnMaxZoom: true,
-            showCoverageOnHover: true,
-            zoomToBoundsOnClick: true
-        });
+        const previewContainer = document.getElementById('data-preview');
+        if (!previewContainer) return;
 
-        const customIcon = L.divIcon({
-            html: '<div class="custom-marker"></div>',
-            className: 'my-marker-icon',
-            iconSize: [12, 12]
-        });
-        
-        this.areaSelectedCsvData.forEach(point => {
-            const marker = L.marker([point.latitude, point.longitude], {
-                icon: customIcon
-            });
-            
-            // Add popup with point info
-            marker.bindPopup(`
-                <strong>Point Data</strong><br>
-                Lat: ${point.latitude}<br>
-                Lon: ${point.longitude}<br>
-                ${this.getAdditionalPointInfo(point)}
-            `);
-            
-            this.pointsLayer.addLayer(marker);
+        const viewportHeight = previewContainer.clientHeight || 400;
+        const ratio = TableView.getScrollRatio(rows.length, viewportHeight);
+        this.dataTable.highlightedRow = number - 1;
+        previewContainer.scrollTop = this.getTableScrollStart() + (number - 1) * TableView.ROW_HEIGHT / ratio;
+        this.renderTableRows();
+    }
+
+    // Profiles of all columns, computed once per dataset
+    getColumnProfiles() {
+        const data = this.originalCsvData;
+        if (!data) return null;
+
+        if (!this.columnProfiles || this.columnProfiles.source !== data) {
+            console.log('📊 Profiling columns...');
+            this.columnProfiles = { source: data, ...ColumnProfiler.profileColumns(data) };
+            console.log('📊 Column types:', Object.fromEntries(
+                Object.entries(this.columnProfiles.columns).map(([col, profile]) => [col, profile.type])
+            ));
+        }
+
+        return this.columnProfiles;
+    }
+
+    updateColumnProfilesUI() {
+        const container = document.getElementById('column-profiles');
+        if (!container) return;
+
+        container.innerHTML = '';
+        const profiles = this.getColumnProfiles();
+        if (!profiles) return;
+
+        const note = document.getElementById('column-profiles-note');
+        if (note) {
+            note.textContent = profiles.sampled
+                ? `Based on a sample of ${profiles.sampleSize.toLocaleString()} of ${profiles.source.length.toLocaleString()} rows`
+                : `Based on all ${profiles.source.length.toLocaleString()} rows`;
+        }
+
+        // Built with D3 so column names and values are inserted as text
+        this.originalCsvData.columns.forEach(column => {
+            const profile = profiles.columns[column];
+            const card = d3.select(container).append('div').attr('class', 'column-profile');
+
+            const header = card.append('div').attr('class', 'column-profile-header');
+            header.append('strong').text(column);
+            header.append('span')
+                .attr('class', `column-type column-type-${profile.type}`)
+                .text(ColumnProfiler.TYPE_LABELS[profile.type]);
+
+            const stats = card.append('ul').attr('class', 'column-profile-stats');
+            const addStat = (label, value) => {
+                const item = stats.append('li');
+                item.append('span').text(label);
+                item.append('strong').text(value);
+            };
+
+            addStat('Empty', `${profile.empty.toLocaleString()} (${Math.round(profile.empty / Math.max(profile.count, 1) * 100)}%)`);
+            addStat('Distinct', profile.distinct.toLocaleString());
+
+            if (profile.type === 'numeric') {
+                addStat('Min', ColumnProfiler.formatNumber(profile.min));
+                addStat('Max', ColumnProfiler.formatNumber(profile.max));
+            } else if (profile.type === 'date') {
+                addStat('From', ColumnProfiler.formatDate(profile.min, profile.hasTime));
+                addStat('To', ColumnProfiler.formatDate(profile.max, profile.hasTime));
+            } else {
+                profile.topValues.forEach(([value, count]) => addStat(value === '' ? '(empty)' : value, count.toLocaleString()));
+            }
+
+            if (profile.histogram) {
+                this.drawMiniHistogram(card.append('div').attr('class', 'column-profile-histogram').node(), profile.histogram);
+            }
+
+            card.append('button')
+                .attr('class', 'control-button')
+                .text('Filter')
+                .on('click', () => this.openFilterPopup(column, this.originalCsvData));
         });
-        
-        this.maps.area.addLayer(this.pointsLayer);
     }
 
-    getAdditionalPointInfo(point) {
-        // Add any additional columns from your CSV data
-        const additionalInfo = [];
-        
-        // Common fire data columns
-        if (point.confidence) additionalInfo.push(`Confidence: ${point.confidence}`);
-        if (point.acq_date) additionalInfo.push(`Date: ${point.acq_date}`);
-        if (point.acq_time) additionalInfo.push(`Time: ${point.acq_time}`);
-        
-        return additionalInfo.length > 0 ? additionalInfo.join('<br>') : '';
+    drawMiniHistogram(container, bins) {
+        const width = 160;
+        const height = 36;
+        const x = d3.scaleLinear().domain([0, bins.length]).range([0, width]);
+        const y = d3.scaleLinear().domain([0, d3.max(bins, d => d.length) || 1]).range([height, 0]);
+
+        const svg = d3.select(container).append('svg')
+            .attr('width', width)
+            .attr('height', height);
+
+        svg.selectAll('rect')
+            .data(bins)
+            .enter()
+            .append('rect')
+            .attr('x', (d, i) => x(i) + 1)
+            .attr('y', d => y(d.length))
+            .attr('width', Math.max(1, width / bins.length - 2))
+            .attr('height', d => height - y(d.length))
+            .attr('fill', 'var(--primary-color)')
+            .append('title')
+            .text(d => `${d.length.toLocaleString()} rows`);
     }
-    
-    clearPointsLayer() {
-        if (this.pointsLayer) {
-            this.maps.area.removeLayer(this.pointsLayer);
-            this.pointsLayer = null;
+
+    updatePreviewInfo(totalRows, shownRows) {
+        const previewInfo = document.getElementById('preview-info');
+        if (previewInfo) {
+            const search = this.dataTable.search.trim();
+            const text = search
+                ? `${shownRows.toLocaleString()} of ${totalRows.toLocaleString()} rows contain "${search}"`
+                : `Showing all ${totalRows.toLocaleString()} rows`;
+            previewInfo.innerHTML = '<p></p>';
+            previewInfo.querySelector('p').textContent = text;
         }
     }
 
-    // ================================================
-    // RESOLUTION AND H3 PROCESSING METHODS
-    // ================================================
 
-    initializeResolutionStep() {
-        console.log('🔷 Initializing resolution step...');
-        
-        // Initialize the preview map
-        this.initializePreviewMap();
-        
-        // Setup resolution controls
-        this.setupResolutionControls();
-        
-        // Setup bin controls
-        this.setupBinControls();
+    // options.groupId: group a new rule goes into (the top-level group by default)
+    // options.ruleId: rule to edit instead of adding one
+    openFilterPopup(column, data, options = {}) {
+        console.log(` Opening filter popup for column: ${column}`);
         
-        // Generate default colors for the current bin settings
-        this.generateDefaultColors();
+        // Create or get the popup for this specific column
+        let popup = document.getElementById(`filter-popup-${column}`);
         
-        // Auto-generate hexagons with default values if we have data
-        if (this.areaSelectedCsvData && this.areaSelectedCsvData.length > 0) {
-            this.generateHexagonsInitial();
+        if (!popup) {
+            // Create new popup for this column
+            popup = this.createColumnFilterPopup(column);
+            document.body.appendChild(popup);
+        }
+
+        const found = options.ruleId ? FilterTree.find(this.filterTree, options.ruleId) : null;
+        const rule = found ? found.node : null;
+        popup.dataset.ruleId = rule ? rule.id : '';
+        popup.dataset.groupId = options.groupId || '';
+        if (rule) {
+            popup.dataset.filterType = rule.filter.type;
         }
         
-        // Update button states
-        if (this.navigation) {
-            this.navigation.updateButtonStates();
+        // Update the popup content
+        this.updateColumnFilterPopup(popup, column, data);
+        if (rule) {
+            this.fillFilterInputs(popup, rule.filter);
+            popup.querySelector('.filter-popup-title').textContent = `Edit filter: ${column}`;
         }
         
-        console.log('✅ Resolution step initialized');
+        // Show this specific popup
+        popup.style.display = 'flex';
+        
+        // Hide all other popups
+        this.hideOtherFilterPopups(column);
     }
 
-    initializePreviewMap() {
-        if (!this.maps.preview) {
-            console.log('🗺️ Creating preview map...');
-            
-            // Create Leaflet map
-            this.maps.preview = L.map('preview-map').setView([0, 0], 2);
-            
-            // Add OpenStreetMap tiles
-            L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-                attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-                maxZoom: 19
-            }).addTo(this.maps.preview);
-            
-            console.log('✅ Preview map initialized');
-        }
+    closeFilterPopup() {
+        // Close all filter popups
+        document.querySelectorAll('.filter-popup').forEach(popup => {
+            popup.style.display = 'none';
+        });
     }
 
-    setupResolutionControls() {
+    setupFilterPopupListeners(column, data) {
+        // This method is no longer needed with the new column-specific popup system
+        // Event listeners are now set up in setupColumnFilterPopupListeners
+        console.log(`Event listeners for ${column} will be set up in setupColumnFilterPopupListeners`);
+    }
 
-        const resolutionSlider = document.getElementById('resolution');
-        const resValue = document.getElementById('res-value');
-        const resArea = document.getElementById('res-area');
+    handleFilterTypeChange(column, newType, data) {
+        console.log(`🔄 Changing filter type for ${column} to ${newType}`);
         
-        if (resolutionSlider && resValue && resArea) {
-            // Set the slider to match AppState
-            resolutionSlider.value = this.resolution;
-            
-            
-            // Update display on slider change
-            resolutionSlider.addEventListener('input', (e) => {
-                const value = parseInt(e.target.value);
-                this.resolution = value;
-                this.updateResolutionDisplay(value);
-                this.generateHexagons();
-            });
-            
-            // Initial display update
-            this.updateResolutionDisplay(this.resolution);
+        const filterContent = document.getElementById('filter-content');
+        if (filterContent) {
+            filterContent.innerHTML = this.createFilterContent(column, data, newType);
+            filterContent.dataset.column = column;
         }
     }
+    
+    handleApplyFilter(column) {
+        console.log(`✅ Applying filter for column: ${column}`);
+        console.log(`🔍 Filters BEFORE:`, JSON.stringify(this.filterTree, null, 2));
 
-    setupBinControls() {
-
-        const binStep = document.getElementById('bin-step');
-        const binCount = document.getElementById('bin-count');
         
-        if (binStep && binCount) {
-            // Set inputs to match AppState
-            binStep.value = this.binStep;
-            binCount.value = this.binCount;
-            
-            // Update bin step
-            binStep.addEventListener('input', (e) => {
-                this.binStep = parseInt(e.target.value) || 10;
-                this.generateHexagons();
-            });
-            
-            // Update bin count
-            binCount.addEventListener('input', (e) => {
-                this.binCount = parseInt(e.target.value) || 10;
-                this.generateHexagons();
-            });
-            
-            // Initial bin preview (only show after first generation)
-            // Don't call updateBinPreview() here - wait for actual data
-            console.log('🔧 Bin controls setup complete - waiting for hexagon generation');
+        // Collect filter values and apply them
+        const filterData = this.collectFilterData(column);
+        console.log(`🔍 Collected filter data:`, JSON.stringify(filterData, null, 2));
+
+        if (filterData) {
+            const popup = document.getElementById(`filter-popup-${column}`);
+            const rule = this.getEditedFilterRule(popup);
+
+            if (rule) {
+                rule.filter = filterData;
+            } else {
+                // New rules go into the group they were added from, or the top-level group
+                const found = popup.dataset.groupId ? FilterTree.find(this.filterTree, Number(popup.dataset.groupId)) : null;
+                const group = found ? found.node : this.filterTree;
+                group.children.push(FilterTree.createRule(column, filterData));
+            }
+            console.log(`🔍 Filters AFTER setting ${column}:`, JSON.stringify(this.filterTree, null, 2));
+
+            this.applyFilters();
+            this.closeFilterPopup();
+            this.showToast(`Filter applied to ${column}`, 'success');
         }
+    }
+    
+    handleClearFilter(column) {
+        console.log(`🗑️ Clearing filter for column: ${column}`);
+
+        // Clears the rule being edited, or every rule on the column
+        const popup = document.getElementById(`filter-popup-${column}`);
+        const rule = this.getEditedFilterRule(popup);
+        FilterTree.removeRules(this.filterTree, candidate => rule ? candidate === rule : candidate.column === column);
         
+        this.applyFilters();
+        this.closeFilterPopup();
+        this.showToast(`Filter cleared for ${column}`, 'success');
+    }
 
+    // Rule the popup was opened to edit, if it still exists
+    getEditedFilterRule(popup) {
+        if (!popup || !popup.dataset.ruleId) return null;
+        const found = FilterTree.find(this.filterTree, Number(popup.dataset.ruleId));
+        return found ? found.node : null;
     }
 
-    updateResolutionDisplay(resolution) {
-        
-        const resValue = document.getElementById('res-value');
-        const resArea = document.getElementById('res-area');
-        
-        if (resValue) {
-            resValue.textContent = resolution;
+    // Puts the values of an existing rule back into the popup's inputs
+    fillFilterInputs(popup, filter) {
+        const setValue = (selector, value) => {
+            const input = popup.querySelector(selector);
+            if (input && value !== undefined && value !== null) {
+                input.value = value;
+            }
+        };
+
+        switch (filter.type) {
+            case 'categorical':
+                popup.querySelectorAll('.filter-content input[type="checkbox"]').forEach(checkbox => {
+                    checkbox.checked = !filter.exclude.includes(checkbox.value);
+                });
+                break;
+            case 'text':
+                setValue('.text-match', filter.match);
+                setValue('.text-pattern', filter.pattern);
+                popup.querySelector('.text-case-sensitive').checked = filter.caseSensitive;
+                break;
+            case 'numeric':
+                setValue('.min-input', filter.min);
+                setValue('.max-input', filter.max);
+                break;
+            case 'date':
+                setValue('.date-from', filter.dateFrom);
+                setValue('.date-to', filter.dateTo);
+                break;
+            case 'datetime':
+                setValue('.datetime-time-column', filter.timeColumn || '');
+                setValue('.datetime-from', filter.from);
+                setValue('.datetime-to', filter.to);
+                setValue('.time-of-day-from', filter.timeOfDayFrom);
+                setValue('.time-of-day-to', filter.timeOfDayTo);
+                setValue('.time-of-day-clock', filter.clock);
+                break;
         }
-        
-        if (resArea) {
-            // H3 area calculations (approximate)
-            const h3Areas = {
-                0: '4,357,449 km²',
-                1: '609,788 km²',
-                2: '87,113 km²',
-                3: '12,445 km²',
-                4: '1,778 km²',
-                5: '254 km²',
-                6: '36 km²',
-                7: '5 km²',
-                8: '0.7 km²',
-                9: '0.1 km²',
-                10: '0.015 km²',
-                11: '0.002 km²',
-                12: '0.0003 km²',
-                13: '0.00004 km²',
-                14: '0.000006 km²',
-                15: '0.0000009 km²'
-            };
-            
-            resArea.textContent = `(${h3Areas[resolution]})`;
+
+        if (filter.relative) {
+            setValue('.date-range-mode', 'relative');
+            setValue('.relative-amount', filter.relative.amount);
+            setValue('.relative-unit', filter.relative.unit);
+            setValue('.relative-anchor', filter.relative.anchor);
+            this.toggleDateRangeMode(popup);
         }
-        
-        // Update current configuration display
-        this.updateCurrentConfig();
     }
     
-    // Update the current configuration display (real-time updates)
-    updateCurrentConfig() {
-        const currentRes = document.getElementById('current-resolution');
-        const currentBinStep = document.getElementById('current-bin-step');
-        const currentBinCount = document.getElementById('current-bin-count');
+    collectFilterData(column) {
+        console.log("Collecting filter data for column:", column);
         
-        if (currentRes) {
-            currentRes.textContent = this.resolution;
+        // Get the popup for this specific column
+        const popup = document.getElementById(`filter-popup-${column}`);
+        if (!popup) {
+            console.error(`No popup found for column: ${column}`);
+            return null;
         }
         
-        if (currentBinStep) {
-            currentBinStep.textContent = this.binStep;
-        }
+        // Get filter type from this specific popup
+        const typeSelector = popup.querySelector('.filter-type');
+        const filterType = typeSelector ? typeSelector.value : 'categorical';
         
-        if (currentBinCount) {
-            currentBinCount.textContent = this.binCount;
+        console.log("Filter type:", filterType);
+        
+        switch (filterType) {
+            case 'categorical':
+                return this.collectCategoricalFilterData(column);
+            case 'text':
+                return this.collectTextFilterData(column);
+            case 'numeric':
+                return this.collectNumericFilterData(column);
+            case 'date':
+                return this.collectDateFilterData(column);
+            case 'datetime':
+                return this.collectDateTimeFilterData(column);
+            default:
+                return null;
         }
     }
     
-    // Update the applied configuration display (only when hexagons are generated)
-    updateAppliedConfig() {
-        const appliedRes = document.getElementById('applied-resolution');
-        const appliedBinStep = document.getElementById('applied-bin-step');
-        const appliedBinCount = document.getElementById('applied-bin-count');
-        
-        if (appliedRes) {
-            appliedRes.textContent = this.resolution;
+    collectCategoricalFilterData(column) {
+        console.log(` === COLLECTING CATEGORICAL DATA FOR ${column} ===`);
+
+        // Get the popup for this specific column
+        const popup = document.getElementById(`filter-popup-${column}`);
+        if (!popup) {
+            console.error(`No popup found for column: ${column}`);
+            return null;
         }
         
-        if (appliedBinStep) {
-            appliedBinStep.textContent = this.binStep;
-        }
+        // Only get checkboxes from this specific popup
+        const uncheckedBoxes = popup.querySelectorAll(`.filter-content input[type="checkbox"]:not(:checked)`);
+        console.log(`🔍 Found ${uncheckedBoxes.length} unchecked checkboxes`);
+
+        uncheckedBoxes.forEach((cb, i) => {
+            console.log(`🔍 Checkbox ${i}: value="${cb.value}", data-column="${cb.dataset.column}"`);
+        });
+
+        const excludedValues = Array.from(uncheckedBoxes).map(cb => cb.value);
+        console.log("Excluded values:", excludedValues);
+        if (excludedValues.length === 0) return null;
         
-        if (appliedBinCount) {
-            appliedBinCount.textContent = this.binCount;
+        const filterValues = {
+            type: 'categorical',
+            exclude: excludedValues
         }
+
+        console.log("Filter values:", filterValues);
+
+        return filterValues;
     }
+    
+    collectTextFilterData(column) {
+        const popup = document.getElementById(`filter-popup-${column}`);
+        if (!popup) {
+            console.error(`No popup found for column: ${column}`);
+            return null;
+        }
 
-    // Main H3 processing function
-    async performH3Processing() {
-        console.log('🔷 Starting H3 processing...');
-        
-        try {
-            // Show loading toast
-            const loadingToast = this.showToast('Processing data with H3...', 'loading');
-            
-            // Use already filtered data directly (no redundant filtering)
-            const filteredData = this.areaSelectedCsvData;
-            console.log(`📍 Using pre-filtered data: ${filteredData.length} points`);
-            
-            if (filteredData.length === 0) {
-                throw new Error('No points found within the selected area');
-            }
-            
-            // Step 1: Assign points to H3 hexagons
-            ToastManager.updateLoadingToast(loadingToast, 'Creating H3 hexagons...', 'loading');
-            const hexMap = this.assignPointsToHexagons(filteredData);
-            console.log(`🔷 Hexagon assignment: ${hexMap.size} unique hexagons`);
-            
-            // Step 2: Create GeoJSON features with binning
-            ToastManager.updateLoadingToast(loadingToast, 'Generating GeoJSON features...', 'loading');
-            const { binEdges, binLabels } = this.getUserBins();
-            const features = this.createHexagonFeatures(hexMap, binEdges, binLabels);
-            console.log(`📊 Feature creation: ${features.length} hexagon features`);
-            
-            // Store processed data
-            this.processedData = {
-                features: features,
-                hexagonCount: features.length,
-                totalPoints: this.areaSelectedCsvData.length,
-                filteredPointsCount: filteredData.length,
-                resolution: this.resolution,
-                binStep: this.binStep,
-                binCount: this.binCount,
-                binEdges: binEdges,
-                binLabels: binLabels
-            };
-            
-            // Update visualization
-            ToastManager.updateLoadingToast(loadingToast, 'Updating visualization...', 'loading');
-            this.updateVisualization();
-            
-            // Update applied configuration display
-            this.updateAppliedConfig();
-            
-            // Update button states
-            if (this.navigation) {
-                this.navigation.updateButtonStates();
+        const match = popup.querySelector('.text-match').value;
+        const pattern = popup.querySelector('.text-pattern').value;
+        const filter = {
+            type: 'text',
+            match: match,
+            pattern: pattern,
+            caseSensitive: popup.querySelector('.text-case-sensitive').checked
+        };
+
+        if (match === 'anyOf') {
+            // One value per line, as pasted from a spreadsheet column
+            filter.values = pattern.split(/\r?\n/).map(value => value.trim()).filter(value => value !== '');
+            if (filter.values.length === 0) return null;
+        } else if (pattern === '') {
+            return null;
+        }
+
+        if (match === 'regex') {
+            try {
+                TextMatcher.create(filter);
+            } catch (error) {
+                this.showToast(`Invalid regular expression: ${error.message}`, 'error');
+                return null;
             }
-            
-            // Success toast
-            ToastManager.updateLoadingToast(loadingToast, `H3 processing complete: ${features.length} hexagons generated`, 'success');
-            
-            console.log('✅ H3 processing completed successfully');
-            
-        } catch (error) {
-            console.error('❌ H3 processing error:', error);
-            this.showToast(`Error processing data: ${error.message}`, 'error');
-            throw error;
         }
-    }
 
-    assignPointsToHexagons(data, resolution = null) {
-        const res = resolution !== null ? resolution : this.resolution;
-        const hexMap = new Map();
+        return filter;
+    }
+    
+    collectNumericFilterData(column) {
+        // Get the popup for this specific column
+        const popup = document.getElementById(`filter-popup-${column}`);
+        if (!popup) {
+            console.error(`No popup found for column: ${column}`);
+            return null;
+        }
         
-        data.forEach(point => {
-            const lat = parseFloat(point.latitude);
-            const lon = parseFloat(point.longitude);
-            
-            // Skip invalid coordinates
-            //if (isNaN(lat) || isNaN(lon)) return;
-            
-            // Get H3 index for this point
-            const h3Index = h3.latLngToCell(lat, lon, res);
-            
-            // Add point to hexagon
-            if (!hexMap.has(h3Index)) {
-                hexMap.set(h3Index, []);
-            }
-            hexMap.get(h3Index).push(point);
-        });
+        // Only get inputs from this specific popup
+        const minInput = popup.querySelector('.min-input');
+        const maxInput = popup.querySelector('.max-input');
         
-        return hexMap;
-    }
-
-    createHexagonFeatures(hexMap, binEdges, binLabels) {
-        const features = [];
+        const min = minInput && minInput.value !== '' ? parseFloat(minInput.value) : undefined;
+        const max = maxInput && maxInput.value !== '' ? parseFloat(maxInput.value) : undefined;
         
-        hexMap.forEach((points, h3Index) => {
-            const count = points.length;
-            const bin = this.getBinLabel(count, binEdges, binLabels);
-            
-            // Get hexagon boundary coordinates
-            const boundary = h3.cellToBoundary(h3Index, true);
-            
-            features.push({
-                type: "Feature",
-                geometry: {
-                    type: "Polygon",
-                    coordinates: [boundary]
-                },
-                properties: {
-                    h3index: h3Index,
-                    count: count,
-                    bin: bin
-                }
-            });
-        });
+        if (min === undefined && max === undefined) return null;
         
-        return features;
+        return {
+            type: 'numeric',
+            min: min,
+            max: max
+        };
     }
-
-    getUserBins() {
-        const step = this.binStep;
-        const count = this.binCount;
+    
+    collectDateFilterData(column) {
+        // Get the popup for this specific column
+        const popup = document.getElementById(`filter-popup-${column}`);
+        if (!popup) {
+            console.error(`No popup found for column: ${column}`);
+            return null;
+        }
         
-        const binEdges = [];
-        const binLabels = [];
+        // Only get inputs from this specific popup
+        const dateFrom = popup.querySelector('.date-from');
+        const dateTo = popup.querySelector('.date-to');
         
-        for (let i = 0; i < count; i++) {
-            const lower = i * step;
-            const upper = (i + 1) * step;
-            
-            if (i === 0) {
-                binEdges.push(lower); // lower is 0 for first bin
-            }
-            binEdges.push(upper);
-            
-            if (i === count - 1) {
-                // Last bin is open-ended
-                binLabels.push(`${lower + 1}+`); // Show 1+ for last bin
-                binEdges[binEdges.length - 1] = Infinity;
-            } else if (i === 0) {
-                binLabels.push(`1–${upper}`); // First bin label is 1–N
-            } else {
-                binLabels.push(`${lower + 1}–${upper}`); // All other bins are as before
-            }
+        const from = dateFrom ? dateFrom.value : undefined;
+        const to = dateTo ? dateTo.value : undefined;
+
+        const relative = this.collectRelativeRange(popup);
+        if (relative === false) return null;
+        if (relative) {
+            return { type: 'date', relative: relative };
         }
         
-        return { binEdges, binLabels };
+        if (!from && !to) return null;
+        
+        return {
+            type: 'date',
+            dateFrom: from,
+            dateTo: to
+        };
     }
 
-    getBinLabel(count, binEdges, binLabels) {
-        // If count is in the last bin (the '+' bin), return the last label
-        if (count >= binEdges[binEdges.length - 2]) {
-            return binLabels[binLabels.length - 1];
+    collectDateTimeFilterData(column) {
+        const popup = document.getElementById(`filter-popup-${column}`);
+        if (!popup) {
+            console.error(`No popup found for column: ${column}`);
+            return null;
         }
-        
-        for (let i = 0; i < binEdges.length - 1; i++) {
-            if (count >= binEdges[i] && count < binEdges[i + 1]) {
-                return binLabels[i];
-            }
+
+        const value = selector => {
+            const input = popup.querySelector(selector);
+            return input ? input.value : '';
+        };
+
+        const filter = {
+            type: 'datetime',
+            timeColumn: value('.datetime-time-column') || null,
+            from: value('.datetime-from'),
+            to: value('.datetime-to'),
+            timeOfDayFrom: value('.time-of-day-from'),
+            timeOfDayTo: value('.time-of-day-to'),
+            clock: value('.time-of-day-clock') || 'utc'
+        };
+
+        const relative = this.collectRelativeRange(popup);
+        if (relative === false) return null;
+        if (relative) {
+            filter.relative = relative;
+            filter.from = '';
+            filter.to = '';
         }
-        
-        // fallback (should not be reached)
-        return binLabels[binLabels.length - 1];
+
+        const hasWindow = filter.timeOfDayFrom && filter.timeOfDayTo;
+        if (!filter.from && !filter.to && !hasWindow && !relative) return null;
+        if (!hasWindow) {
+            filter.timeOfDayFrom = '';
+            filter.timeOfDayTo = '';
+        }
+
+        return filter;
     }
 
-    updateBinPreview() {
-        const binPreview = document.getElementById('bin-preview');
-        if (!binPreview) return;
-        
-        // Only show legend if we have processed data
-        if (!this.processedData || !this.processedData.binLabels) {
-            binPreview.innerHTML = '<li class="text-center text-gray-500">Legend will appear after hexagons are generated</li>';
-            return;
+    createFilterContent(column, data, type) {
+        switch (type) {
+            case 'categorical':
+                return this.createCategoricalFilter(column, data);
+            case 'text':
+                return this.createTextFilter(column, data);
+            case 'numeric':
+                return this.createNumericFilter(column, data);
+            case 'date':
+                return this.createDateFilter(column, data);
+            case 'datetime':
+                return this.createDateTimeFilter(column, data);
+            default:
+                return this.createCategoricalFilter(column, data);
         }
+    }
+    
+    createCategoricalFilter(column, data) {
+        // Get unique values
+        const uniqueValues = [...new Set(data.map(row => row[column]).filter(val => val !== ''))];
         
-        const binLabels = this.processedData.binLabels;
-        const features = this.processedData.features;
+        // Selects the first unique values to display
+        const displayValues = uniqueValues.slice(0, this.maxFilterValues);
+        const hasMore = uniqueValues.length > this.maxFilterValues;
+
         
-        // Count hexagons per bin
-        const binCounts = {};
-        binLabels.forEach(label => {
-            binCounts[label] = 0;
-        });
+        let html = `
+            <div class="categorical-filter">
+                <div class="filter-summary">
+                    ${hasMore ? `<span class="more-indicator">Showing first ${this.maxFilterValues} for performance reasons – consider using the Text filter type to match the values instead</span>` : ''}
+                    <span>${uniqueValues.length} unique values</span>
+                </div>
+                <div class="value-list">
+        `;
         
-        // Count features in each bin
-        features.forEach(feature => {
-            console.log(feature);
-            const binLabel = feature.properties.bin;
-            if (binLabel) {
-                console.log('yay');
-                binCounts[binLabel]++;
-            }
+        displayValues.forEach(value => {
+            html += `
+                <label class="filter-checkbox">
+                    <input type="checkbox" value="${value}" data-column="${column}" checked>
+                    <span>${value}</span>
+                </label>
+            `;
         });
         
-        // Generate li elements with counts
-        const previewString = binLabels.map((label, index) => {
-            const color = this.getDefaultColor(index);
-            const count = binCounts[label] || 0;
-            return `<li data-bin-label="${label}">
-                <div class="bin-color-swatch" style="background-color: ${color}"></div>
-                <span class="bin-label">${label}</span>
-                <span class="bin-count">(${count} hexagons)</span>
-            </li>`;
-        }).join('');
+        html += `
+                </div>
+                <div class="filter-actions">
+                    <button class="select-all-btn" onclick="app.selectAllValues('${column}')">Select All</button>
+                    <button class="clear-all-btn" onclick="app.clearAllValues('${column}')">Clear All</button>
+                </div>
+            </div>
+        `;
         
-        // Update preview display
-        binPreview.innerHTML = previewString;
+        return html;
+    }
+    
+    // For columns with too many values to list, e.g. place names or descriptions
+    createTextFilter(column, data) {
+        const uniqueValues = new Set(data.map(row => row[column]).filter(val => val !== ''));
+
+        return `
+            <div class="text-filter">
+                <div class="filter-summary">
+                    <span>${uniqueValues.size.toLocaleString()} unique values</span>
+                </div>
+                <div class="text-match-selector">
+                    <label>Keep values that</label>
+                    <select class="text-match" data-column="${column}">
+                        <option value="contains">Contain</option>
+                        <option value="startsWith">Start with</option>
+                        <option value="anyOf">Are any of (one value per line)</option>
+                        <option value="regex">Match a regular expression</option>
+                    </select>
+                </div>
+                <textarea class="text-pattern" data-column="${column}" rows="4" placeholder="Text, a list with one value per line, or a regular expression such as ^Serra"></textarea>
+                <label class="filter-checkbox">
+                    <input type="checkbox" class="text-case-sensitive" data-column="${column}">
+                    <span>Case-sensitive</span>
+                </label>
+            </div>
+        `;
+    }
+    
+    createNumericFilter(column, data) {
+        const values = data.map(row => parseFloat(row[column])).filter(val => !isNaN(val));
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const avg = values.reduce((a, b) => a + b, 0) / values.length;
         
-        console.log('✅ Bin preview updated with', binLabels.length, 'categories and hexagon counts');
+        return `
+            <div class="numeric-filter">
+                <div class="filter-summary">
+                    <span>Range: ${min.toFixed(2)} to ${max.toFixed(2)} | Avg: ${avg.toFixed(2)}</span>
+                </div>
+                <div class="range-inputs">
+                    <label>
+                        Min: <input type="number" class="min-input" data-column="${column}" value="${min.toFixed(2)}" step="0.01">
+                    </label>
+                    <label>
+                        Max: <input type="number" class="max-input" data-column="${column}" value="${max.toFixed(2)}" step="0.01">
+                    </label>
+                </div>
+            </div>
+        `;
     }
     
+    createDateFilter(column, data) {
+        const profiles = this.getColumnProfiles();
+        const profile = profiles ? profiles.columns[column] : null;
+        const range = profile && profile.type === 'date'
+            ? `<div class="filter-summary"><span>Range: ${ColumnProfiler.formatDate(profile.min)} to ${ColumnProfiler.formatDate(profile.max)}</span></div>`
+            : '';
 
+        return `
+            <div class="date-filter">
+                ${range}
+                <div class="date-format-selector">
+                    <label>Date Format:</label>
+                    <select class="date-format" data-column="${column}">
+                        <option value="auto">Auto-detect</option>
+                        <option value="YYYY-MM-DD">YYYY-MM-DD</option>
+                        <option value="MM/DD/YYYY">MM/DD/YYYY</option>
+                        <option value="DD/MM/YYYY">DD/MM/YYYY</option>
+                    </select>
+                </div>
+                ${this.createRelativeRangeInputs(column, ['days'])}
+                <div class="date-range absolute-range">
+                    <label>
+                        From: <input type="date" class="date-from" data-column="${column}">
+                    </label>
+                    <label>
+                        To: <input type="date" class="date-to" data-column="${column}">
+                    </label>
+                </div>
+            </div>
+        `;
+    }
+    
+    // Time-of-day column that goes with a date column, e.g. acq_time for acq_date
+    suggestTimeColumn(column, columns) {
+        const timeColumn = Deduplicator.suggestColumns(columns).timeColumn;
+        return timeColumn !== column ? timeColumn : '';
+    }
 
+    // Date column combined with an optional time column (FIRMS acq_date + acq_time), all in UTC
+    createDateTimeFilter(column, data) {
+        const columns = data.columns.filter(col => col !== column);
+        const profiles = this.getColumnProfiles();
+        const profile = profiles ? profiles.columns[column] : null;
 
-    
+        // Without times in the column itself, suggest a time column such as acq_time
+        const suggested = profile && profile.hasTime ? '' : this.suggestTimeColumn(column, data.columns);
+        const timeOptions = columns.map(col =>
+            `<option value="${escapeHTML(col)}" ${col === suggested ? 'selected' : ''}>${escapeHTML(col)}</option>`
+        ).join('');
 
+        const timestamps = data.map(row => TimeParser.getTimestamp(row[column], suggested ? row[suggested] : null))
+            .filter(timestamp => !isNaN(timestamp));
+        const [min, max] = d3.extent(timestamps);
+        const toInputValue = timestamp => new Date(timestamp).toISOString().slice(0, 16);
 
-    updateVisualization() {
-        // Clear existing hexagon layers
-        if (this.hexagonLayer) {
-            this.maps.preview.removeLayer(this.hexagonLayer);
-        }
-        
-        // Add hexagon polygons to map if we have processed data
-        if (this.processedData && this.processedData.features.length > 0) {
-            console.log('🗺️ Adding hexagon polygons to map...');
-            
-            // Get color scale for binning
-            const binsArr = this.processedData.binLabels;
-            
-            // Create GeoJSON layer with custom styling
-            this.hexagonLayer = L.geoJSON(this.processedData.features, {
-                style: (feature) => {
-                    const bin = feature.properties.bin;
-                    const binIndex = this.getBinIndex(bin);
-                    const color = this.getDefaultColor(binIndex);
-                    return {
-                        fillColor: color,
-                        weight: 1,
-                        opacity: 0.8,
-                        color: '#333',
-                        fillOpacity: 0.6
-                    };
-                },
-                onEachFeature: (feature, layer) => {
-                    const count = feature.properties.count;
-                    const bin = feature.properties.bin;
-                    const h3index = feature.properties.h3index;
-                    
-                    layer.bindPopup(`
-                        <strong>Hexagon ${h3index}</strong><br>
-                        Points: ${count}<br>
-                        Bin: ${bin}
-                    `);
-                }
-            }).addTo(this.maps.preview);
-            
-            // Fit map to hexagon bounds
-            this.maps.preview.fitBounds(this.hexagonLayer.getBounds());
-            
-            console.log(`🗺️ Added ${this.processedData.features.length} hexagon polygons to map`);
-        }
-        
-        // Update histogram and legend with current data
-        this.updateHistogram();
-        this.updateBinPreview();
-        
+        return `
+            <div class="datetime-filter">
+                <div class="filter-summary">
+                    <span>${timestamps.length > 0
+                        ? `Range: ${toInputValue(min).replace('T', ' ')} to ${toInputValue(max).replace('T', ' ')} UTC`
+                        : 'No readable dates with the suggested time column'}</span>
+                </div>
+                <div class="date-format-selector">
+                    <label>Time column:</label>
+                    <select class="datetime-time-column" data-column="${column}">
+                        <option value="" ${suggested ? '' : 'selected'}>Time is in this column</option>
+                        ${timeOptions}
+                    </select>
+                </div>
+                ${this.createRelativeRangeInputs(column, ['hours', 'days'])}
+                <div class="date-range absolute-range">
+                    <label>
+                        From (UTC): <input type="datetime-local" class="datetime-from" data-column="${column}" step="60">
+                    </label>
+                    <label>
+                        To (UTC): <input type="datetime-local" class="datetime-to" data-column="${column}" step="60">
+                    </label>
+                </div>
+                <div class="date-range">
+                    <label>
+                        Time of day from: <input type="time" class="time-of-day-from" data-column="${column}">
+                    </label>
+                    <label>
+                        to: <input type="time" class="time-of-day-to" data-column="${column}">
+                    </label>
+                    <label>
+                        in
+                        <select class="time-of-day-clock" data-column="${column}">
+                            <option value="utc">UTC</option>
+                            <option value="solar">Local solar time</option>
+                        </select>
+                    </label>
+                </div>
+                <p class="control-description">Time-of-day windows can span midnight (e.g. 20:00 to 06:00). Local solar time is UTC shifted by the longitude of each point, so noon is when the sun is highest there.</p>
+            </div>
+        `;
+    }
 
+    // Choice between fixed From/To dates and a rolling "last N days" range, which keeps
+    // working unchanged on tomorrow's file (and in presets)
+    createRelativeRangeInputs(column, units) {
+        return `
+            <div class="date-format-selector">
+                <label>Range:</label>
+                <select class="date-range-mode" data-column="${column}" onchange="app.handleDateRangeModeChange('${column}')">
+                    <option value="absolute">Between fixed dates</option>
+                    <option value="relative">The last hours or days</option>
+                </select>
+            </div>
+            <div class="date-range relative-range hidden">
+                <label>
+                    Last: <input type="number" class="relative-amount" data-column="${column}" min="1" step="1" value="7">
+                </label>
+                <label>
+                    Unit:
+                    <select class="relative-unit" data-column="${column}">
+                        ${units.map(unit => `<option value="${unit}" ${unit === 'days' ? 'selected' : ''}>${unit}</option>`).join('')}
+                    </select>
+                </label>
+                <label>
+                    Counted back from:
+                    <select class="relative-anchor" data-column="${column}">
+                        <option value="data">The newest date in the data</option>
+                        <option value="now">Now</option>
+                    </select>
+                </label>
+            </div>
+        `;
     }
-    
-    // Initial hexagon generation (auto-generated on step load)
-    generateHexagonsInitial() {
-        console.log('🔷 Auto-generating initial hexagons...');
-        
-        if (!this.areaSelectedCsvData || this.areaSelectedCsvData.length === 0) {
-            console.log('❌ No data available for initial generation');
-            return;
+
+    handleDateRangeModeChange(column) {
+        const popup = document.getElementById(`filter-popup-${column}`);
+        if (popup) {
+            this.toggleDateRangeMode(popup);
         }
-        
-        // Perform H3 processing without changing button state
-        this.performH3Processing().catch(error => {
-            console.error('Failed to generate initial hexagons:', error);
-        });
     }
 
-    // Trigger H3 processing when user wants to generate hexagons
-    generateHexagons() {
-        console.log('🔷 User requested hexagon generation...');
-        
-        if (!this.areaSelectedCsvData || this.areaSelectedCsvData.length === 0) {
-            this.showToast('No data available for processing', 'error');
-            return;
+    toggleDateRangeMode(popup) {
+        const mode = popup.querySelector('.date-range-mode');
+        const relative = mode && mode.value === 'relative';
+        popup.querySelectorAll('.relative-range').forEach(element => element.classList.toggle('hidden', !relative));
+        popup.querySelectorAll('.absolute-range').forEach(element => element.classList.toggle('hidden', relative));
+    }
+
+    // { amount, unit, anchor } when the popup is set to a relative range, otherwise null
+    // null when the popup uses absolute dates, false when the rolling range is invalid
+    collectRelativeRange(popup) {
+        const mode = popup.querySelector('.date-range-mode');
+        if (!mode || mode.value !== 'relative') return null;
+
+        const amount = parseFloat(popup.querySelector('.relative-amount').value);
+        if (!(amount > 0)) {
+            this.showToast('Enter a number greater than 0 for the rolling range', 'error');
+            return false;
         }
-        
-        // Colors are already initialized in step setup
-        
-        // Perform H3 processing
-        this.performH3Processing().catch(error => {
-            console.error('Failed to generate hexagons:', error);
-        });
+
+        return {
+            amount: amount,
+            unit: popup.querySelector('.relative-unit').value,
+            anchor: popup.querySelector('.relative-anchor').value
+        };
     }
 
-    // // The d3 viz goes here
-    updateHistogram() {
-        const container = document.getElementById('histogram-container');
-        if (!container) return;
+    applyFilters() {
+        console.log('🔍 Applying filters...');
+
+        console.log('🔍 Filters:', FilterTree.describe(this.filterTree, rule => this.describeFilterRule(rule)));
         
-        // Check if we have processed data
-        if (!this.processedData || !this.processedData.features || this.processedData.features.length === 0) {
-            container.innerHTML = '<p class="text-center text-gray-500">Histogram will appear here after processing data</p>';
+        if (FilterTree.getRules(this.filterTree).length === 0) {
+            // No filters, use original data
+            this.filteredCsvData = this.originalCsvData;
+            this.updateFilteredPreview(this.originalCsvData);
+            this.updateActiveFiltersDisplay();
             return;
         }
         
-        // Clear only the chart containers, not the HTML structure
-        const rawContainer = document.getElementById('raw-histogram');
-        const binnedContainer = document.getElementById('binned-histogram');
-        
-        if (rawContainer) {
-            rawContainer.innerHTML = '';
-        }
-        if (binnedContainer) {
-            binnedContainer.innerHTML = '';
-        }
+        // Apply filters to data
+        const filteredData = this.filterData(this.originalCsvData, this.filterTree);
         
-        container.style.display = 'block';
+        // Update filtered data
+        this.filteredCsvData = filteredData;
         
-        // Basic dimensions for each histogram
-        const width = 400;
-        const height = 300;
-        const margin = { top: 20, right: 20, bottom: 40, left: 60 };
-        const chartWidth = width - margin.left - margin.right;
-        const chartHeight = height - margin.top - margin.bottom;
+        // Update preview
+        this.updateFilteredPreview(filteredData);
+        this.updateActiveFiltersDisplay();
         
-        // Extract point counts from hexagon features
-        const counts = this.processedData.features.map(f => f.properties.count);
-        const maxPoints = d3.max(counts);
+        // Update button states
+        if (this.navigation) {
+            this.navigation.updateButtonStates();
+        }
         
-        // Calculate frequency of each point count for raw histogram
-        const pointCountFrequency = {};
-        counts.forEach(count => {
-            pointCountFrequency[count] = (pointCountFrequency[count] || 0) + 1;
+        console.log(`✅ Filters applied: ${filteredData.length} rows remaining`);
+        console.log("Filtered data:", filteredData);
+        console.log("AppState filtered data:", this.filteredCsvData);
+    }
+    
+    filterData(data, filterTree) {
+        // The tree becomes one function, with each rule prepared once rather than for every row
+        const matches = FilterTree.compile(filterTree, rule => {
+            const prepared = this.prepareFilter(rule.column, rule.filter, data);
+            return row => this.matchesFilter(row, rule.column, rule.filter, prepared);
         });
-        
-        const frequencyData = Object.entries(pointCountFrequency).map(([count, frequency]) => ({
-            count: parseInt(count),
-            frequency: frequency
-        })).sort((a, b) => a.count - b.count);
-        
-        const maxFrequency = d3.max(Object.values(pointCountFrequency));
-        
-        // Calculate max values for binned histogram
-        let maxBinCount = 0;
-        if (this.processedData.binLabels) {
-            const userBins = [];
-            for (let i = 0; i < this.processedData.binLabels.length; i++) {
-                let x0, x1;
-                const label = this.processedData.binLabels[i];
-                
-                if (label.endsWith('+')) {
-                    const match = label.match(/(\d+)(?=\+)/);
-                    x0 = match ? parseInt(match[1], 10) : 0;
-                    x1 = maxPoints + 1;
-                } else {
-                    const [start, end] = label.split('–').map(Number);
-                    x0 = start;
-                    x1 = end;
-                }
-                
-                const hexagonCount = this.processedData.features.filter(feature => {
-                    return feature.properties.bin === label;
-                }).length;
-                
-                userBins.push({ x0, x1, count: hexagonCount, label });
+        return data.filter(matches);
+    }
+
+    // The parts of a filter that don't depend on the row. Date ranges are worked out here,
+    // relative ones from now or the newest date in the data.
+    prepareFilter(column, filter, data) {
+        return {
+            bounds: this.getFilterTimeBounds(column, filter, data),
+            excluded: filter.type === 'categorical' ? new Set(filter.exclude || []) : null,
+            matchesText: filter.type === 'text' ? TextMatcher.create(filter) : null,
+            timeWindow: filter.type === 'datetime' && filter.timeOfDayFrom && filter.timeOfDayTo
+                ? { from: TimeParser.parseTimeOfDay(filter.timeOfDayFrom), to: TimeParser.parseTimeOfDay(filter.timeOfDayTo) }
+                : null
+        };
+    }
+
+    // { from, to } in milliseconds for date and date-time filters, null for the others
+    getFilterTimeBounds(column, filter, data) {
+        const DAY = 24 * 60 * 60 * 1000;
+        // Without a readable date to count back from, a rolling range keeps no rows
+        const noRows = () => {
+            console.warn(`⚠️ No readable dates in ${column} to count the rolling range back from`);
+            return { from: Infinity, to: -Infinity };
+        };
+
+        if (filter.type === 'date') {
+            if (!filter.relative) {
+                return {
+                    from: filter.dateFrom ? new Date(filter.dateFrom).getTime() : -Infinity,
+                    to: filter.dateTo ? new Date(filter.dateTo).getTime() : Infinity
+                };
             }
-            maxBinCount = d3.max(userBins, d => d.count);
+
+            // Whole days: the last 7 days are the newest day and the 6 before it
+            const anchor = filter.relative.anchor === 'now' ? Date.now() : d3.max(data, row => TimeParser.parseUTC(row[column]));
+            if (anchor === undefined) return noRows();
+            return { from: Math.floor(anchor / DAY) * DAY - (filter.relative.amount - 1) * DAY, to: Infinity };
         }
-        
-        // Use the maximum values across both histograms for shared scales
-        const sharedMaxY = Math.max(maxFrequency, maxBinCount);
-        
-        // Create shared scales for both histograms
-        const x = d3.scaleLinear()
-            .domain([0, maxPoints])
-            .range([0, chartWidth]);
-        
-        const y = d3.scaleLinear()
-            .domain([0, sharedMaxY])
-            .range([chartHeight, 0]);
-        
-        // LEFT HISTOGRAM: Raw point count distribution
-        
-        // Create left SVG
-        const leftSvg = d3.create('svg')
-            .attr('width', width)
-            .attr('height', height);
-        
-        const leftG = leftSvg.append('g')
-            .attr('transform', `translate(${margin.left},${margin.top})`);
-        
-        // Create bins for raw distribution (1-unit bins)
-        const rawBins = [];
-        for (let i = 0; i <= maxPoints; i++) {
-            const binCount = frequencyData.find(d => d.count === i)?.frequency || 0;
-            rawBins.push({
-                x0: i,
-                x1: i + 1,
-                count: binCount
-            });
+
+        if (filter.type === 'datetime') {
+            if (!filter.relative) {
+                return {
+                    from: filter.from ? Date.parse(`${filter.from}Z`) : -Infinity,
+                    to: filter.to ? Date.parse(`${filter.to}Z`) : Infinity
+                };
+            }
+
+            const anchor = filter.relative.anchor === 'now'
+                ? Date.now()
+                : d3.max(data, row => TimeParser.getTimestamp(row[column], filter.timeColumn ? row[filter.timeColumn] : null));
+            if (anchor === undefined) return noRows();
+            const unit = filter.relative.unit === 'hours' ? DAY / 24 : DAY;
+            return { from: anchor - filter.relative.amount * unit, to: Infinity };
         }
-        
-        // Add bars for raw distribution
-        leftG.selectAll('.raw-bar')
-            .data(rawBins)
-            .enter()
-            .append('rect')
-            .attr('class', 'raw-bar')
-            .attr('x', d => x(d.x0))
-            .attr('y', d => y(d.count))
-            .attr('width', d => Math.max(1, (x(d.x1) - x(d.x0)) * 0.8))
-            .attr('height', d => chartHeight - y(d.count))
-            .attr('fill', 'var(--primary-color)')
-            .attr('opacity', 0.7)
-            .on('mouseover', function(event, d) {
-                d3.select(this).attr('opacity', 1);
-                
-                // Create tooltip
-                const tooltip = d3.select('body').append('div')
-                    .attr('class', 'histogram-tooltip')
-                    .style('position', 'absolute')
-                    .style('background', 'rgba(0, 0, 0, 0.8)')
-                    .style('color', 'white')
-                    .style('padding', '8px 12px')
-                    .style('border-radius', '4px')
-                    .style('font-size', '12px')
-                    .style('pointer-events', 'none')
-                    .style('z-index', '1000')
-                    .style('opacity', 0);
-                
-                tooltip.html(`There are ${d.count} hexagons with exactly ${d.x0} points inside`)
-                    .style('left', (event.pageX + 10) + 'px')
-                    .style('top', (event.pageY - 10) + 'px')
-                    .transition()
-                    .duration(200)
-                    .style('opacity', 1);
-            })
-            .on('mousemove', function(event) {
-                d3.select('.histogram-tooltip')
-                    .style('left', (event.pageX + 10) + 'px')
-                    .style('top', (event.pageY - 10) + 'px');
-            })
-            .on('mouseout', function() {
-                d3.select(this).attr('opacity', 0.7);
-                d3.select('.histogram-tooltip').remove();
-            });
-        
-        // Add axes for left histogram
-        leftG.append('g')
-            .attr('transform', `translate(0,${chartHeight})`)
-            .call(d3.axisBottom(x).ticks(5));
-        
-        leftG.append('g')
-            .call(d3.axisLeft(y).ticks(5));
-        
-        // Add axis labels for left histogram
-        leftG.append('text')
-            .attr('transform', `translate(${chartWidth/2}, ${chartHeight + 35})`)
-            .style('text-anchor', 'middle')
-            .style('font-size', '12px')
-            .style('fill', 'var(--text-color)')
-            .text('Point count per hexagon');
 
-        leftG.append('text')
-            .attr('transform', 'rotate(-90)')
-            .attr('y', 0 - margin.left)
-            .attr('x', 0 - (chartHeight / 2))
-            .attr('dy', '1em')
-            .style('text-anchor', 'middle')
-            .style('font-size', '12px')
-            .style('fill', 'var(--text-color)')
-            .text('Number of hexagons');
+        return null;
+    }
+
+    // `prepared` comes from prepareFilter
+    matchesFilter(row, column, filter, prepared) {
+        const value = row[column];
+        const bounds = prepared.bounds;
+
+        // Categorical filter
+        if (filter.type === 'categorical' && prepared.excluded.size > 0) {
+            return !prepared.excluded.has(value);
+        }
+
+        // Text filter
+        if (filter.type === 'text') {
+            return prepared.matchesText(value === undefined || value === null ? '' : String(value));
+        }
+
+        // Numeric filter
+        if (filter.type === 'numeric') {
+            const numValue = parseFloat(value);
+            if (isNaN(numValue)) return false;
+            if (filter.min !== undefined && numValue < filter.min) return false;
+            if (filter.max !== undefined && numValue > filter.max) return false;
+        }
+
+        // Date filter
+        if (filter.type === 'date') {
+            const dateValue = TimeParser.parseUTC(value);
+            if (isNaN(dateValue)) return false;
+            if (dateValue < bounds.from || dateValue > bounds.to) return false;
+        }
+
+        // Date-time filter, in UTC, with an optional time-of-day window
+        if (filter.type === 'datetime') {
+            const timestamp = TimeParser.getTimestamp(value, filter.timeColumn ? row[filter.timeColumn] : null);
+            if (isNaN(timestamp)) return false;
+            if (timestamp < bounds.from || timestamp > bounds.to) return false;
+
+            if (prepared.timeWindow) {
+                const lon = filter.clock === 'solar' ? this.getPointCoordinates(row).lon : 0;
+                const minute = TimeParser.getMinuteOfDay(timestamp, filter.clock, lon);
+                if (!TimeParser.isInTimeWindow(minute, prepared.timeWindow.from, prepared.timeWindow.to)) return false;
+            }
+        }
+
+        return true;
+    }
+    
+    // Called whenever the filters change, so the table always shows the rows they keep
+    updateFilteredPreview(filteredData) {
+        this.dataTable.source = filteredData;
+        this.updateTableRows();
+        this.createPreviewTable();
+    }
+    
+    selectAllValues(column) {
+        const popup = document.getElementById(`filter-popup-${column}`);
+        if (popup) {
+            popup.querySelectorAll(`.filter-content input[type="checkbox"][data-column="${column}"]`).forEach(checkbox => {
+                checkbox.checked = true;
+            });
+        }
+    }
+    
+    clearAllValues(column) {
+        const popup = document.getElementById(`filter-popup-${column}`);
+        if (popup) {
+            popup.querySelectorAll(`.filter-content input[type="checkbox"][data-column="${column}"]`).forEach(checkbox => {
+                checkbox.checked = false;
+            });
+        }
+    }
+
+    updateActiveFiltersDisplay() {
+        const container = document.getElementById('active-filters-list');
+        if (!container) return;
+
+        const expression = FilterTree.describe(this.filterTree, rule => this.describeFilterRule(rule));
+        const summary = expression
+            ? `<p class="filter-expression">Keeping rows where <code>${escapeHTML(expression)}</code></p>`
+            : '<p class="no-filters-message">No filters applied</p>';
+
+        container.innerHTML = summary + this.createFilterGroupHTML(this.filterTree, true);
+    }
+
+    createFilterGroupHTML(group, isRoot = false) {
+        const columns = this.originalCsvData ? this.originalCsvData.columns : [];
+        const children = group.children.map(child => child.kind === 'group'
+            ? this.createFilterGroupHTML(child)
+            : this.createFilterTag(child)
+        ).join('');
+
+        return `
+            <div class="filter-group ${group.negate ? 'negated' : ''}" data-id="${group.id}">
+                <div class="filter-group-header">
+                    <label class="filter-negate" title="Keep the rows that don't match this group">
+                        <input type="checkbox" ${group.negate ? 'checked' : ''} onchange="app.toggleFilterNegation(${group.id})"> NOT
+                    </label>
+                    <select class="filter-group-operator" onchange="app.setFilterGroupOperator(${group.id}, this.value)">
+                        <option value="and" ${group.operator === 'and' ? 'selected' : ''}>All of these (AND)</option>
+                        <option value="or" ${group.operator === 'or' ? 'selected' : ''}>Any of these (OR)</option>
+                    </select>
+                    ${isRoot ? '' : `<button class="remove-filter" onclick="app.removeFilterNode(${group.id})" title="Remove group">×</button>`}
+                </div>
+                <div class="filter-group-children">${children}</div>
+                <div class="filter-group-actions">
+                    <select onchange="app.addFilterRule(${group.id}, this.value)">
+                        <option value="">+ Rule on column…</option>
+                        ${columns.map(col => `<option value="${escapeHTML(col)}">${escapeHTML(col)}</option>`).join('')}
+                    </select>
+                    <button class="control-button" onclick="app.addFilterGroup(${group.id})">+ Group</button>
+                </div>
+            </div>
+        `;
+    }
+    
+    createFilterTag(rule) {
+        return `
+            <div class="filter-tag ${rule.negate ? 'negated' : ''}" data-column="${escapeHTML(rule.column)}">
+                <label class="filter-negate" title="Keep the rows that don't match this rule">
+                    <input type="checkbox" ${rule.negate ? 'checked' : ''} onchange="app.toggleFilterNegation(${rule.id})"> NOT
+                </label>
+                <span><strong>${escapeHTML(this.getFilterRuleLabel(rule))}</strong> ${escapeHTML(this.describeFilter(rule.filter))}</span>
+                <button class="edit-filter" onclick="app.editFilterRule(${rule.id})" title="Edit filter">✎</button>
+                <button class="remove-filter" onclick="app.removeFilterNode(${rule.id})" title="Remove filter">×</button>
+            </div>
+        `;
+    }
+
+    describeFilterRule(rule) {
+        return `${this.getFilterRuleLabel(rule)} ${this.describeFilter(rule.filter)}`;
+    }
+
+    // Date-time rules read the time from a second column, e.g. "acq_date + acq_time"
+    getFilterRuleLabel(rule) {
+        return rule.filter.type === 'datetime' && rule.filter.timeColumn
+            ? `${rule.column} + ${rule.filter.timeColumn}`
+            : rule.column;
+    }
+
+    describeFilter(filter) {
+        switch (filter.type) {
+            case 'categorical':
+                return `not in (${this.describeValueList(filter.exclude)})`;
+            case 'text': {
+                const label = TextMatcher.MODE_LABELS[filter.match];
+                if (filter.match === 'regex') {
+                    return `${label} /${filter.pattern}/${filter.caseSensitive ? '' : 'i'}`;
+                }
+                const text = filter.match === 'anyOf' ? `(${this.describeValueList(filter.values)})` : `"${filter.pattern}"`;
+                return `${label} ${text}${filter.caseSensitive ? ' (case-sensitive)' : ''}`;
+            }
+            case 'numeric':
+                if (filter.min !== undefined && filter.max !== undefined) {
+                    return `between ${filter.min} and ${filter.max}`;
+                } else if (filter.min !== undefined) {
+                    return `≥ ${filter.min}`;
+                }
+                return `≤ ${filter.max}`;
+            case 'date':
+                if (filter.relative) {
+                    return this.describeRelativeRange(filter.relative);
+                } else if (filter.dateFrom && filter.dateTo) {
+                    return `from ${filter.dateFrom} to ${filter.dateTo}`;
+                } else if (filter.dateFrom) {
+                    return `≥ ${filter.dateFrom}`;
+                }
+                return `≤ ${filter.dateTo}`;
+            case 'datetime': {
+                const format = value => value.replace('T', ' ');
+                const parts = [];
+                if (filter.relative) {
+                    parts.push(this.describeRelativeRange(filter.relative));
+                } else if (filter.from && filter.to) {
+                    parts.push(`from ${format(filter.from)} to ${format(filter.to)} UTC`);
+                } else if (filter.from) {
+                    parts.push(`≥ ${format(filter.from)} UTC`);
+                } else if (filter.to) {
+                    parts.push(`≤ ${format(filter.to)} UTC`);
+                }
+                if (filter.timeOfDayFrom && filter.timeOfDayTo) {
+                    parts.push(`${filter.timeOfDayFrom}–${filter.timeOfDayTo} ${filter.clock === 'solar' ? 'local solar time' : 'UTC'}`);
+                }
+                return parts.join(', ');
+            }
+            default:
+                return '';
+        }
+    }
+
+    // "in the last 7 days of the data" or "in the last 24 hours"
+    describeRelativeRange(relative) {
+        const unit = relative.amount === 1 ? relative.unit.replace(/s$/, '') : relative.unit;
+        return `in the last ${relative.amount} ${unit}${relative.anchor === 'data' ? ' of the data' : ''}`;
+    }
+
+    // "a, b, c, … 5 more"
+    describeValueList(values) {
+        const more = values.length > 3 ? `, … ${values.length - 3} more` : '';
+        return values.slice(0, 3).join(', ') + more;
+    }
+
+    addFilterRule(groupId, column) {
+        if (!column) return;
+
+        // Reset the column picker, the rule is only added once the popup is applied
+        this.updateActiveFiltersDisplay();
+        this.openFilterPopup(column, this.originalCsvData, { groupId: groupId });
+    }
+
+    editFilterRule(ruleId) {
+        const found = FilterTree.find(this.filterTree, ruleId);
+        if (found) {
+            this.openFilterPopup(found.node.column, this.originalCsvData, { ruleId: ruleId });
+        }
+    }
+
+    addFilterGroup(parentId) {
+        const found = FilterTree.find(this.filterTree, parentId);
+        if (!found) return;
+
+        // A nested group is most useful with the other operator, e.g. an OR inside the top-level AND
+        const parent = found.node;
+        parent.children.push(FilterTree.createGroup(parent.operator === 'and' ? 'or' : 'and'));
+        this.updateActiveFiltersDisplay();
+    }
+
+    setFilterGroupOperator(groupId, operator) {
+        const found = FilterTree.find(this.filterTree, groupId);
+        if (found) {
+            found.node.operator = operator;
+            this.applyFilters();
+        }
+    }
+
+    toggleFilterNegation(id) {
+        const found = FilterTree.find(this.filterTree, id);
+        if (found) {
+            found.node.negate = !found.node.negate;
+            this.applyFilters();
+        }
+    }
+    
+    removeFilterNode(id) {
+        console.log(`🗑️ Removing filter node: ${id}`);
+
+        const found = FilterTree.find(this.filterTree, id);
+        if (!found || !found.parent) return;
+
+        found.parent.children = found.parent.children.filter(child => child !== found.node);
         
-        const rawHistogramContainer = document.getElementById('raw-histogram');
-        if (rawHistogramContainer) {
-            rawHistogramContainer.appendChild(leftSvg.node());
+        // Reapply filters, which also updates the display
+        this.applyFilters();
+        
+        this.showToast(found.node.kind === 'group' ? 'Filter group removed' : `Filter removed from ${found.node.column}`, 'info');
+    }
+
+    // ================================================
+    // FILTER PRESETS
+    // ================================================
+
+    setupFilterPresets() {
+        const buttons = {
+            'filter-preset-apply': () => this.applyFilterPreset(),
+            'filter-preset-save': () => this.saveFilterPreset(),
+            'filter-preset-delete': () => this.deleteFilterPreset(),
+            'filter-preset-export': () => this.exportFilterPreset(),
+            'filter-preset-import': () => document.getElementById('filter-preset-input').click()
+        };
+
+        // Assigned rather than added, as this runs every time the filter step is shown
+        Object.entries(buttons).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) button.onclick = handler;
+        });
+
+        const input = document.getElementById('filter-preset-input');
+        if (input) {
+            input.onchange = () => {
+                if (input.files.length > 0) this.importFilterPreset(input.files[0]);
+                input.value = '';
+            };
+        }
+
+        this.updateFilterPresetsUI();
+    }
+
+    updateFilterPresetsUI(selectedName) {
+        const select = document.getElementById('filter-preset-select');
+        if (select) {
+            const selected = selectedName !== undefined ? selectedName : select.value;
+            const presets = FilterPresets.load();
+
+            // Options are built as elements, as names come from imported files
+            select.innerHTML = '';
+            select.add(new Option(presets.length > 0 ? 'Choose a saved preset' : 'No saved presets yet', ''));
+            presets.forEach(preset => {
+                select.add(new Option(preset.name, preset.name, false, preset.name === selected));
+            });
+        }
+
+        const warning = document.getElementById('filter-preset-warning');
+        if (warning) {
+            warning.textContent = this.filterPresetWarning || '';
+            warning.classList.toggle('hidden', !this.filterPresetWarning);
+        }
+    }
+
+    getSelectedFilterPreset() {
+        const select = document.getElementById('filter-preset-select');
+        const name = select ? select.value : '';
+        return FilterPresets.load().find(preset => preset.name === name) || null;
+    }
+
+    saveFilterPreset() {
+        const nameInput = document.getElementById('filter-preset-name');
+        const name = nameInput ? nameInput.value.trim() : '';
+
+        if (!name) {
+            this.showToast('Enter a name for the preset', 'warning');
+            return;
+        }
+        if (FilterTree.getRules(this.filterTree).length === 0) {
+            this.showToast('Add some filters before saving them as a preset', 'warning');
+            return;
+        }
+
+        // A preset with the same name is replaced
+        const presets = FilterPresets.load().filter(preset => preset.name !== name);
+        presets.push({ name: name, savedAt: new Date().toISOString(), filterTree: FilterTree.clone(this.filterTree) });
+
+        try {
+            FilterPresets.save(presets);
+        } catch (error) {
+            console.error('❌ Error saving filter preset:', error);
+            this.showToast(`Could not save the preset in this browser: ${error.message}`, 'error');
+            return;
+        }
+
+        if (nameInput) nameInput.value = '';
+        this.updateFilterPresetsUI(name);
+        this.showToast(`Preset "${name}" saved`, 'success');
+    }
+
+    applyFilterPreset(preset = this.getSelectedFilterPreset()) {
+        if (!preset) {
+            this.showToast('Choose a preset to apply', 'warning');
+            return;
+        }
+
+        // Checked before anything changes, so a broken preset leaves the current filters alone
+        if (!FilterPresets.isValidNode(preset.filterTree)) {
+            this.showToast(`Preset "${preset.name}" has incomplete or invalid filters`, 'error');
+            return;
+        }
+
+        const filterTree = FilterTree.clone(preset.filterTree);
+
+        // Rules on columns this file doesn't have would match nothing (or everything), so leave them out
+        const columns = this.originalCsvData ? this.originalCsvData.columns : [];
+        const missing = FilterTree.getColumns(filterTree).filter(column => !columns.includes(column));
+        if (missing.length > 0) {
+            FilterTree.removeRules(filterTree, rule =>
+                !columns.includes(rule.column) || (rule.filter.timeColumn && !columns.includes(rule.filter.timeColumn))
+            );
+        }
+        this.filterPresetWarning = missing.length > 0
+            ? `Preset "${preset.name}" uses ${missing.length === 1 ? 'a column' : 'columns'} this file doesn't have: ${missing.join(', ')}. The rules on ${missing.length === 1 ? 'it' : 'them'} were left out.`
+            : null;
+
+        this.filterTree = filterTree;
+        this.applyFilters();
+        this.updateFilterPresetsUI(preset.name);
+
+        if (missing.length > 0) {
+            this.showToast(`Preset "${preset.name}" applied without the rules on ${missing.join(', ')}`, 'warning');
         } else {
-            console.error('❌ raw-histogram container not found');
+            this.showToast(`Preset "${preset.name}" applied`, 'success');
+        }
+    }
+
+    deleteFilterPreset() {
+        const preset = this.getSelectedFilterPreset();
+        if (!preset) {
+            this.showToast('Choose a preset to delete', 'warning');
+            return;
+        }
+
+        try {
+            FilterPresets.save(FilterPresets.load().filter(candidate => candidate.name !== preset.name));
+        } catch (error) {
+            this.showToast(`Could not delete the preset: ${error.message}`, 'error');
+            return;
+        }
+
+        this.updateFilterPresetsUI('');
+        this.showToast(`Preset "${preset.name}" deleted`, 'info');
+    }
+
+    exportFilterPreset() {
+        const preset = this.getSelectedFilterPreset();
+        if (!preset) {
+            this.showToast('Choose a preset to export', 'warning');
+            return;
+        }
+
+        const filename = `${preset.name.replace(/[^\w-]+/g, '_')}.filter-preset.json`;
+        downloadBlob(new Blob([FilterPresets.toJSON(preset)], { type: 'application/json' }), filename);
+    }
+
+    // Imported presets are saved in the browser and applied right away
+    async importFilterPreset(file) {
+        try {
+            const preset = FilterPresets.parse(await this.readFileAsText(file));
+            FilterPresets.save(FilterPresets.load().filter(candidate => candidate.name !== preset.name).concat(preset));
+            this.applyFilterPreset(preset);
+        } catch (error) {
+            console.error('❌ Error importing filter preset:', error);
+            this.showToast(`Could not import ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    // ================================================
+    // COMPUTED COLUMNS
+    // ================================================
+
+    setupComputedColumns() {
+        // Assigned rather than added, as this runs every time the filter step is shown
+        const button = document.getElementById('computed-column-add');
+        if (button) {
+            button.onclick = () => this.addComputedColumn();
+        }
+
+        this.updateComputedColumnsUI();
+    }
+
+    updateComputedColumnsUI() {
+        const list = document.getElementById('computed-columns-list');
+        if (!list) return;
+
+        const exportLabels = {
+            auto: 'mean or most common value',
+            sum: 'sum',
+            min: 'minimum',
+            max: 'maximum'
+        };
+
+        list.innerHTML = this.computedColumns.map((column, index) => `
+            <li class="computed-column ${column.error ? 'invalid' : ''}">
+                <div>
+                    <strong>${escapeHTML(column.name)}</strong> = <code>${escapeHTML(column.expression)}</code>
+                    <span class="control-description">
+                        ${column.error
+                            ? `Not computed: ${escapeHTML(column.error)}`
+                            : column.exportAs ? `Exported per hexagon as the ${exportLabels[column.exportAs]}` : 'Not exported'}
+                        ${column.name === this.weightColumn ? ' · Hexagons add up this column' : ''}
+                    </span>
+                </div>
+                <button class="control-button" onclick="app.useComputedColumnAsWeight(${index})" ${column.error ? 'disabled' : ''}>Count per row</button>
+                <button class="remove-filter" onclick="app.removeComputedColumn(${index})" title="Remove column">×</button>
+            </li>
+        `).join('');
+    }
+
+    addComputedColumn() {
+        const nameInput = document.getElementById('computed-column-name');
+        const expressionInput = document.getElementById('computed-column-expression');
+        const exportSelect = document.getElementById('computed-column-export');
+        const errorText = document.getElementById('computed-column-error');
+
+        const name = nameInput.value.trim();
+        const expression = expressionInput.value.trim();
+
+        // Existing computed columns can be redefined, columns of the file can't
+        let error = null;
+        if (!name) {
+            error = 'Enter a name for the new column';
+        } else if (this.getFileColumns().has(name)) {
+            error = `The file already has a column "${name}"`;
+        } else if (['h3index', 'count', 'bin', 'points'].includes(name)) {
+            error = `"${name}" is used by the hexagon export, please choose another name`;
+        } else {
+            try {
+                ColumnExpression.compile(expression, this.parsedCsvData.columns.filter(col => col !== name));
+            } catch (compileError) {
+                error = compileError.message;
+            }
+        }
+
+        if (errorText) errorText.textContent = error || '';
+        if (error) {
+            this.showToast(error, 'error');
             return;
         }
-        
-        // RIGHT HISTOGRAM: Binned data
-        if (this.processedData.binLabels) {
-            // Reuse the userBins calculated above
-            const userBins = [];
-            for (let i = 0; i < this.processedData.binLabels.length; i++) {
-                let x0, x1;
-                const label = this.processedData.binLabels[i];
-                
-                if (label.endsWith('+')) {
-                    const match = label.match(/(\d+)(?=\+)/);
-                    x0 = match ? parseInt(match[1], 10) : 0;
-                    x1 = maxPoints + 1;
-                } else {
-                    const [start, end] = label.split('–').map(Number);
-                    x0 = start;
-                    x1 = end;
-                }
-                
-                // Count how many hexagons are assigned to this bin
-                const hexagonCount = this.processedData.features.filter(feature => {
-                    return feature.properties.bin === label;
-                }).length;
-                
-                userBins.push({ x0, x1, count: hexagonCount, label });
+
+        // A redefined column moves to the end, after the columns it may now use
+        this.computedColumns = this.computedColumns.filter(column => column.name !== name);
+        this.computedColumns.push({ name: name, expression: expression, exportAs: exportSelect ? exportSelect.value : 'auto', error: null });
+
+        this.applyComputedColumns();
+        this.handleComputedColumnsChange();
+
+        nameInput.value = '';
+        expressionInput.value = '';
+        this.showToast(`Column "${name}" added`, 'success');
+    }
+
+    removeComputedColumn(index) {
+        const column = this.computedColumns[index];
+        if (!column) return;
+
+        this.computedColumns.splice(index, 1);
+
+        // A column the file has too was never computed, so the file's values stay
+        if (!this.getFileColumns().has(column.name)) {
+            this.removeColumnValues(column.name);
+            this.releaseColumn(column.name);
+        }
+
+        // Columns computed from this one can't be computed any more
+        this.applyComputedColumns();
+        this.handleComputedColumnsChange();
+        this.showToast(`Column "${column.name}" removed`, 'info');
+    }
+
+    useComputedColumnAsWeight(index) {
+        const column = this.computedColumns[index];
+        if (!column) return;
+
+        this.weightColumn = column.name;
+        this.updateComputedColumnsUI();
+        this.showToast(`Hexagons add up "${column.name}"`, 'success');
+    }
+
+    // Adds the computed columns to the loaded rows, in the order they were defined so
+    // later ones can use earlier ones. The rows are shared with every later step, so the
+    // columns can be filtered on, shown in popups, used as counts and exported.
+    applyComputedColumns() {
+        const data = this.parsedCsvData;
+        if (!data) return;
+
+        const fileColumns = this.getFileColumns();
+        const computedNames = this.computedColumns.map(column => column.name);
+        const available = data.columns.filter(col => fileColumns.has(col) || !computedNames.includes(col));
+
+        this.computedColumns.forEach(column => {
+            // A newly loaded file with a column of the same name keeps its own values
+            if (fileColumns.has(column.name)) {
+                const error = `The file already has a column "${column.name}"`;
+                if (column.error !== error) {
+                    console.warn(`⚠️ Computed column "${column.name}" skipped: the file has a column of that name`);
+                    this.showToast(`Column "${column.name}" isn't computed because the file already has a column of that name`, 'warning');
+                }
+                column.error = error;
+                return;
+            }
+
+            let evaluate;
+            try {
+                evaluate = ColumnExpression.compile(column.expression, available);
+                column.error = null;
+            } catch (error) {
+                // E.g. a newly loaded file without a column the expression uses
+                console.warn(`⚠️ Computed column "${column.name}" skipped:`, error.message);
+                column.error = error.message;
+                this.removeColumnValues(column.name);
+                if (this.releaseColumn(column.name)) {
+                    this.showToast(`Column "${column.name}" can't be computed (${error.message}), so the filters and count using it were removed`, 'warning');
+                }
+                return;
+            }
+
+            data.forEach(row => {
+                row[column.name] = ColumnExpression.format(evaluate(row));
+            });
+            if (!data.columns.includes(column.name)) {
+                data.columns.push(column.name);
+            }
+            available.push(column.name);
+        });
+    }
+
+    // The columns the loaded files came with (and source_file when they were combined)
+    getFileColumns() {
+        const columns = new Set(this.dataSources.flatMap(source => source.columns));
+        if (this.dataSources.length > 1) columns.add('source_file');
+        return columns;
+    }
+
+    // The column list is shared by the parsed and the validated rows, so it changes in place
+    removeColumnValues(name) {
+        const data = this.parsedCsvData;
+        if (!data || !data.columns.includes(name)) return;
+
+        data.columns.splice(data.columns.indexOf(name), 1);
+        data.forEach(row => {
+            delete row[name];
+        });
+    }
+
+    // Removes the filter rules that read a column that is gone, and stops using it as the
+    // count. Returns whether anything was removed.
+    releaseColumn(name) {
+        const ruleCount = FilterTree.getRules(this.filterTree).length;
+        FilterTree.removeRules(this.filterTree, rule => rule.column === name || rule.filter.timeColumn === name);
+        const removedRules = FilterTree.getRules(this.filterTree).length < ruleCount;
+
+        const isWeight = this.weightColumn === name;
+        if (isWeight) {
+            this.weightColumn = null;
+        }
+        return removedRules || isWeight;
+    }
+
+    handleComputedColumnsChange() {
+        // Values changed in place, so cached results keyed by the data are stale
+        this.columnProfiles = null;
+        this.deduplicationResult = null;
+
+        this.applyFilters();
+        this.updateColumnProfilesUI();
+        this.updateComputedColumnsUI();
+    }
+
+    // Value of a computed column for a hexagon, as chosen when the column was added
+    summarizeComputedColumn(points, column) {
+        const values = points.map(point => point[column.name]).filter(value => value !== undefined && value !== '');
+        const numbers = values.map(Number).filter(value => isFinite(value));
+        if (values.length === 0) return null;
+
+        const round = value => Math.round(value * 1e6) / 1e6;
+        switch (column.exportAs) {
+            case 'sum':
+                return round(d3.sum(numbers));
+            case 'min':
+                return numbers.length > 0 ? d3.min(numbers) : null;
+            case 'max':
+                return numbers.length > 0 ? d3.max(numbers) : null;
+            default:
+                // Mean of numbers, otherwise the most common value (e.g. a year-month)
+                if (numbers.length === values.length) {
+                    return round(d3.mean(numbers));
+                }
+                return d3.greatest(d3.rollups(values, group => group.length, value => value), entry => entry[1])[0];
+        }
+    }
+    
+
+    // Method to create a new filter popup for a specific column
+    createColumnFilterPopup(column) {
+        const popup = document.createElement('div');
+        popup.id = `filter-popup-${column}`;
+        popup.className = 'filter-popup';
+        popup.style.display = 'none';
+        
+        popup.innerHTML = `
+            <div class="filter-popup-header">
+                <h4 class="filter-popup-title">Filter: ${column}</h4>
+                <button class="close-filter-btn" onclick="app.closeColumnFilterPopup('${column}')">×</button>
+            </div>
+            
+            <div class="filter-popup-content">
+                <div class="filter-type-selector">
+                    <label>Filter Type</label>
+                    <select class="filter-type" data-column="${column}">
+                        <option value="categorical">Categorical (Select Values)</option>
+                        <option value="text">Text (Contains, list, regex)</option>
+                        <option value="numeric">Numeric (Range)</option>
+                        <option value="date">Date (Range)</option>
+                        <option value="datetime">Date & time (Range, time of day)</option>
+                    </select>
+                </div>
+                
+                <div class="filter-content" data-column="${column}">
+                    <!-- Filter content will be generated here -->
+                </div>
+                
+                <div class="filter-popup-actions">
+                    <button class="clear-filter-btn" data-column="${column}">Clear Filter</button>
+                    <button class="apply-filter-btn" data-column="${column}">Apply Filter</button>
+                </div>
+            </div>
+        `;
+        
+        // Setup event listeners for this specific popup
+        this.setupColumnFilterPopupListeners(popup, column);
+        
+        return popup;
+    }
+
+    // Method to update the content of a specific column filter popup
+    updateColumnFilterPopup(popup, column, data) {
+        // Update title
+        const title = popup.querySelector('.filter-popup-title');
+        if (title) {
+            title.textContent = `Filter: ${column}`;
+        }
+        
+        // Update filter content with the type picked before, or the detected one
+        const profiles = this.getColumnProfiles();
+        let detectedType = profiles && profiles.columns[column] ? profiles.columns[column].type : 'categorical';
+        // Dates with times, or with a separate time column (FIRMS acq_date + acq_time), get the date-time filter
+        if (detectedType === 'date' && (profiles.columns[column].hasTime || this.suggestTimeColumn(column, data.columns))) {
+            detectedType = 'datetime';
+        }
+        // Too many values to tick one by one, e.g. place names
+        if (detectedType === 'categorical' && profiles && profiles.columns[column] &&
+            profiles.columns[column].distinct > this.maxFilterValues) {
+            detectedType = 'text';
+        }
+        const filterType = popup.dataset.filterType || detectedType;
+
+        const typeSelector = popup.querySelector('.filter-type');
+        if (typeSelector) {
+            typeSelector.value = filterType;
+        }
+
+        const filterContent = popup.querySelector('.filter-content');
+        if (filterContent) {
+            filterContent.innerHTML = this.createFilterContent(column, data, filterType);
+        }
+    }
+
+    // Method to hide all other filter popups except the one for the given column
+    hideOtherFilterPopups(currentColumn) {
+        // Hide all filter popups except the current one
+        document.querySelectorAll('.filter-popup').forEach(popup => {
+            if (popup.id !== `filter-popup-${currentColumn}`) {
+                popup.style.display = 'none';
+            }
+        });
+    }
+
+    // Method to close a specific column's filter popup
+    closeColumnFilterPopup(column) {
+        const popup = document.getElementById(`filter-popup-${column}`);
+        if (popup) {
+            popup.style.display = 'none';
+        }
+    }
+
+    // Method to setup event listeners for a specific column's filter popup
+    setupColumnFilterPopupListeners(popup, column) {
+        // Filter type change - only affects this popup
+        const typeSelector = popup.querySelector('.filter-type');
+        if (typeSelector) {
+            typeSelector.addEventListener('change', (e) => {
+                this.handleColumnFilterTypeChange(column, e.target.value);
+            });
+        }
+        
+        // Apply filter button - only affects this column
+        const applyBtn = popup.querySelector('.apply-filter-btn');
+        if (applyBtn) {
+            applyBtn.addEventListener('click', () => {
+                this.handleApplyFilter(column);
+            });
+        }
+        
+        // Clear filter button - only affects this column
+        const clearBtn = popup.querySelector('.clear-filter-btn');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                this.handleClearFilter(column);
+            });
+        }
+    }
+
+    // Method to handle filter type change for a specific column
+    handleColumnFilterTypeChange(column, newType) {
+        console.log(`🔄 Changing filter type for ${column} to ${newType}`);
+        
+        const popup = document.getElementById(`filter-popup-${column}`);
+        if (popup) {
+            // Store the selected type in the popup's dataset for persistence
+            popup.dataset.filterType = newType;
+            
+            const filterContent = popup.querySelector('.filter-content');
+            if (filterContent) {
+                filterContent.innerHTML = this.createFilterContent(column, this.originalCsvData, newType);
+            }
+        }
+    }
+
+    // ================================================
+    // TOAST METHODS
+    // ================================================
+
+    // Toast method
+    showToast(message, type = 'info') {
+        return ToastManager.show(message, type);
+    }
+
+    // ================================================
+    // AREA FILTERING METHODS
+    // ================================================
+
+    initializeAreaStep() {
+        console.log('��️ Initializing area selection step...');
+        
+        // Initialize the basic map
+        this.initializeBasicMap();
+        
+        // Setup rectangle drawing
+        this.setupRectangleDrawing();
+        
+        // Setup GeoJSON upload functionality
+        this.setupGeoJSONUpload();
+        
+        // Setup sample GeoJSON loading
+        this.setupSampleGeoJSONLoading();
+
+        // If the user set the spatial filter before, apply it
+        if (this.spatialFilter) {
+            this.applySpatialFilter();
+        }
+        
+        console.log('✅ Area step initialized');
+    }
+
+    initializeBasicMap() {
+        if (!this.maps.area) {
+            console.log('🗺️ Creating area selection map...');
+            
+            // Create Leaflet map
+            this.maps.area = L.map('map').setView([0, 0], 2);
+            
+            // Add OpenStreetMap tiles
+            L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+                attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+                maxZoom: 19
+            }).addTo(this.maps.area);
+            console.log('Tile layer created');
+            
+            // Initialize drawn items layer
+            this.drawnItems = new L.FeatureGroup();
+            this.maps.area.addLayer(this.drawnItems);
+            
+            console.log('✅ Basic map initialized');
+        }
+    }
+
+    setupRectangleDrawing() {
+        console.log('🔧 Setting up rectangle drawing...');
+        
+        // Only setup if drawing controls don't already exist
+        if (document.querySelector('.leaflet-draw')) {
+            console.log('Drawing controls already exist, skipping setup');
+            return;
+        }
+        
+
+        // Create drawing control (rectangle only)
+        const drawControl = new L.Control.Draw({
+            draw: {
+                rectangle: true,
+                polygon: false,
+                polyline: false,
+                circle: false,
+                marker: false,
+                circlemarker: false
+            },
+            edit: false
+        });
+
+        console.log('Draw control created:', drawControl);
+    
+        // Check if map exists before adding control
+        console.log('Map object:', this.maps.area);
+        console.log('Map container:', this.maps.area?._container);
+        
+        this.maps.area.addControl(drawControl);
+        console.log('Draw control added to map', drawControl);
+
+        // Check if the control is actually in the DOM
+        setTimeout(() => {
+            const drawContainer = document.querySelector('.leaflet-draw');
+            console.log('Draw container in DOM:', drawContainer);
+            console.log('Draw container HTML:', drawContainer?.outerHTML);
+        }, 100);
+
+        
+        // Handle drawing events
+        this.maps.area.on('draw:created', (event) => {
+            this.handleRectangleDrawn(event);
+        });
+        console.log('Drawing event listeners set up');
+
+    }
+
+    handleRectangleDrawn(event) {
+        console.log('📐 Rectangle drawn');
+        
+        const layer = event.layer;
+        
+        // Clear any existing drawings
+        this.drawnItems.clearLayers();
+
+        // Clear any existing GeoJSON layers
+        this.clearGeoJSONLayers();
+        
+        // Add the new rectangle
+        this.drawnItems.addLayer(layer);
+
+        // Make the rectangle editable
+        this.enableRectangleEditing(layer);
+        
+        // Store the bounds as spatial filter
+        this.spatialFilter = layer.getBounds();
+        
+        // Update filtered data
+        this.applySpatialFilter();
+        
+        // Update UI
+        this.updateAreaSelectionUI();
+        
+        // Enable next button
+        if (this.navigation) {
+            this.navigation.updateButtonStates();
+        }
+        
+        this.showToast('Area selected successfully!', 'success');
+    }
+
+    enableRectangleEditing(layer) {
+        // Create edit control for this specific layer
+        const editControl = new L.EditToolbar.Edit(this.maps.area, {
+            featureGroup: this.drawnItems
+        });
+        
+        // Enable editing mode
+        editControl.enable();
+        
+        // Listen for edit events to update the spatial filter
+        layer.on('edit', (e) => {
+            console.log('✏️ Rectangle edited');
+            const editedLayer = e.target;
+            
+            // Update spatial filter with new bounds
+            this.spatialFilter = editedLayer.getBounds();
+            
+            // Reapply spatial filter with new bounds
+            this.applySpatialFilter();
+            
+            // Update UI
+            this.updateAreaSelectionUI();
+            
+            this.showToast('Area updated!', 'success');
+        });
+
+    }
+
+    applySpatialFilter() {
+        if (!this.spatialFilter || !this.filteredCsvData) {
+            return;
+        }
+        
+        console.log('🔍 Applying spatial filter...');
+
+        let filteredData;
+        
+        if (this.isLeafletBounds(this.spatialFilter)) {
+            // Rectangle filtering (fast)
+            filteredData = this.applyBoundingBoxFilter();
+        } else {
+            // GeoJSON filtering (hybrid approach)
+            filteredData = this.applyGeoJSONFilter();
+        }
+        
+
+        // Sanity check: if no points in selected area, warn and discard
+        if (filteredData.length === 0) {
+            this.showToast('⚠️ No data points found in selected area. Please choose a larger area.', 'warning');
+            
+            this.discardSpatialSelection()           
+            
+            return;
+        }
+
+        this.showToast('GeoJSON area loaded successfully', 'success');
+        
+        // Save to areaSelectedCsvData instead of filteredCsvData
+        this.areaSelectedCsvData = filteredData;
+
+        // Add points to map for visual feedback
+        this.addFilteredPointsToMap();
+        
+        console.log(`🔍 Spatial filtering: ${this.originalCsvData.length} → ${filteredData.length} points`);
+
+    }
+
+    discardSpatialSelection() {
+        console.log('🗑️ Discarding spatial selection due to zero points');
+        
+        // Clear the spatial filter
+        this.spatialFilter = null;
+        this.areaSelectedCsvData = null;
+        
+        // Clear the drawn rectangle from the map
+        if (this.drawnItems) {
+            this.drawnItems.clearLayers();
+        }
+        
+        // Clear GeoJSON layer if it exists
+        if (this.geojsonLayer) {
+            this.maps.area.removeLayer(this.geojsonLayer);
+            this.geojsonLayer = null;
+        }
+        
+        // Clear points layer
+        this.clearPointsLayer();
+
+        // Disable next button since no valid selection
+        if (this.navigation) {
+            this.navigation.updateButtonStates();
+        }
+    }
+
+    isLeafletBounds(spatialFilter) {
+        return spatialFilter._southWest && spatialFilter._northEast;
+    }
+
+    applyBoundingBoxFilter() {
+        const bounds = this.spatialFilter;
+        return this.filteredCsvData.filter(point => {
+            const { lat, lon: lng } = this.getPointCoordinates(point);
+            
+            return lat >= bounds.getSouth() && 
+                   lat <= bounds.getNorth() && 
+                   lng >= bounds.getWest() && 
+                   lng <= bounds.getEast();
+        });
+    }
+
+    applyGeoJSONFilter() {
+        // Stage 1: Bounding box pre-filter
+        const bounds = this.getGeoJSONBounds(this.spatialFilter);
+        const bboxFiltered = this.filteredCsvData.filter(point => {
+            const { lat, lon } = this.getPointCoordinates(point);
+            return lat >= bounds.south && lat <= bounds.north &&
+                   lon >= bounds.west && lon <= bounds.east;
+        });
+        
+        console.log(`🗺️ Stage 1 - Bounding box filter: ${this.filteredCsvData.length} → ${bboxFiltered.length} points`);
+        
+        // Stage 2: Precise Turf.js filtering
+        const pointFeatures = bboxFiltered.map(point => {
+            const { lat, lon } = this.getPointCoordinates(point);
+            return turf.point([lon, lat]);
+        });
+        const pointsCollection = turf.featureCollection(pointFeatures);
+        
+        const pointsWithin = turf.pointsWithinPolygon(pointsCollection, this.spatialFilter);
+        console.log(`🗺️ Stage 2 - pointsWithinPolygon: ${bboxFiltered.length} → ${pointsWithin.features.length} points`);
+        
+        // Map back to original data
+        const filteredCoordinates = pointsWithin.features.map(feature => feature.geometry.coordinates);
+        const filtered = bboxFiltered.filter(point => {
+            const { lat, lon } = this.getPointCoordinates(point);
+            const pointCoords = [lon, lat];
+            return filteredCoordinates.some(coord => 
+                coord[0] === pointCoords[0] && coord[1] === pointCoords[1]
+            );
+        });
+        
+        console.log(`🗺️ Total filtering result: ${this.filteredCsvData.length} → ${filtered.length} points`);
+        return filtered;
+    }
+
+    getGeoJSONBounds(geojson) {
+        let minLat = Infinity, maxLat = -Infinity;
+        let minLon = Infinity, maxLon = -Infinity;
+        
+        function processCoordinates(coords) {
+            if (Array.isArray(coords[0])) {
+                coords.forEach(processCoordinates);
+            } else {
+                const [lon, lat] = coords;
+                minLat = Math.min(minLat, lat);
+                maxLat = Math.max(maxLat, lat);
+                minLon = Math.min(minLon, lon);
+                maxLon = Math.max(maxLon, lon);
+            }
+        }
+        
+        if (geojson.type === 'FeatureCollection') {
+            geojson.features.forEach(feature => {
+                if (feature.geometry) {
+                    processCoordinates(feature.geometry.coordinates);
+                }
+            });
+        } else if (geojson.type === 'Feature') {
+            if (geojson.geometry) {
+                processCoordinates(geojson.geometry.coordinates);
+            }
+        } else if (geojson.type === 'Geometry') {
+            processCoordinates(geojson.coordinates);
+        }
+        
+        return {
+            south: minLat,
+            north: maxLat,
+            west: minLon,
+            east: maxLon
+        };
+    }
+
+    handleGeoJSONUpload(event) {
+        const file = event.target.files[0];
+        if (file) {
+            console.log('📁 GeoJSON file selected:', file.name);
+            
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                try {
+                    const geojson = JSON.parse(e.target.result);
+                    console.log('��️ GeoJSON loaded:', geojson.type);
+                    
+                    // Clear any existing selections
+                    this.clearAreaSelection();
+                    
+                    // Add GeoJSON to map
+                    this.addGeoJSONToMap(geojson);
+                    
+                    // Set as spatial filter
+                    this.spatialFilter = geojson;
+                    
+                    // Apply spatial filter with Turf.js
+                    this.applySpatialFilter();
+                    
+                    // Update button states since area is now selected
+                    if (this.navigation) {
+                        this.navigation.updateButtonStates();
+                    }
+                    
+                } catch (error) {
+                    console.error('❌ Invalid GeoJSON file:', error);
+                    this.showToast('Invalid GeoJSON file', 'error');
+                }
+            };
+            reader.readAsText(file);
+        }
+    }
+    
+    addGeoJSONToMap(geojson) {
+        // Clear existing GeoJSON layers
+        this.clearGeoJSONLayers();
+        
+        // Add new GeoJSON layer
+        const geojsonLayer = L.geoJSON(geojson, {
+            style: {
+                color: '#4facfe',
+                weight: 2,
+                fillColor: '#4facfe',
+                fillOpacity: 0.2
+            }
+        }).addTo(this.maps.area);
+        
+        // Store reference to remove later
+        this.geojsonLayer = geojsonLayer;
+        
+        // Fit map to GeoJSON bounds
+        this.maps.area.fitBounds(geojsonLayer.getBounds());
+        
+        console.log('🗺️ GeoJSON added to map');
+    }
+    
+    clearGeoJSONLayers() {
+        if (this.geojsonLayer) {
+            this.maps.area.removeLayer(this.geojsonLayer);
+            this.geojsonLayer = null;
+        }
+    }
+    
+    clearAreaSelection() {
+        // Clear drawn items
+        if (this.drawnItems) {
+            this.drawnItems.clearLayers();
+        }
+        
+        // Clear GeoJSON layers
+        this.clearGeoJSONLayers();
+
+        // Clear points layer
+        this.clearPointsLayer();
+        
+        // Reset spatial filter
+        this.spatialFilter = null;
+        this.areaSelectedCsvData = null;
+    }
+
+    setupSampleGeoJSONLoading() {
+        const sampleSelect = this.elements.sampleGeojsonSelect;
+        
+        if (sampleSelect) {
+            sampleSelect.addEventListener('change', async (event) => {
+                const url = event.target.value;
+                if (!url) return;
+                
+                try {
+                    const response = await fetch(url);
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    }
+                    
+                    const geojson = await response.json();
+                    
+                    // Clear any existing selections
+                    this.clearAreaSelection();
+                    
+                    // Add GeoJSON to map
+                    this.addGeoJSONToMap(geojson);
+                    
+                    // Set as spatial filter
+                    this.spatialFilter = geojson;
+                    
+                    // Apply spatial filter
+                    this.applySpatialFilter();
+                    
+                    // Update button states since area is now selected
+                    if (this.navigation) {
+                        this.navigation.updateButtonStates();
+                    }
+                    
+                    // Reset selection
+                    sampleSelect.value = '';
+                    
+                } catch (error) {
+                    console.error('❌ Failed to load sample GeoJSON:', error);
+                    this.showToast(`Failed to load sample: ${error.message}`, 'error');
+                    sampleSelect.value = '';
+                }
+            });
+        }
+    }
+
+    setupGeoJSONUpload() {
+        const uploadGeojson = this.elements.uploadGeojson;
+        const geojsonUpload = this.elements.geojsonUpload;
+        
+        if (uploadGeojson && geojsonUpload) {
+            uploadGeojson.addEventListener('click', () => geojsonUpload.click());
+            geojsonUpload.addEventListener('change', (event) => {
+                this.handleGeoJSONUpload(event);
+            });
+        }
+    }
+
+    updateAreaSelectionUI() {
+        // Show selected area info
+        const bounds = this.spatialFilter;
+        const coords = {
+            north: bounds.getNorth().toFixed(4),
+            south: bounds.getSouth().toFixed(4),
+            east: bounds.getEast().toFixed(4),
+            west: bounds.getWest().toFixed(4)
+        };
+        
+        console.log('📍 Selected area coordinates:', coords);
+        
+        // You can add a visual indicator here if needed
+        // For now, we'll just log it
+    }
+
+    clearSpatialFilter() {
+        console.log('🗑️ Clearing spatial filter...');
+        
+        // Clear data state
+        this.spatialFilter = null;
+        this.areaSelectedCsvData = null;
+        
+        // Update filter display
+        //this.updateActiveFiltersDisplay();
+        
+        // Clear map visuals
+        this.clearMapVisuals();
+        
+        // Update button states
+        if (this.navigation) {
+            this.navigation.updateButtonStates();
+        }
+        
+        this.showToast('Geographic area filter removed', 'info');
+    }
+
+    clearMapVisuals() {
+        if (this.currentStep === 4 && this.maps.area) {
+            // Clear drawn items
+            if (this.drawnItems) {
+                this.drawnItems.clearLayers();
+            }
+            
+            // Reset map view
+            this.maps.area.setView([0, 0], 2);
+        }
+    }
+
+
+    addFilteredPointsToMap() {
+
+        console.log('🎯 addFilteredPointsToMap called!'); 
+        console.log('Data:', this.areaSelectedCsvData);
+
+        // Clear existing points
+        this.clearPointsLayer();
+        
+        const pointCount = this.areaSelectedCsvData.length;
+        console.log('Point count:', pointCount); // ← Add this
+
+        
+        // Don't display if too many points
+        if (pointCount > this.maxPointsToDisplay) {
+            this.showToast(`⚠️ Too many points (${pointCount.toLocaleString()}) to display on map. Data will still be processed.`, 'warning');
+            return;
+        }
+        
+        // Choose display method based on point count
+        if (pointCount > 1000) {
+            // Use clustering for medium datasets
+            console.log('🎯 Using clustering for', pointCount, 'points');
+            this.addClusteredPoints();
+        } else {
+            // Use simple markers for small datasets
+            console.log('🎯 Using simple points for', pointCount, 'points');
+            this.addSimplePoints();
+        }
+        
+        console.log(`🗺️ Added ${pointCount} points to map`);
+    }
+    
+    addSimplePoints() {
+        
+        const customIcon = L.divIcon({
+            html: '<div class="custom-marker"></div>',
+            className: 'my-marker-icon',
+            iconSize: [12, 12]
+        });
+    
+        this.pointsLayer = L.layerGroup();
+    
+        this.areaSelectedCsvData.forEach(point => {
+            const { lat, lon } = this.getPointCoordinates(point);
+            const marker = L.marker([lat, lon], {
+                icon: customIcon
+        });
+    
+        // Add popup with point info
+        marker.bindPopup(`
+            <strong>Point Data</strong><br>
+            Lat: ${lat}<br>
+            Lon: ${lon}<br>
+            ${this.getAdditionalPointInfo(point)}
+        `);
+            
+            this.pointsLayer.addLayer(marker);
+        });
+        
+        this.maps.area.addLayer(this.pointsLayer);
+    }
+    
+    addClusteredPoints() {
+        // Check if MarkerCluster is available
+        if (typeof L.markerClusterGroup === 'undefined') {
+            console.warn('MarkerCluster not available, falling back to simple points');
+            this.addSimplePoints();
+            return;
+        }
+
+        
+        this.pointsLayer = L.markerClusterGroup({
+            chunkedLoading: true,
+            maxClusterRadius: 50,
+            spiderfyOnMaxZoom: true,
+            showCoverageOnHover: true,
+            zoomToBoundsOnClick: true
+        });
+
+        const customIcon = L.divIcon({
+            html: '<div class="custom-marker"></div>',
+            className: 'my-marker-icon',
+            iconSize: [12, 12]
+        });
+        
+        this.areaSelectedCsvData.forEach(point => {
+            const { lat, lon } = this.getPointCoordinates(point);
+            const marker = L.marker([lat, lon], {
+                icon: customIcon
+            });
+            
+            // Add popup with point info
+            marker.bindPopup(`
+                <strong>Point Data</strong><br>
+                Lat: ${lat}<br>
+                Lon: ${lon}<br>
+                ${this.getAdditionalPointInfo(point)}
+            `);
+            
+            this.pointsLayer.addLayer(marker);
+        });
+        
+        this.maps.area.addLayer(this.pointsLayer);
+    }
+
+    getAdditionalPointInfo(point) {
+        // Add any additional columns from your CSV data
+        const additionalInfo = [];
+        
+        // Common fire data columns
+        if (point.confidence) additionalInfo.push(`Confidence: ${point.confidence}`);
+        if (point.acq_date) additionalInfo.push(`Date: ${point.acq_date}`);
+        if (point.acq_time) additionalInfo.push(`Time: ${point.acq_time}`);
+
+        // Columns added in the filter step
+        this.computedColumns.forEach(column => {
+            if (!column.error) additionalInfo.push(`${column.name}: ${point[column.name]}`);
+        });
+        
+        return additionalInfo.length > 0 ? additionalInfo.map(escapeHTML).join('<br>') : '';
+    }
+    
+    clearPointsLayer() {
+        if (this.pointsLayer) {
+            this.maps.area.removeLayer(this.pointsLayer);
+            this.pointsLayer = null;
+        }
+    }
+
+    // ================================================
+    // RESOLUTION AND H3 PROCESSING METHODS
+    // ================================================
+
+    initializeResolutionStep() {
+        console.log('🔷 Initializing resolution step...');
+        
+        // Initialize the preview map
+        this.initializePreviewMap();
+        
+        // Setup resolution controls
+        this.setupResolutionControls();
+        this.updateCellResolutionNote();
+        
+        // Setup bin controls
+        this.setupBinControls();
+
+        // Duplicate removal options depend on the columns of the current data
+        this.updateDeduplicationUI();
+        
+        // Generate default colors for the current bin settings
+        this.generateDefaultColors();
+        
+        // Auto-generate hexagons with default values if we have data
+        if (this.areaSelectedCsvData && this.areaSelectedCsvData.length > 0) {
+            this.generateHexagonsInitial();
+        }
+        
+        // Update button states
+        if (this.navigation) {
+            this.navigation.updateButtonStates();
+        }
+        
+        console.log('✅ Resolution step initialized');
+    }
+
+    initializePreviewMap() {
+        if (!this.maps.preview) {
+            console.log('🗺️ Creating preview map...');
+            
+            // Create Leaflet map
+            this.maps.preview = L.map('preview-map').setView([0, 0], 2);
+            
+            // Add OpenStreetMap tiles
+            L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+                attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+                maxZoom: 19
+            }).addTo(this.maps.preview);
+            
+            console.log('✅ Preview map initialized');
+        }
+    }
+
+    setupResolutionControls() {
+
+        const resolutionSlider = document.getElementById('resolution');
+        const resValue = document.getElementById('res-value');
+        const resArea = document.getElementById('res-area');
+        
+        if (resolutionSlider && resValue && resArea) {
+            // Set the slider to match AppState
+            resolutionSlider.value = this.resolution;
+            
+            
+            // Update display on slider change
+            resolutionSlider.addEventListener('input', (e) => {
+                const value = parseInt(e.target.value);
+                this.resolution = value;
+                this.updateResolutionDisplay(value);
+                this.generateHexagons();
+            });
+            
+            // Initial display update
+            this.updateResolutionDisplay(this.resolution);
+        }
+    }
+
+    // For H3-indexed input, tell which resolutions the cells have
+    updateCellResolutionNote() {
+        const note = document.getElementById('cell-resolution-note');
+        if (!note) return;
+
+        const data = this.areaSelectedCsvData;
+        if (this.coordinateSource !== 'h3' || !data || data.length === 0) {
+            note.textContent = '';
+            note.classList.add('hidden');
+            return;
+        }
+
+        const resolutions = d3.extent(data, row => h3.getResolution(CoordinateParser.parseH3(row[this.coordinateColumns.h3])));
+        const range = resolutions[0] === resolutions[1] ? resolutions[0] : `${resolutions[0]} to ${resolutions[1]}`;
+        note.textContent = `Your data has H3 cells at resolution ${range}. Finer cells are rolled up to the level you choose; coarser cells are kept as they are.`;
+        note.classList.remove('hidden');
+    }
+
+    setupBinControls() {
+
+        const binStep = document.getElementById('bin-step');
+        const binCount = document.getElementById('bin-count');
+        
+        if (binStep && binCount) {
+            // Set inputs to match AppState
+            binStep.value = this.binStep;
+            binCount.value = this.binCount;
+            
+            // Update bin step
+            binStep.addEventListener('input', (e) => {
+                this.binStep = parseInt(e.target.value) || 10;
+                this.generateHexagons();
+            });
+            
+            // Update bin count
+            binCount.addEventListener('input', (e) => {
+                this.binCount = parseInt(e.target.value) || 10;
+                this.generateHexagons();
+            });
+            
+            // Initial bin preview (only show after first generation)
+            // Don't call updateBinPreview() here - wait for actual data
+            console.log('🔧 Bin controls setup complete - waiting for hexagon generation');
+        }
+        
+
+    }
+
+    updateResolutionDisplay(resolution) {
+        
+        const resValue = document.getElementById('res-value');
+        const resArea = document.getElementById('res-area');
+        
+        if (resValue) {
+            resValue.textContent = resolution;
+        }
+        
+        if (resArea) {
+            // H3 area calculations (approximate)
+            const h3Areas = {
+                0: '4,357,449 km²',
+                1: '609,788 km²',
+                2: '87,113 km²',
+                3: '12,445 km²',
+                4: '1,778 km²',
+                5: '254 km²',
+                6: '36 km²',
+                7: '5 km²',
+                8: '0.7 km²',
+                9: '0.1 km²',
+                10: '0.015 km²',
+                11: '0.002 km²',
+                12: '0.0003 km²',
+                13: '0.00004 km²',
+                14: '0.000006 km²',
+                15: '0.0000009 km²'
+            };
+            
+            resArea.textContent = `(${h3Areas[resolution]})`;
+        }
+        
+        // Update current configuration display
+        this.updateCurrentConfig();
+    }
+    
+    // Update the current configuration display (real-time updates)
+    updateCurrentConfig() {
+        const currentRes = document.getElementById('current-resolution');
+        const currentBinStep = document.getElementById('current-bin-step');
+        const currentBinCount = document.getElementById('current-bin-count');
+        
+        if (currentRes) {
+            currentRes.textContent = this.resolution;
+        }
+        
+        if (currentBinStep) {
+            currentBinStep.textContent = this.binStep;
+        }
+        
+        if (currentBinCount) {
+            currentBinCount.textContent = this.binCount;
+        }
+    }
+    
+    // Update the applied configuration display (only when hexagons are generated)
+    updateAppliedConfig() {
+        const appliedRes = document.getElementById('applied-resolution');
+        const appliedBinStep = document.getElementById('applied-bin-step');
+        const appliedBinCount = document.getElementById('applied-bin-count');
+        
+        if (appliedRes) {
+            appliedRes.textContent = this.resolution;
+        }
+        
+        if (appliedBinStep) {
+            appliedBinStep.textContent = this.binStep;
+        }
+        
+        if (appliedBinCount) {
+            appliedBinCount.textContent = this.binCount;
+        }
+    }
+
+    // Main H3 processing function
+    async performH3Processing() {
+        console.log('🔷 Starting H3 processing...');
+        
+        try {
+            // Show loading toast
+            const loadingToast = this.showToast('Processing data with H3...', 'loading');
+            
+            // Use already filtered data directly (no redundant filtering), without duplicates
+            const filteredData = this.getDeduplicatedData();
+            console.log(`📍 Using pre-filtered data: ${filteredData.length} points`);
+            
+            if (filteredData.length === 0) {
+                throw new Error('No points found within the selected area');
+            }
+            
+            // Step 1: Assign points to H3 hexagons
+            ToastManager.updateLoadingToast(loadingToast, 'Creating H3 hexagons...', 'loading');
+            const hexMap = this.assignPointsToHexagons(filteredData);
+            console.log(`🔷 Hexagon assignment: ${hexMap.size} unique hexagons`);
+            
+            // Step 2: Create GeoJSON features with binning
+            ToastManager.updateLoadingToast(loadingToast, 'Generating GeoJSON features...', 'loading');
+            const { binEdges, binLabels } = this.getUserBins();
+            const features = this.createHexagonFeatures(hexMap, binEdges, binLabels);
+            console.log(`📊 Feature creation: ${features.length} hexagon features`);
+            
+            // Store processed data
+            this.processedData = {
+                features: features,
+                hexagonCount: features.length,
+                totalPoints: this.areaSelectedCsvData.length,
+                filteredPointsCount: filteredData.length,
+                weightColumn: this.weightColumn,
+                duplicatesRemoved: this.deduplicationResult ? this.deduplicationResult.removed.length : 0,
+                deduplication: this.deduplication.mode !== 'off' ? { ...this.deduplication } : null,
+                resolution: this.resolution,
+                binStep: this.binStep,
+                binCount: this.binCount,
+                binEdges: binEdges,
+                binLabels: binLabels
+            };
+            
+            // Update visualization
+            ToastManager.updateLoadingToast(loadingToast, 'Updating visualization...', 'loading');
+            this.updateVisualization();
+            
+            // Update applied configuration display
+            this.updateAppliedConfig();
+            
+            // Update button states
+            if (this.navigation) {
+                this.navigation.updateButtonStates();
+            }
+            
+            // Success toast
+            ToastManager.updateLoadingToast(loadingToast, `H3 processing complete: ${features.length} hexagons generated`, 'success');
+            
+            console.log('✅ H3 processing completed successfully');
+            
+        } catch (error) {
+            console.error('❌ H3 processing error:', error);
+            this.showToast(`Error processing data: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+
+    // ================================================
+    // DUPLICATE REMOVAL
+    // ================================================
+
+    // Area selection without duplicates, recomputed only when the data or the options change
+    getDeduplicatedData() {
+        const data = this.areaSelectedCsvData;
+        const key = JSON.stringify(this.deduplication);
+        const cached = this.deduplicationResult;
+
+        if (!cached || cached.source !== data || cached.key !== key) {
+            if (this.deduplication.mode === 'off') {
+                this.deduplicationResult = { source: data, key: key, kept: data, removed: [] };
+            } else {
+                console.log('🧹 Removing duplicates:', this.deduplication);
+                const { kept, removed } = Deduplicator.run(data, this.deduplication, row => this.getPointCoordinates(row));
+                kept.columns = data.columns;
+                this.deduplicationResult = { source: data, key: key, kept: kept, removed: removed };
+                console.log(`🧹 ${removed.length} duplicates removed, ${kept.length} points left`);
+            }
+            this.updateDeduplicationSummary();
+        }
+
+        return this.deduplicationResult.kept;
+    }
+
+    updateDeduplicationUI() {
+        const container = document.getElementById('dedup-controls');
+        if (!container) return;
+
+        // Rows filtered by attribute or area don't carry the column list, the loaded data does
+        const columns = this.originalCsvData ? this.originalCsvData.columns : [];
+        const options = this.deduplication;
+
+        // Forget columns of earlier data and suggest FIRMS-style ones
+        const suggestions = Deduplicator.suggestColumns(columns);
+        ['dateColumn', 'timeColumn', 'differColumn', 'keepColumn'].forEach(key => {
+            if (!columns.includes(options[key])) {
+                options[key] = suggestions[key];
+            }
+        });
+
+        const createSelect = (id, label, choices, value) => `
+            <label class="column-mapping-input">
+                <span>${label}</span>
+                <select id="${id}" class="sample-select" onchange="app.handleDeduplicationChange()">
+                    ${choices.map(([choiceValue, choiceLabel]) => `
+                        <option value="${escapeHTML(choiceValue)}" ${choiceValue === value ? 'selected' : ''}>${escapeHTML(choiceLabel)}</option>
+                    `).join('')}
+                </select>
+            </label>
+        `;
+        const columnChoices = emptyLabel => [['', emptyLabel], ...columns.map(col => [col, col])];
+        const createNumberInput = (id, label, value) => `
+            <label class="column-mapping-input">
+                <span>${label}</span>
+                <input type="number" id="${id}" min="0" value="${value}" onchange="app.handleDeduplicationChange()">
+            </label>
+        `;
+
+        let html = createSelect('dedup-mode-select', 'Remove', [
+            ['off', 'Nothing'],
+            ['exact', 'Exact duplicates'],
+            ['near', 'Near duplicates (distance and time)']
+        ], options.mode);
+
+        if (options.mode === 'near') {
+            html += `
+                ${createNumberInput('dedup-distance-input', 'Within (metres)', options.distance)}
+                ${createNumberInput('dedup-time-input', 'Within (minutes)', options.timeTolerance)}
+                ${createSelect('dedup-date-select', 'Date column', columnChoices('Ignore time'), options.dateColumn)}
+                ${options.dateColumn ? createSelect('dedup-time-select', 'Time column', columnChoices('Time is in the date column'), options.timeColumn) : ''}
+                ${createSelect('dedup-differ-select', 'Only between different', columnChoices('Any rows'), options.differColumn)}
+            `;
+        }
+
+        if (options.mode !== 'off') {
+            html += createSelect('dedup-keep-select', 'Keep', [
+                ['first', 'First in the file'],
+                ['last', 'Last in the file'],
+                ['max', 'Highest value of...'],
+                ['min', 'Lowest value of...']
+            ], options.keep);
+
+            if (options.keep === 'max' || options.keep === 'min') {
+                html += createSelect('dedup-keep-column-select', 'Column', columnChoices('Choose a column...'), options.keepColumn);
+            }
+        }
+
+        container.innerHTML = `<div class="column-mapping-inputs">${html}</div>`;
+        this.updateDeduplicationSummary();
+    }
+
+    handleDeduplicationChange() {
+        const value = id => {
+            const element = document.getElementById(id);
+            return element ? element.value : null;
+        };
+        const options = this.deduplication;
+
+        options.mode = value('dedup-mode-select') || options.mode;
+        if (value('dedup-distance-input') !== null) {
+            options.distance = Math.max(0, parseFloat(value('dedup-distance-input')) || 0);
+        }
+        if (value('dedup-time-input') !== null) {
+            options.timeTolerance = Math.max(0, parseFloat(value('dedup-time-input')) || 0);
+        }
+        ['dateColumn:dedup-date-select', 'timeColumn:dedup-time-select', 'differColumn:dedup-differ-select',
+            'keep:dedup-keep-select', 'keepColumn:dedup-keep-column-select'].forEach(pair => {
+            const [key, id] = pair.split(':');
+            if (value(id) !== null) options[key] = value(id);
+        });
+
+        // Shown inputs depend on the mode and the keep rule
+        this.updateDeduplicationUI();
+        this.generateHexagons();
+    }
+
+    updateDeduplicationSummary() {
+        const container = document.getElementById('dedup-summary');
+        if (!container) return;
+
+        const result = this.deduplicationResult;
+        if (this.deduplication.mode === 'off' || !result || result.source !== this.areaSelectedCsvData) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const removedCount = result.removed.length;
+        container.innerHTML = removedCount === 0
+            ? '<p class="validation-summary">No duplicates found</p>'
+            : `
+                <p class="validation-summary">
+                    <strong>${removedCount.toLocaleString()} duplicate points removed</strong> –
+                    ${result.kept.length.toLocaleString()} of ${result.source.length.toLocaleString()} points are counted
+                </p>
+                <button class="control-button" onclick="app.downloadRemovedDuplicates()">Download removed rows (CSV)</button>
+            `;
+    }
+
+    downloadRemovedDuplicates() {
+        const result = this.deduplicationResult;
+        if (!result || result.removed.length === 0) return;
+
+        // Keep the original columns and add which point each row duplicated
+        const extraColumns = ['kept_latitude', 'kept_longitude', 'distance_m', 'time_difference_min'];
+        const columns = [...extraColumns, ...this.originalCsvData.columns];
+        const rows = result.removed.map(({ row, keptRow, distance, timeDifference }) => {
+            const kept = this.getPointCoordinates(keptRow);
+            return {
+                ...row,
+                kept_latitude: kept.lat,
+                kept_longitude: kept.lon,
+                distance_m: Math.round(distance),
+                time_difference_min: isNaN(timeDifference) ? '' : Math.round(timeDifference)
+            };
+        });
+
+        const csvString = d3.csvFormat(rows, columns);
+        downloadBlob(new Blob([csvString], { type: 'text/csv' }), 'removed_duplicates.csv');
+    }
+
+    assignPointsToHexagons(data, resolution = null) {
+        const res = resolution !== null ? resolution : this.resolution;
+        const hexMap = new Map();
+        
+        data.forEach(point => {
+            // Get H3 index for this point – or the cell it already has
+            const h3Index = this.coordinateSource === 'h3'
+                ? this.getRowCell(point, res)
+                : this.getPointCell(point, res);
+            
+            // Add point to hexagon
+            if (!hexMap.has(h3Index)) {
+                hexMap.set(h3Index, []);
+            }
+            hexMap.get(h3Index).push(point);
+        });
+        
+        return hexMap;
+    }
+
+    getPointCell(point, resolution) {
+        const { lat, lon } = this.getPointCoordinates(point);
+        return h3.latLngToCell(lat, lon, resolution);
+    }
+
+    // Cell of an H3-indexed row, rolled up to `resolution` if it is finer.
+    // Coarser cells can't be split, so they are kept as they are.
+    getRowCell(row, resolution) {
+        const cell = CoordinateParser.parseH3(row[this.coordinateColumns.h3]);
+        return h3.getResolution(cell) > resolution ? h3.cellToParent(cell, resolution) : cell;
+    }
+
+    // Number of points in a hexagon – or the sum of their weights
+    getHexagonCount(points) {
+        if (!this.weightColumn) {
+            return points.length;
+        }
+        const sum = points.reduce((total, row) => total + (parseFloat(row[this.weightColumn]) || 0), 0);
+        // Avoid totals like 0.30000000000000004
+        return Math.round(sum * 1e6) / 1e6;
+    }
+
+    // What the hexagon count is, for labels: "Points" or e.g. "Total incidents"
+    getCountLabel() {
+        return this.weightColumn ? `Total ${this.weightColumn}` : 'Points';
+    }
+
+    createHexagonFeatures(hexMap, binEdges, binLabels) {
+        const features = [];
+        
+        hexMap.forEach((points, h3Index) => {
+            const count = this.getHexagonCount(points);
+            const bin = this.getBinLabel(count, binEdges, binLabels);
+            
+            // Get hexagon boundary coordinates
+            const boundary = h3.cellToBoundary(h3Index, true);
+            
+            const properties = {
+                h3index: h3Index,
+                count: count,
+                bin: bin
+            };
+
+            // With weights, count is the total and the number of rows is kept next to it
+            if (this.weightColumn) {
+                properties.points = points.length;
+            }
+
+            // Computed columns summarised per hexagon
+            this.computedColumns.forEach(column => {
+                if (column.exportAs && !column.error) {
+                    properties[column.name] = this.summarizeComputedColumn(points, column);
+                }
+            });
+
+            features.push({
+                type: "Feature",
+                geometry: {
+                    type: "Polygon",
+                    coordinates: [boundary]
+                },
+                properties: properties
+            });
+        });
+        
+        return features;
+    }
+
+    getUserBins() {
+        const step = this.binStep;
+        const count = this.binCount;
+        
+        const binEdges = [];
+        const binLabels = [];
+        
+        for (let i = 0; i < count; i++) {
+            const lower = i * step;
+            const upper = (i + 1) * step;
+            
+            if (i === 0) {
+                binEdges.push(lower); // lower is 0 for first bin
+            }
+            binEdges.push(upper);
+            
+            if (i === count - 1) {
+                // Last bin is open-ended
+                binLabels.push(`${lower + 1}+`); // Show 1+ for last bin
+                binEdges[binEdges.length - 1] = Infinity;
+            } else if (i === 0) {
+                binLabels.push(`1–${upper}`); // First bin label is 1–N
+            } else {
+                binLabels.push(`${lower + 1}–${upper}`); // All other bins are as before
+            }
+        }
+        
+        return { binEdges, binLabels };
+    }
+
+    getBinLabel(count, binEdges, binLabels) {
+        // If count is in the last bin (the '+' bin), return the last label
+        if (count >= binEdges[binEdges.length - 2]) {
+            return binLabels[binLabels.length - 1];
+        }
+
+        // Weighted totals can be zero or negative; they go in the first bin
+        if (count < binEdges[1]) {
+            return binLabels[0];
+        }
+        
+        for (let i = 0; i < binEdges.length - 1; i++) {
+            if (count >= binEdges[i] && count < binEdges[i + 1]) {
+                return binLabels[i];
+            }
+        }
+        
+        // fallback (should not be reached)
+        return binLabels[binLabels.length - 1];
+    }
+
+    updateBinPreview() {
+        const binPreview = document.getElementById('bin-preview');
+        if (!binPreview) return;
+        
+        // Only show legend if we have processed data
+        if (!this.processedData || !this.processedData.binLabels) {
+            binPreview.innerHTML = '<li class="text-center text-gray-500">Legend will appear after hexagons are generated</li>';
+            return;
+        }
+        
+        const binLabels = this.processedData.binLabels;
+        const features = this.processedData.features;
+        
+        // Count hexagons per bin
+        const binCounts = {};
+        binLabels.forEach(label => {
+            binCounts[label] = 0;
+        });
+        
+        // Count features in each bin
+        features.forEach(feature => {
+            console.log(feature);
+            const binLabel = feature.properties.bin;
+            if (binLabel) {
+                console.log('yay');
+                binCounts[binLabel]++;
+            }
+        });
+        
+        // Generate li elements with counts
+        const previewString = binLabels.map((label, index) => {
+            const color = this.getDefaultColor(index);
+            const count = binCounts[label] || 0;
+            return `<li data-bin-label="${label}">
+                <div class="bin-color-swatch" style="background-color: ${color}"></div>
+                <span class="bin-label">${label}</span>
+                <span class="bin-count">(${count} hexagons)</span>
+            </li>`;
+        }).join('');
+        
+        // Update preview display
+        binPreview.innerHTML = previewString;
+        
+        console.log('✅ Bin preview updated with', binLabels.length, 'categories and hexagon counts');
+    }
+    
+
+
+
+    
+
+
+    updateVisualization() {
+        // Clear existing hexagon layers
+        if (this.hexagonLayer) {
+            this.maps.preview.removeLayer(this.hexagonLayer);
+        }
+        
+        // Add hexagon polygons to map if we have processed data
+        if (this.processedData && this.processedData.features.length > 0) {
+            console.log('🗺️ Adding hexagon polygons to map...');
+            
+            // Get color scale for binning
+            const binsArr = this.processedData.binLabels;
+            
+            // Create GeoJSON layer with custom styling
+            this.hexagonLayer = L.geoJSON(this.processedData.features, {
+                style: (feature) => {
+                    const bin = feature.properties.bin;
+                    const binIndex = this.getBinIndex(bin);
+                    const color = this.getDefaultColor(binIndex);
+                    return {
+                        fillColor: color,
+                        weight: 1,
+                        opacity: 0.8,
+                        color: '#333',
+                        fillOpacity: 0.6
+                    };
+                },
+                onEachFeature: (feature, layer) => {
+                    const count = feature.properties.count;
+                    const bin = feature.properties.bin;
+                    const h3index = feature.properties.h3index;
+                    
+                    layer.bindPopup(`
+                        <strong>Hexagon ${h3index}</strong><br>
+                        ${escapeHTML(this.getCountLabel())}: ${count}<br>
+                        Bin: ${bin}
+                    `);
+                }
+            }).addTo(this.maps.preview);
+            
+            // Fit map to hexagon bounds
+            this.maps.preview.fitBounds(this.hexagonLayer.getBounds());
+            
+            console.log(`🗺️ Added ${this.processedData.features.length} hexagon polygons to map`);
+        }
+        
+        // Update histogram and legend with current data
+        this.updateHistogram();
+        this.updateBinPreview();
+        
+
+    }
+    
+    // Initial hexagon generation (auto-generated on step load)
+    generateHexagonsInitial() {
+        console.log('🔷 Auto-generating initial hexagons...');
+        
+        if (!this.areaSelectedCsvData || this.areaSelectedCsvData.length === 0) {
+            console.log('❌ No data available for initial generation');
+            return;
+        }
+        
+        // Perform H3 processing without changing button state
+        this.performH3Processing().catch(error => {
+            console.error('Failed to generate initial hexagons:', error);
+        });
+    }
+
+    // Trigger H3 processing when user wants to generate hexagons
+    generateHexagons() {
+        console.log('🔷 User requested hexagon generation...');
+        
+        if (!this.areaSelectedCsvData || this.areaSelectedCsvData.length === 0) {
+            this.showToast('No data available for processing', 'error');
+            return;
+        }
+        
+        // Colors are already initialized in step setup
+        
+        // Perform H3 processing
+        this.performH3Processing().catch(error => {
+            console.error('Failed to generate hexagons:', error);
+        });
+    }
+
+    // // The d3 viz goes here
+    updateHistogram() {
+        const container = document.getElementById('histogram-container');
+        if (!container) return;
+        
+        // Check if we have processed data
+        if (!this.processedData || !this.processedData.features || this.processedData.features.length === 0) {
+            container.innerHTML = '<p class="text-center text-gray-500">Histogram will appear here after processing data</p>';
+            return;
+        }
+        
+        // Clear only the chart containers, not the HTML structure
+        const rawContainer = document.getElementById('raw-histogram');
+        const binnedContainer = document.getElementById('binned-histogram');
+        
+        if (rawContainer) {
+            rawContainer.innerHTML = '';
+        }
+        if (binnedContainer) {
+            binnedContainer.innerHTML = '';
+        }
+        
+        container.style.display = 'block';
+        
+        // Basic dimensions for each histogram
+        const width = 400;
+        const height = 300;
+        const margin = { top: 20, right: 20, bottom: 40, left: 60 };
+        const chartWidth = width - margin.left - margin.right;
+        const chartHeight = height - margin.top - margin.bottom;
+        
+        // Extract point counts (or weighted totals) from hexagon features
+        const counts = this.processedData.features.map(f => f.properties.count);
+        const weightColumn = this.processedData.weightColumn;
+        const maxPoints = d3.max(counts);
+        const minPoints = Math.min(0, Math.floor(d3.min(counts)));
+        
+        // Raw histogram bins: one per whole count while that stays readable,
+        // otherwise (e.g. weighted totals in the millions) about MAX_RAW_BINS wider ones
+        const MAX_RAW_BINS = 200;
+        const rawUpper = Math.floor(maxPoints) + 1;
+        const rawThresholds = rawUpper - minPoints <= MAX_RAW_BINS
+            ? d3.range(minPoints + 1, rawUpper)
+            : d3.ticks(minPoints, rawUpper, MAX_RAW_BINS);
+        const rawBins = d3.bin()
+            .domain([minPoints, rawUpper])
+            .thresholds(rawThresholds)(counts)
+            .map(bin => ({ x0: bin.x0, x1: bin.x1, count: bin.length }));
+        
+        const maxFrequency = d3.max(rawBins, d => d.count);
+        
+        // Calculate max values for binned histogram
+        let maxBinCount = 0;
+        if (this.processedData.binLabels) {
+            const userBins = [];
+            for (let i = 0; i < this.processedData.binLabels.length; i++) {
+                let x0, x1;
+                const label = this.processedData.binLabels[i];
+                
+                if (label.endsWith('+')) {
+                    const match = label.match(/(\d+)(?=\+)/);
+                    x0 = match ? parseInt(match[1], 10) : 0;
+                    x1 = maxPoints + 1;
+                } else {
+                    const [start, end] = label.split('–').map(Number);
+                    x0 = start;
+                    x1 = end;
+                }
+                
+                const hexagonCount = this.processedData.features.filter(feature => {
+                    return feature.properties.bin === label;
+                }).length;
+                
+                userBins.push({ x0, x1, count: hexagonCount, label });
+            }
+            maxBinCount = d3.max(userBins, d => d.count);
+        }
+        
+        // Use the maximum values across both histograms for shared scales
+        const sharedMaxY = Math.max(maxFrequency, maxBinCount);
+        
+        // Create shared scales for both histograms
+        const x = d3.scaleLinear()
+            .domain([minPoints, maxPoints])
+            .range([0, chartWidth]);
+        
+        const y = d3.scaleLinear()
+            .domain([0, sharedMaxY])
+            .range([chartHeight, 0]);
+        
+        // LEFT HISTOGRAM: Raw point count distribution
+        
+        // Create left SVG
+        const leftSvg = d3.create('svg')
+            .attr('width', width)
+            .attr('height', height);
+        
+        const leftG = leftSvg.append('g')
+            .attr('transform', `translate(${margin.left},${margin.top})`);
+        
+        // Add bars for raw distribution
+        leftG.selectAll('.raw-bar')
+            .data(rawBins)
+            .enter()
+            .append('rect')
+            .attr('class', 'raw-bar')
+            .attr('x', d => x(d.x0))
+            .attr('y', d => y(d.count))
+            .attr('width', d => Math.max(1, (x(d.x1) - x(d.x0)) * 0.8))
+            .attr('height', d => chartHeight - y(d.count))
+            .attr('fill', 'var(--primary-color)')
+            .attr('opacity', 0.7)
+            .on('mouseover', function(event, d) {
+                d3.select(this).attr('opacity', 1);
+                
+                // Create tooltip
+                const tooltip = d3.select('body').append('div')
+                    .attr('class', 'histogram-tooltip')
+                    .style('position', 'absolute')
+                    .style('background', 'rgba(0, 0, 0, 0.8)')
+                    .style('color', 'white')
+                    .style('padding', '8px 12px')
+                    .style('border-radius', '4px')
+                    .style('font-size', '12px')
+                    .style('pointer-events', 'none')
+                    .style('z-index', '1000')
+                    .style('opacity', 0);
+                
+                const exact = d.x1 - d.x0 === 1;
+                if (weightColumn) {
+                    tooltip.html(exact
+                        ? `There are ${d.count} hexagons with a total ${escapeHTML(weightColumn)} of ${d.x0}`
+                        : `There are ${d.count} hexagons with a total ${escapeHTML(weightColumn)} from ${d.x0} to under ${d.x1}`);
+                } else {
+                    tooltip.html(exact
+                        ? `There are ${d.count} hexagons with exactly ${d.x0} points inside`
+                        : `There are ${d.count} hexagons with ${d.x0} to ${d.x1 - 1} points inside`);
+                }
+                tooltip
+                    .style('left', (event.pageX + 10) + 'px')
+                    .style('top', (event.pageY - 10) + 'px')
+                    .transition()
+                    .duration(200)
+                    .style('opacity', 1);
+            })
+            .on('mousemove', function(event) {
+                d3.select('.histogram-tooltip')
+                    .style('left', (event.pageX + 10) + 'px')
+                    .style('top', (event.pageY - 10) + 'px');
+            })
+            .on('mouseout', function() {
+                d3.select(this).attr('opacity', 0.7);
+                d3.select('.histogram-tooltip').remove();
+            });
+        
+        // Add axes for left histogram
+        leftG.append('g')
+            .attr('transform', `translate(0,${chartHeight})`)
+            .call(d3.axisBottom(x).ticks(5));
+        
+        leftG.append('g')
+            .call(d3.axisLeft(y).ticks(5));
+        
+        // Add axis labels for left histogram
+        leftG.append('text')
+            .attr('transform', `translate(${chartWidth/2}, ${chartHeight + 35})`)
+            .style('text-anchor', 'middle')
+            .style('font-size', '12px')
+            .style('fill', 'var(--text-color)')
+            .text(weightColumn ? `Total ${weightColumn} per hexagon` : 'Point count per hexagon');
+
+        leftG.append('text')
+            .attr('transform', 'rotate(-90)')
+            .attr('y', 0 - margin.left)
+            .attr('x', 0 - (chartHeight / 2))
+            .attr('dy', '1em')
+            .style('text-anchor', 'middle')
+            .style('font-size', '12px')
+            .style('fill', 'var(--text-color)')
+            .text('Number of hexagons');
+        
+        const rawHistogramContainer = document.getElementById('raw-histogram');
+        if (rawHistogramContainer) {
+            rawHistogramContainer.appendChild(leftSvg.node());
+        } else {
+            console.error('❌ raw-histogram container not found');
+            return;
+        }
+        
+        // RIGHT HISTOGRAM: Binned data
+        if (this.processedData.binLabels) {
+            // Reuse the userBins calculated above
+            const userBins = [];
+            for (let i = 0; i < this.processedData.binLabels.length; i++) {
+                let x0, x1;
+                const label = this.processedData.binLabels[i];
+                
+                if (label.endsWith('+')) {
+                    const match = label.match(/(\d+)(?=\+)/);
+                    x0 = match ? parseInt(match[1], 10) : 0;
+                    x1 = maxPoints + 1;
+                } else {
+                    const [start, end] = label.split('–').map(Number);
+                    x0 = start;
+                    x1 = end;
+                }
+                
+                // Count how many hexagons are assigned to this bin
+                const hexagonCount = this.processedData.features.filter(feature => {
+                    return feature.properties.bin === label;
+                }).length;
+                
+                userBins.push({ x0, x1, count: hexagonCount, label });
+            }
+            
+            // Create right SVG
+            const rightSvg = d3.create('svg')
+                .attr('width', width)
+                .attr('height', height);
+            
+            const rightG = rightSvg.append('g')
+                .attr('transform', `translate(${margin.left},${margin.top})`);
+            
+            // Add bars for binned data
+            rightG.selectAll('.bin-bar')
+                .data(userBins)
+                .enter()
+                .append('rect')
+                .attr('class', 'bin-bar')
+                .attr('x', d => x(d.x0))
+                .attr('y', d => y(d.count))
+                .attr('width', d => Math.max(0, x(d.x1) - x(d.x0)))
+                .attr('height', d => chartHeight - y(d.count))
+                .attr('fill', 'var(--primary-color)')
+                .attr('opacity', 0.7)
+                .on('mouseover', function(event, d) {
+                    d3.select(this).attr('opacity', 1);
+                    
+                    // Create tooltip
+                    const tooltip = d3.select('body').append('div')
+                        .attr('class', 'histogram-tooltip')
+                        .style('position', 'absolute')
+                        .style('background', 'rgba(0, 0, 0, 0.8)')
+                        .style('color', 'white')
+                        .style('padding', '8px 12px')
+                        .style('border-radius', '4px')
+                        .style('font-size', '12px')
+                        .style('pointer-events', 'none')
+                        .style('z-index', '1000')
+                        .style('opacity', 0);
+                    
+                    // Format the range text
+                    let rangeText;
+                    if (d.label.endsWith('+')) {
+                        rangeText = `${d.x0}+`;
+                    } else {
+                        rangeText = `${d.x0}-${d.x1 }`;
+                    }
+                    
+                    tooltip.html(`There are ${d.count} hexagons with a ${weightColumn ? `total ${escapeHTML(weightColumn)}` : 'point count'} in the ${rangeText} range`)
+                        .style('left', (event.pageX + 10) + 'px')
+                        .style('top', (event.pageY - 10) + 'px')
+                        .transition()
+                        .duration(200)
+                        .style('opacity', 1);
+                })
+                .on('mousemove', function(event) {
+                    d3.select('.histogram-tooltip')
+                        .style('left', (event.pageX + 10) + 'px')
+                        .style('top', (event.pageY - 10) + 'px');
+                })
+                .on('mouseout', function() {
+                    d3.select(this).attr('opacity', 0.7);
+                    d3.select('.histogram-tooltip').remove();
+                });
+            
+            // Add axes for right histogram
+            rightG.append('g')
+                .attr('transform', `translate(0,${chartHeight})`)
+                .call(d3.axisBottom(x).ticks(5));
+            
+            rightG.append('g')
+                .call(d3.axisLeft(y).ticks(5));
+            
+            // Add axis labels for right histogram
+            rightG.append('text')
+                .attr('transform', `translate(${chartWidth/2}, ${chartHeight + 35})`)
+                .style('text-anchor', 'middle')
+                .style('font-size', '12px')
+                .style('fill', 'var(--text-color)')
+                .text(weightColumn ? `Bin range (total ${weightColumn})` : 'Bin point range');
+
+            rightG.append('text')
+                .attr('transform', 'rotate(-90)')
+                .attr('y', 0 - margin.left)
+                .attr('x', 0 - (chartHeight / 2))
+                .attr('dy', '1em')
+                .style('text-anchor', 'middle')
+                .style('font-size', '12px')
+                .style('fill', 'var(--text-color)')
+                .text('Number of hexagons');
+            
+            const binnedHistogramContainer = document.getElementById('binned-histogram');
+            if (binnedHistogramContainer) {
+                binnedHistogramContainer.appendChild(rightSvg.node());
+            } else {
+                console.error('❌ binned-histogram container not found');
+            }
+        }
+        
+        console.log('✅ Two side-by-side histograms created');
+    }
+
+    // ============================================================================
+    // BIN COLOR MANAGEMENT
+    // ============================================================================
+
+    generateDefaultColors() {
+        console.log('🎨 Generating default colors...');
+        
+        const binCount = this.binCount;
+        this.defaultColors = [];
+        
+        for (let i = 0; i < binCount; i++) {
+            const t = binCount === 1 ? 1 : i / (binCount - 1); // Step on the color ramp
+            const color = d3.interpolateLab(this.COLOR_START, this.COLOR_END)(t);
+            const colorHex = d3.color(color).formatHex();
+            this.defaultColors.push(colorHex);
+        }
+        
+        console.log('✅ Default colors generated:', this.defaultColors);
+    }
+
+    initializeCustomColors() {
+        console.log('🎨 Initializing custom colors...');
+        
+        const binLabels = this.generateBinLabels();
+        this.customColors = {};
+        
+        binLabels.forEach((label, index) => {
+            this.customColors[label] = this.defaultColors[index];
+        });
+        
+        console.log('✅ Custom colors initialized:', this.customColors);
+    }
+
+    generateBinLabels() {
+        const labels = [];
+        
+        for (let i = 0; i < this.binCount; i++) {
+            const start = i * this.binStep + 1;
+            const end = (i + 1) * this.binStep;
+            
+            if (i === this.binCount - 1) {
+                // Last bin is always a "+" bin
+                labels.push(`${start}+`);
+            } else {
+                labels.push(`${start}–${end}`);
+            }
+        }
+        
+        return labels;
+    }
+
+    getDefaultColor(binIndex) {
+        return this.defaultColors[binIndex] || this.COLOR_START;
+    }
+
+    getCustomColor(binLabel) {
+        return this.customColors[binLabel] || this.getDefaultColor(this.getBinIndex(binLabel));
+    }
+
+    getBinIndex(binLabel) {
+        const binLabels = this.generateBinLabels();
+        return binLabels.indexOf(binLabel);
+    }
+
+    setupCopyLegend() {
+        // Add event listener for copy button
+        this.navigation.addListener('copy-legend-html', 'click', () => {
+            this.copyLegendAsHTML();
+        });
+    }
+
+    copyLegendAsHTML() {
+        if (!this.processedData || !this.processedData.binLabels) {
+            console.warn('⚠️ No processed data available for legend');
+            return;
+        }
+
+        // Get bin labels and their corresponding colors
+        const binLabels = this.processedData.binLabels;
+        const legendData = binLabels.map(label => {
+            const color = this.getCustomColor(label);
+            return {
+                color: color,
+                label: label
+            };
+        });
+
+        // Generate horizontal HTML legend (like Datawrapper style)
+        const htmlLegend = this.generateHorizontalHTMLLegend(legendData);
+        
+        // Copy to clipboard
+        navigator.clipboard.writeText(htmlLegend).then(() => {
+            this.showToast('Legend copied to clipboard!', 'success');
+            console.log('✅ HTML legend copied to clipboard');
+        }).catch(err => {
+            console.error('❌ Failed to copy legend:', err);
+            this.showToast('Failed to copy legend', 'error');
+            // Fallback: show the HTML in a prompt
+            prompt('Copy this HTML:', htmlLegend);
+        });
+    }
+
+    generateHorizontalHTMLLegend(legendData) {
+        // Create horizontal legend using the provided template
+        let html = '';
+        
+        legendData.forEach((item, index) => {
+            const isLast = index === legendData.length - 1;
+            const marginRight = isLast ? '' : 'margin-right:6px;';
+            
+            html += `<span style="display:inline-block; text-align:center; ${marginRight}">
+                    <span style="display:block; width:30px; height:12px; background:${item.color};"></span>
+                    <span style="display:block; font-size:11px; color:#444;">${item.label}</span>
+                    </span>`;
+        });
+        
+        return html;
+    }
+
+
+    // ============================================================================
+    // DOWNLOAD STEP METHODS
+    // ============================================================================
+
+    initializeDownloadStep() {
+        console.log('📥 Initializing download step...');
+        
+        // Initialize the download preview map
+        this.initializeDownloadPreviewMap();
+        
+        // Initialize custom colors (copy of defaults)
+        this.initializeCustomColors();
+        
+        // Update file info
+        this.updateFileInfo();
+        
+        // Update the download preview map with current data
+        this.updateDownloadPreviewMap();
+        
+        // Setup download button listeners
+        this.setupDownloadListeners();
+        
+        // Setup color customization
+        this.setupColorCustomization();
+        
+        // Setup copy legend functionality
+        this.setupCopyLegend();
+        
+        // Initialize Coloris color picker
+        this.initializeColoris();
+        
+        console.log('✅ Download step initialized');
+    }
+
+    initializeDownloadPreviewMap() {
+        if (!this.maps.downloadPreview) {
+            console.log('🗺️ Creating download preview map...');
+            
+            // Create Leaflet map
+            this.maps.downloadPreview = L.map('download-preview-map').setView([0, 0], 2);
+            
+            // Add OpenStreetMap tiles
+            L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+                attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+                maxZoom: 19
+            }).addTo(this.maps.downloadPreview);
+            
+            console.log('✅ Download preview map initialized');
+        }
+    }
+
+    updateDownloadPreviewMap() {
+        if (!this.maps.downloadPreview) return;
+        
+        // Clear existing hexagon layers
+        if (this.downloadHexagonLayer) {
+            this.maps.downloadPreview.removeLayer(this.downloadHexagonLayer);
+        }
+        
+        // Add hexagon polygons to map if we have processed data
+        if (this.processedData && this.processedData.features.length > 0) {
+            console.log('🗺️ Adding hexagon polygons to download preview map...');
+            
+            // Create hexagon layer with styling
+            this.downloadHexagonLayer = L.geoJSON(this.processedData, {
+                style: (feature) => {
+                    const binLabel = feature.properties.bin;
+                    const color = this.getCustomColor(binLabel);
+                    
+                    return {
+                        fillColor: color,
+                        weight: 1,
+                        opacity: 0.8,
+                        color: '#ffffff',
+                        fillOpacity: 0.7
+                    };
+                },
+                onEachFeature: (feature, layer) => {
+ 
+                    const count = feature.properties.count;
+                    const binLabel = feature.properties.bin;
+                    
+                    
+                    layer.bindPopup(`
+                        <div class="popup-content">
+                            <strong>Hexagon Details</strong><br>
+                            ${escapeHTML(this.getCountLabel())}: ${count}<br>
+                            Bin: ${binLabel}
+                        </div>
+                    `);
+                }
+            }).addTo(this.maps.downloadPreview);
+            
+            // Fit map to hexagon bounds
+            this.maps.downloadPreview.fitBounds(this.downloadHexagonLayer.getBounds());
+            
+            console.log(`🗺️ Added ${this.processedData.features.length} hexagon polygons to download preview map`);
+        }
+    }
+
+    updateFileInfo() {
+        if (!this.processedData) return;
+        
+        const hexCount = this.processedData.features.length;
+        const fileSize = this.estimateFileSize();
+        
+        // Update hex count
+        const hexCountElement = document.getElementById('hex-count');
+        if (hexCountElement) {
+            hexCountElement.textContent = hexCount.toLocaleString();
+        }
+        
+        // Update file size
+        const fileSizeElement = document.getElementById('file-size');
+        if (fileSizeElement) {
+            fileSizeElement.textContent = fileSize;
+        }
+    }
+
+    estimateFileSize() {
+        if (!this.processedData) return '0 KB';
+        
+        // Rough estimation: each feature is about 200-500 bytes
+        const estimatedBytes = this.processedData.features.length * 350;
+        
+        if (estimatedBytes < 1024) {
+            return `${estimatedBytes} B`;
+        } else if (estimatedBytes < 1024 * 1024) {
+            return `${(estimatedBytes / 1024).toFixed(1)} KB`;
+        } else {
+            return `${(estimatedBytes / (1024 * 1024)).toFixed(1)} MB`;
+        }
+    }
+
+    setupDownloadListeners() {
+        // Single file download
+        this.navigation.addListener('download-single', 'click', () => {
+            this.downloadSingleFile();
+        });
+        
+        // Multiple files download
+        this.navigation.addListener('download-multi', 'click', () => {
+            this.downloadMultipleFiles();
+        });
+    }
+
+    downloadSingleFile() {
+        if (!this.processedData) {
+            console.error('❌ No processed data available for download');
+            return;
+        }
+        
+        console.log('📥 Downloading single file with custom colors...');
+        
+        // Apply custom colors on-the-fly (no memory duplication)
+        const geoJsonString = JSON.stringify(this.processedData, null, 2);
+        
+        // Create and trigger download
+        const blob = new Blob([geoJsonString], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `hexagon_map_${new Date().toISOString().split('T')[0]}.geojson`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        
+        console.log('✅ Single file download completed with custom colors');
+    }
+
+    downloadMultipleFiles() {
+        if (!this.processedData) {
+            console.error('❌ No processed data available for download');
+            return;
+        }
+        
+        console.log('📦 Downloading multiple files with custom colors...');
+        
+        // Apply custom colors on-the-fly
+        // const customizedData = this.applyCustomColorsToData(this.processedData);
+        
+        // Group features by bin
+        const bins = {};
+        this.processedData.features.forEach(feature => {
+            const binLabel = feature.properties.bin;
+            if (!bins[binLabel]) {
+                bins[binLabel] = {
+                    type: 'FeatureCollection',
+                    features: []
+                };
+            }
+            bins[binLabel].features.push(feature);
+        });
+        
+        // Create ZIP file
+        const zip = new JSZip();
+        
+        // Add each bin as a separate GeoJSON file
+        Object.keys(bins).forEach(binLabel => {
+            const geoJsonString = JSON.stringify(bins[binLabel], null, 2);
+            const fileName = `hexagons_${binLabel.replace(/[^a-zA-Z0-9]/g, '_')}.geojson`;
+            zip.file(fileName, geoJsonString);
+        });
+        
+        // Generate and download ZIP
+        zip.generateAsync({ type: 'blob' }).then(content => {
+            const url = URL.createObjectURL(content);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `hexagon_maps_${new Date().toISOString().split('T')[0]}.zip`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        });
+        
+        console.log('✅ Multiple files download completed with custom colors');
+    }
+
+    // applyCustomColorsToData(originalData) {
+    //     if (!originalData || !originalData.features) {
+    //         console.warn('⚠️ No valid data to apply custom colors to');
+    //         return originalData;
+    //     }
+        
+    //     console.log('🎨 Applying custom colors to data...');
+        
+    //     // Deep clone the original data
+    //     const customized = JSON.parse(JSON.stringify(originalData));
+        
+    //     // Apply custom colors to each feature
+    //     customized.features.forEach(feature => {
+    //         const binLabel = feature.properties.binLabel;
+    //         if (binLabel) {
+    //             const customColor = this.getCustomColor(binLabel);
+    //             feature.properties.color = customColor;
+                
+    //             // Add additional color properties for better compatibility
+    //             feature.properties.fill = customColor;
+    //             feature.properties.stroke = customColor;
+    //         }
+    //     });
+        
+    //     console.log(`✅ Applied custom colors to ${customized.features.length} features`);
+    //     return customized;
+    // }
+
+    // ============================================================================
+    // COLOR CUSTOMIZATION METHODS
+    // ============================================================================
+
+    setupColorCustomization() {
+        // Reset colors button
+        this.navigation.addListener('reset-colors', 'click', () => {
+            this.resetToDefaultColors();
+        });
+        
+        // Update color legend (always visible)
+        this.updateColorLegend();
+    }
+
+    initializeColoris() {
+        // Initialize Coloris with default settings
+        if (typeof Coloris !== 'undefined') {
+            // Initialize Coloris (no need for separate init() call)
+            Coloris({
+                el: '.coloris-input',
+                theme: 'pill',
+                themeMode: 'light',
+                format: 'hex',
+                formatToggle: false,
+                clearButton: false,
+                closeButton: true,
+                swatches: this.COLOR_SUGGESTIONS
+            });
+            console.log('✅ Coloris initialized with hex format and color suggestions');
+        } else {
+            console.warn('⚠️ Coloris not loaded, falling back to native color picker');
+        }
+    }
+
+    ensureHexFormat(color) {
+        // Convert RGB/RGBA to hex if needed
+        if (color.startsWith('rgb')) {
+            // Uses d3 for color conversion
+            const hexColor = d3.color(color).formatHex();
+        }
+        
+        return color.toUpperCase();
+
+    }
+
+    handleColorChange(binLabel, newColor) {
+        // Ensure color is in hex format
+        const hexColor = this.ensureHexFormat(newColor);
+        
+        // Update custom color
+        this.customColors[binLabel] = hexColor;
+        
+        // Update all related components
+        this.updateColorLegend();
+        this.updateDownloadPreviewMap();
+        
+        console.log(`✅ Color updated for bin "${binLabel}": ${hexColor}`);
+    }
+
+
+    resetToDefaultColors() {
+        // Reset custom colors to default colors
+        this.initializeCustomColors();
+        
+        // Update color legend and map
+        this.updateColorLegend();
+        this.updateDownloadPreviewMap();
+        
+        console.log('✅ Colors reset to defaults');
+    }
+
+    updateColorLegend() {
+        const colorLegend = document.getElementById('color-legend');
+        if (!colorLegend) return;
+        
+        if (!this.processedData || !this.processedData.binLabels) {
+            colorLegend.innerHTML = '<p class="text-center text-gray-500">No data available</p>';
+            return;
+        }
+        
+        const binLabels = this.processedData.binLabels;
+        const legendItems = binLabels.map(label => {
+            const color = this.getCustomColor(label);
+            const hexColor = this.ensureHexFormat(color);
+            return `
+                <div class="color-legend-item" data-bin-label="${label}">
+                    <input type="text" class="coloris-input" data-bin-label="${label}" value="${hexColor}" readonly>
+                    <span class="color-label">${label}</span>
+                </div>
+            `;
+        }).join('');
+        
+        colorLegend.innerHTML = legendItems;
+        
+        // Re-initialize Coloris for new inputs
+        if (typeof Coloris !== 'undefined') {
+            Coloris({
+                el: '.coloris-input',
+                theme: 'pill',
+                themeMode: 'light',
+                format: 'hex',
+                formatToggle: false,
+                clearButton: false,
+                closeButton: true,
+                swatches: this.COLOR_SUGGESTIONS
+            });
+            
+            // Add individual change listeners to each input
+            colorLegend.querySelectorAll('.coloris-input').forEach(input => {
+                input.addEventListener('input', (e) => {
+                    const binLabel = e.target.dataset.binLabel;
+                    const newColor = e.target.value;
+                    if (binLabel && newColor) {
+                        this.handleColorChange(binLabel, newColor);
+                    }
+                });
+            });
+        }
+        
+        console.log('✅ Color legend updated with custom colors');
+    }
+
+
+} // End of AppState class
+
+
+
+// ============================================================================
+// STEP NAVIGATION SYSTEM
+// ============================================================================
+
+class StepNavigation {
+    constructor(appState) {
+        this.appState = appState;
+        this.setupNavigationListeners();
+    }
+
+    setupNavigationListeners() {
+        // Start button
+        this.addListener('start-button', 'click', () => {
+            // This is always the AppState.
+            // On click, it calls the funciton navigate to step, with the correct step number.
+            this.navigateToStep(2);
+        });
+
+        // Back buttons
+        this.addListener('back-to-start', 'click', () => {
+            this.navigateToStep(1);
+        });
+
+        this.addListener('back-to-upload', 'click', () => {
+            this.navigateToStep(2);
+        });
+
+        this.addListener('back-to-filter', 'click', () => {
+            this.navigateToStep(3);
+        });
+
+        this.addListener('back-to-area', 'click', () => {
+            this.navigateToStep(4);
+        });
+
+        this.addListener('back-to-resolution', 'click', () => {
+            this.navigateToStep(5);
+        });
+
+        // Next buttons
+        this.addListener('next-to-filter', 'click', () => {
+            this.navigateToStep(3);
+        });
+
+        this.addListener('next-to-area', 'click', () => {
+            this.navigateToStep(4);
+        });
+
+        this.addListener('next-to-resolution', 'click', () => {
+            this.navigateToStep(5);
+        });
+
+        this.addListener('next-to-download', 'click', () => {
+            this.navigateToStep(6);
+        });
+
+        // Restart button
+        this.addListener('restart-process', 'click', () => {
+            this.restartApplication();
+        });
+    }
+
+    addListener(elementId, event, handler) {
+        const element = document.getElementById(elementId);
+        if (element) {
+            element.addEventListener(event, handler);
+        } else {
+            console.warn(`Element with ID '${elementId}' not found`);
+        }
+    }
+
+    navigateToStep(stepNumber) {
+        console.log('🔄 Navigating to step', stepNumber);
+        if (this.appState.canProceedToStep(stepNumber)) {
+            this.appState.goToStep(stepNumber);
+            this.updateButtonStates();
+        } else {
+            this.showNavigationError(stepNumber);
+        }
+    }
+
+    updateButtonStates() {
+        // Update all navigation buttons based on current state
+        this.updateButtonState('next-to-filter', this.appState.canProceedToStep(3));
+        this.updateButtonState('next-to-area', this.appState.canProceedToStep(4));
+        this.updateButtonState('next-to-resolution', this.appState.canProceedToStep(5));
+        this.updateButtonState('next-to-download', this.appState.canProceedToStep(6));
+    }
+
+    updateButtonState(buttonId, enabled) {
+        const button = document.getElementById(buttonId);
+        if (button) {
+            button.disabled = !enabled; // If True, then disabled is false
+            if (enabled) {
+                button.classList.remove('button-disabled');
+                button.classList.add('button-enabled');
+            } else {
+                button.classList.remove('button-enabled');
+                button.classList.add('button-disabled');
+            }
+        }
+    }
+
+    showNavigationError(stepNumber) {
+        const errorMessages = {
+            3: 'Please upload a CSV file first',
+            4: 'Please review and filter your data first',
+            5: 'Please select an area first (draw rectangle or upload GeoJSON)',
+            6: 'Please wait for data processing to complete'
+        };
+        
+        const message = errorMessages[stepNumber] || 'Cannot proceed to this step';
+        this.showToast(message, 'error');
+    }
+
+    restartApplication() {
+        console.log('🔄 Restarting application...');
+        
+        // Hide all steps first
+        for (let i = 1; i <= this.appState.totalSteps; i++) {
+            this.appState.hideStep(i);
+        }
+        
+        // Reset state
+        this.appState.reset();
+        
+        // Clear any file inputs
+        this.clearFileInputs();
+        
+        // Reset form inputs
+        this.resetFormInputs();
+        
+        // Go back to start
+        this.appState.goToStep(1);
+        this.updateButtonStates();
+        
+        this.showToast('Application restarted successfully', 'success');
+    }
+
+    clearFileInputs() {
+        const csvUpload = document.getElementById('csv-upload');
+        const geojsonUpload = document.getElementById('geojson-upload');
+        
+        if (csvUpload) csvUpload.value = '';
+        if (geojsonUpload) geojsonUpload.value = '';
+    }
+
+    resetFormInputs() {
+        const resolution = document.getElementById('resolution');
+        const binStep = document.getElementById('bin-step');
+        const binCount = document.getElementById('bin-count');
+        
+        if (resolution) resolution.value = '2';
+        if (binStep) binStep.value = '10';
+        if (binCount) binCount.value = '10';
+    }
+
+    showToast(message, type = 'info') {
+        ToastManager.show(message, type);
+    }
+}
+
+// ============================================================================
+// TOAST NOTIFICATION SYSTEM
+// ============================================================================
+
+class ToastManager {
+    static show(message, type = 'info', duration = 4000) {
+        const toast = document.createElement('div');
+        toast.className = `toast ${type}`;
+        
+        if (type === 'loading') {
+            // Loading toast with spinner
+            toast.innerHTML = `
+                <div class="toast-content">
+                    <div class="loading-spinner"></div>
+                    <span>${escapeHTML(message)}</span>
+                </div>
+            `;
+        } else {
+            toast.textContent = message;
+        }
+        
+        document.body.appendChild(toast);
+        
+        // Auto-remove after duration (except for loading toasts)
+        if (type !== 'loading') {
+            setTimeout(() => {
+                toast.classList.add('slide-out');
+                setTimeout(() => toast.remove(), 300);
+            }, duration);
+        }
+        
+        console.log(`📢 Toast [${type}]: ${message}`);
+        
+        // Return the toast element for loading toasts
+        return toast;
+    }
+    
+    // Method to update loading toast to success/error
+    static updateLoadingToast(loadingToast, message, type = 'success') {
+        if (loadingToast && loadingToast.parentNode) {
+            loadingToast.className = `toast ${type}`;
+            loadingToast.innerHTML = `
+                <div class="toast-content">
+                    <span>${escapeHTML(message)}</span>
+                </div>
+            `;
+            
+            // Auto-remove after showing result
+            setTimeout(() => {
+                loadingToast.classList.add('slide-out');
+                setTimeout(() => loadingToast.remove(), 300);
+            }, 3000);
+        }
+    }
+    
+    // Method to remove loading toast
+    static removeLoadingToast(loadingToast) {
+        if (loadingToast && loadingToast.parentNode) {
+            loadingToast.classList.add('slide-out');
+            setTimeout(() => loadingToast.remove(), 300);
+        }
+    }
+}
+
+// ============================================================================
+// FILE FORMAT READERS
+// ============================================================================
+
+// Builds requests for the NASA FIRMS area API, which returns active fire detections as CSV:
+// {base}/api/area/csv/{MAP_KEY}/{SOURCE}/{west,south,east,north}/{DAY_RANGE}[/{DATE}]
+class FirmsAreaAPI {
+    static DEFAULT_BASE_URL = 'https://firms.modaps.eosdis.nasa.gov';
+
+    static SOURCES = [
+        'VIIRS_SNPP_NRT', 'VIIRS_NOAA20_NRT', 'VIIRS_NOAA21_NRT', 'MODIS_NRT', 'LANDSAT_NRT',
+        'VIIRS_SNPP_SP', 'VIIRS_NOAA20_SP', 'MODIS_SP'
+    ];
+
+    static buildUrl(request) {
+        if (!request.mapKey) {
+            throw new Error('Enter your FIRMS map key');
+        }
+
+        if (!FirmsAreaAPI.SOURCES.includes(request.source)) {
+            throw new Error('Choose a FIRMS data source');
+        }
+
+        const days = Number(request.days);
+        if (!Number.isInteger(days) || days < 1 || days > 5) {
+            throw new Error('The day range must be between 1 and 5 days');
+        }
+
+        if (request.date && !/^\d{4}-\d{2}-\d{2}$/.test(request.date)) {
+            throw new Error('The date must be written as YYYY-MM-DD');
+        }
+
+        // Only the key is free text; the area keeps its commas unescaped as in the API docs
+        const parts = [encodeURIComponent(request.mapKey), request.source, FirmsAreaAPI.getArea(request), String(days)];
+        if (request.date) {
+            parts.push(request.date);
+        }
+
+        const baseUrl = request.baseUrl.replace(/\/+$/, '');
+        return `${baseUrl}/api/area/csv/${parts.join('/')}`;
+    }
+
+    // "west,south,east,north", or "world" when no bounds are given
+    static getArea({ west, south, east, north }) {
+        const bounds = [west, south, east, north];
+        if (bounds.every(value => value === '')) {
+            return 'world';
+        }
+
+        const [w, s, e, n] = bounds.map(value => value === '' ? NaN : Number(value));
+        if ([w, e].some(value => isNaN(value) || value < -180 || value > 180) ||
+            [s, n].some(value => isNaN(value) || value < -90 || value > 90)) {
+            throw new Error('Enter west/east between -180 and 180 and south/north between -90 and 90, or leave all four empty for the whole world');
+        }
+
+        if (s >= n) {
+            throw new Error('South must be less than north');
+        }
+
+        return [w, s, e, n].join(',');
+    }
+
+    static getFilename(request) {
+        return `FIRMS_${request.source}_${request.days}d${request.date ? `_${request.date}` : ''}.csv`;
+    }
+}
+
+// Coordinate systems offered for projected input, converted to WGS84 with proj4
+class CoordinateReferenceSystems {
+    static PRESETS = [
+        { code: 'EPSG:4326', label: 'WGS 84 – latitude/longitude (default)' },
+        { code: 'EPSG:3857', label: 'Web Mercator (EPSG:3857)' },
+        { code: 'utm', label: 'WGS 84 / UTM zone...' },
+        { code: 'EPSG:25832', label: 'ETRS89 / UTM 32N (EPSG:25832)', definition: '+proj=utm +zone=32 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+        { code: 'EPSG:25833', label: 'ETRS89 / UTM 33N (EPSG:25833)', definition: '+proj=utm +zone=33 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+        { code: 'EPSG:31467', label: 'DHDN / Gauss-Krüger zone 3 (EPSG:31467)', definition: '+proj=tmerc +lat_0=0 +lon_0=9 +k=1 +x_0=3500000 +y_0=0 +ellps=bessel +towgs84=598.1,73.7,418.2,0.202,0.045,-2.455,6.7 +units=m +no_defs' },
+        { code: 'EPSG:27700', label: 'British National Grid (EPSG:27700)', definition: '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +towgs84=446.448,-125.157,542.06,0.15,0.247,0.842,-20.489 +units=m +no_defs' },
+        { code: 'EPSG:2154', label: 'RGF93 / Lambert-93, France (EPSG:2154)', definition: '+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+        { code: 'EPSG:28992', label: 'Amersfoort / RD New, Netherlands (EPSG:28992)', definition: '+proj=sterea +lat_0=52.1561605555556 +lon_0=5.38763888888889 +k=0.9999079 +x_0=155000 +y_0=463000 +ellps=bessel +towgs84=565.4171,50.3319,465.5524,1.9342,-1.6677,9.1019,4.0725 +units=m +no_defs' },
+        { code: 'EPSG:2056', label: 'CH1903+ / LV95, Switzerland (EPSG:2056)', definition: '+proj=somerc +lat_0=46.9524055555556 +lon_0=7.43958333333333 +k_0=1 +x_0=2600000 +y_0=1200000 +ellps=bessel +towgs84=674.374,15.056,405.346,0,0,0,0 +units=m +no_defs' },
+        { code: 'custom', label: 'Custom (proj4 string or WKT)...' }
+    ];
+
+    // Returns (x, y) -> { lat, lon }, or null for WGS84 input
+    static createTransform(crs) {
+        const definition = CoordinateReferenceSystems.getDefinition(crs);
+        if (!definition) return null;
+
+        let converter;
+        try {
+            converter = proj4(definition, 'EPSG:4326');
+        } catch (error) {
+            throw new Error('Unknown coordinate system – paste a proj4 string or WKT definition');
+        }
+
+        return (x, y) => {
+            const [lon, lat] = converter.forward([x, y]);
+            return { lat, lon };
+        };
+    }
+
+    static getDefinition(crs) {
+        switch (crs.code) {
+            case 'EPSG:4326':
+                return null;
+            case 'EPSG:3857':
+                return 'EPSG:3857'; // Known to proj4
+            case 'utm':
+                return `+proj=utm +zone=${crs.utmZone}${crs.utmSouth ? ' +south' : ''} +datum=WGS84 +units=m +no_defs`;
+            case 'custom':
+                return crs.definition;
+            default: {
+                const preset = CoordinateReferenceSystems.PRESETS.find(p => p.code === crs.code);
+                return preset ? preset.definition : null;
+            }
+        }
+    }
+
+    static getLabel(crs) {
+        if (crs.code === 'utm') return `UTM zone ${crs.utmZone}${crs.utmSouth ? 'S' : 'N'}`;
+        if (crs.code === 'custom') return 'custom coordinate system';
+        return crs.code;
+    }
+}
+
+// Reads coordinates written as decimal degrees, degrees-minutes-seconds (40°56'40.9"N),
+// "lat, lon" pairs or WKT points. Unreadable values give NaN (parseValue) or null (parsePair).
+class CoordinateParser {
+    static WKT_POINT = /^(?:SRID=\d+;\s*)?POINT\s*(?:Z|M|ZM)?\s*\(\s*(\S+)\s+(\S+?)(?:\s+\S+)*\s*\)$/i;
+
+    // Degrees, then optional minutes and seconds, each with an optional unit symbol
+    static DMS = /^(\d+(?:[.,]\d+)?)\s*(?:°|º|˚|deg|d|:)?\s*(?:(\d+(?:[.,]\d+)?)\s*(?:'|′|’|min|m|:)?\s*)?(?:(\d+(?:[.,]\d+)?)\s*(?:"|″|”|''|′′|sec|s)?)?$/i;
+
+    static parseValue(value) {
+        const parsed = CoordinateParser.parseDegrees(value);
+        return parsed ? parsed.value : NaN;
+    }
+
+    // H3 cell as a lowercase hex string ("8928308280fffff"), also from its 64-bit integer
+    // form ("617700169958293503"); null if the value isn't a valid cell
+    static parseH3(value) {
+        if (value === null || value === undefined) return null;
+        let text = String(value).trim().toLowerCase().replace(/^0x/, '');
+
+        if (/^\d{17,20}$/.test(text)) {
+            text = BigInt(text).toString(16);
+        }
+
+        return /^[0-9a-f]{15,16}$/.test(text) && h3.isValidCell(text) ? text : null;
+    }
+
+    // Returns { value, hemisphere } (hemisphere is N/S/E/W or null), or null if unreadable
+    static parseDegrees(value) {
+        if (value === null || value === undefined) return null;
+        const text = String(value).trim();
+        if (text === '') return null;
+
+        // Plain decimal degrees are by far the most common, so try them first
+        const number = Number(text);
+        if (!isNaN(number)) return { value: number, hemisphere: null };
+
+        // Hemisphere letter before or after the number, in either case: "N 40°56'", "40.94N", "40.94n"
+        const match = text.match(/^([NSEW])?\s*(.*?)\s*([NSEW])?$/i);
+        if (match[1] && match[3]) return null;
+        let hemisphere = (match[1] || match[3] || '').toUpperCase() || null;
+        let rest = match[2];
+
+        // A trailing lowercase "s" after degrees, minutes and seconds is their unit ("40 56 12s")
+        const numbers = rest.match(/\d+(?:[.,]\d+)?/g) || [];
+        if (match[3] === 's' && numbers.length === 3 && CoordinateParser.DMS.test(`${rest.replace(/^[-+]\s*/, '')}s`)) {
+            hemisphere = null;
+            rest = `${rest}s`;
+        }
+
+        const negative = rest.startsWith('-');
+        if (negative || rest.startsWith('+')) {
+            rest = rest.slice(1).trim();
+        }
+
+        const parts = rest.match(CoordinateParser.DMS);
+        if (!parts) return null;
+
+        const [degrees, minutes, seconds] = parts.slice(1).map(part => part ? Number(part.replace(',', '.')) : 0);
+        if (minutes >= 60 || seconds >= 60) return null;
+
+        const magnitude = degrees + minutes / 60 + seconds / 3600;
+        const sign = negative || hemisphere === 'S' || hemisphere === 'W' ? -1 : 1;
+        return { value: sign * magnitude, hemisphere: hemisphere };
+    }
+
+    // Returns { lat, lon } for a value holding both coordinates, or null
+    static parsePair(value) {
+        if (value === null || value === undefined) return null;
+        const text = String(value).trim();
+        if (text === '') return null;
+
+        // WKT lists x (longitude) before y (latitude)
+        const wkt = text.match(CoordinateParser.WKT_POINT);
+        if (wkt) {
+            const lon = Number(wkt[1]);
+            const lat = Number(wkt[2]);
+            return isNaN(lat) || isNaN(lon) ? null : { lat, lon };
+        }
+
+        const parts = CoordinateParser.splitPair(text.replace(/^[([{]\s*/, '').replace(/\s*[)\]}]$/, ''));
+        if (!parts) return null;
+
+        const first = CoordinateParser.parseDegrees(parts[0]);
+        const second = CoordinateParser.parseDegrees(parts[1]);
+        if (!first || !second) return null;
+
+        // Hemisphere letters override the usual "latitude, longitude" order
+        if (['E', 'W'].includes(first.hemisphere) || ['N', 'S'].includes(second.hemisphere)) {
+            return { lat: second.value, lon: first.value };
+        }
+        return { lat: first.value, lon: second.value };
+    }
+
+    static splitPair(text) {
+        // "40.94; 31.39", also with decimal commas: "40,94; 31,39"
+        const semicolonSeparated = text.split(/\s*;\s*/);
+        if (semicolonSeparated.length === 2) return semicolonSeparated;
+
+        // "40.94, 31.39"
+        const separated = text.split(/\s*,\s*/);
+        if (separated.length === 2) return separated;
+
+        // "40°56'40.9"N 31°23'49.4"E" – split after the first hemisphere letter
+        const hemisphere = text.match(/^(.+?[NSEW])\s*[,;]?\s*(.+)$/);
+        if (hemisphere) return [hemisphere[1], hemisphere[2]];
+
+        // "40.94 31.39"
+        const spaced = text.split(/\s+/);
+        return spaced.length === 2 ? spaced : null;
+    }
+}
+
+// Guesses how a delimited text file was written from its first bytes: the text encoding,
+// the delimiter and whether numbers use a decimal comma (common in European Excel exports).
+class CSVSniffer {
+    static SAMPLE_BYTES = 64 * 1024;
+
+    static DELIMITERS = [
+        { value: ',', label: 'Comma (,)' },
+        { value: ';', label: 'Semicolon (;)' },
+        { value: '\t', label: 'Tab' },
+        { value: '|', label: 'Pipe (|)' }
+    ];
+
+    static ENCODINGS = [
+        { value: 'utf-8', label: 'UTF-8' },
+        { value: 'utf-16le', label: 'UTF-16 LE' },
+        { value: 'utf-16be', label: 'UTF-16 BE' },
+        { value: 'windows-1252', label: 'Windows-1252 (Western European)' }
+    ];
+
+    // "48,1372" or "1.234,5"; keep in sync with csv-worker.js
+    static DECIMAL_COMMA = /^\s*[-+]?(\d{1,3}(\.\d{3})+|\d+),\d+\s*$/;
+    static DECIMAL_POINT = /^\s*[-+]?\d+\.\d+\s*$/;
+
+    static sniff(bytes) {
+        const encoding = CSVSniffer.detectEncoding(bytes);
+        const text = new TextDecoder(encoding).decode(bytes);
+
+        return { encoding, ...CSVSniffer.sniffText(text, bytes.length >= CSVSniffer.SAMPLE_BYTES) };
+    }
+
+    // Delimiter and decimal separator of already decoded text; `truncated` if the text may end mid-line
+    static sniffText(text, truncated = false) {
+        const lines = text.split(/\r\n|\n|\r/);
+        if (lines.length > 1 && truncated) {
+            lines.pop();
+        }
+        const sample = lines.filter(line => line.trim() !== '').slice(0, 100).join('\n');
+
+        const delimiter = CSVSniffer.detectDelimiter(sample);
+        const decimalComma = CSVSniffer.detectDecimalComma(d3.dsvFormat(delimiter).parseRows(sample).slice(1), delimiter);
+
+        return { delimiter, decimalComma };
+    }
+
+    static detectEncoding(bytes) {
+        // Byte order marks
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+
+        // UTF-16 without a BOM: mostly-ASCII text has a zero in every other byte
+        const length = Math.min(bytes.length, 1000) & ~1;
+        let evenZeros = 0;
+        let oddZeros = 0;
+        for (let i = 0; i < length; i += 2) {
+            if (bytes[i] === 0) evenZeros++;
+            if (bytes[i + 1] === 0) oddZeros++;
+        }
+        if (length > 0 && oddZeros > length / 4 && evenZeros === 0) return 'utf-16le';
+        if (length > 0 && evenZeros > length / 4 && oddZeros === 0) return 'utf-16be';
+
+        // Anything that isn't valid UTF-8 is most likely an old Windows export
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+            return 'utf-8';
+        } catch (error) {
+            return 'windows-1252';
+        }
+    }
+
+    // Picks the delimiter that splits the lines into the same number (> 1) of fields most consistently
+    static detectDelimiter(sample) {
+        let best = { delimiter: ',', score: 0 };
+
+        CSVSniffer.DELIMITERS.forEach(({ value }) => {
+            const rows = d3.dsvFormat(value).parseRows(sample);
+            if (rows.length === 0 || rows[0].length < 2) return;
+
+            const fieldCount = rows[0].length;
+            const consistent = rows.filter(row => row.length === fieldCount).length / rows.length;
+            const score = consistent * 1000 + fieldCount;
+
+            if (score > best.score) {
+                best = { delimiter: value, score: score };
+            }
+        });
+
+        return best.delimiter;
+    }
+
+    // With a comma delimiter an unquoted decimal comma would split the field, so only look otherwise
+    static detectDecimalComma(rows, delimiter) {
+        if (delimiter === ',') return false;
+
+        let commaValues = 0;
+        let pointValues = 0;
+        rows.forEach(row => {
+            row.forEach(value => {
+                if (CSVSniffer.DECIMAL_POINT.test(value)) pointValues++;
+                else if (CSVSniffer.DECIMAL_COMMA.test(value)) commaValues++;
+            });
+        });
+
+        return commaValues > pointValues;
+    }
+
+    // "1.234,5" -> "1234.5"; other values are returned unchanged
+    static normalizeDecimalComma(value) {
+        if (!CSVSniffer.DECIMAL_COMMA.test(value)) return value;
+        return value.trim().replace(/\./g, '').replace(',', '.');
+    }
+}
+
+// Flattens GeoJSON Point/MultiPoint features into table rows. Nested properties become
+// "parent.child" columns; the point coordinates are returned separately, one entry per row.
+class GeoJSONPointReader {
+    static read(geojson) {
+        const features = GeoJSONPointReader.getFeatures(geojson);
+        const rows = [];
+        const coordinates = [];
+        const columns = [];
+        const seenColumns = new Set();
+        let skippedFeatures = 0;
+
+        features.forEach(feature => {
+            const points = GeoJSONPointReader.getPoints(feature.geometry);
+
+            // Features with null geometry are kept so the validation report can count them
+            if (points.length === 0 && feature.geometry) {
+                skippedFeatures++;
+                return;
+            }
+
+            const properties = {};
+            if (feature.id !== undefined && feature.id !== null) {
+                properties.feature_id = String(feature.id);
+            }
+            GeoJSONPointReader.flatten(feature.properties, '', properties);
+
+            Object.keys(properties).forEach(column => {
+                if (!seenColumns.has(column)) {
+                    seenColumns.add(column);
+                    columns.push(column);
+                }
+            });
+
+            // MultiPoints become one row per point, sharing the feature properties
+            const pointList = points.length > 0 ? points : [null];
+            pointList.forEach(point => {
+                rows.push({ ...properties });
+                coordinates.push(point ? { lat: point[1], lon: point[0] } : null);
+            });
+        });
+
+        // Align all rows to the full set of columns
+        rows.forEach(row => {
+            columns.forEach(column => {
+                if (row[column] === undefined) row[column] = '';
+            });
+        });
+
+        rows.columns = columns;
+        return { rows, coordinates, skippedFeatures };
+    }
+
+    static getFeatures(geojson) {
+        if (!geojson || typeof geojson !== 'object') {
+            throw new Error('Not a GeoJSON object');
+        }
+
+        switch (geojson.type) {
+            case 'FeatureCollection':
+                return geojson.features || [];
+            case 'Feature':
+                return [geojson];
+            case 'Point':
+            case 'MultiPoint':
+            case 'GeometryCollection':
+                return [{ type: 'Feature', properties: {}, geometry: geojson }];
+            default:
+                throw new Error('Not a GeoJSON FeatureCollection');
+        }
+    }
+
+    // Returns [lon, lat] pairs for point geometries, or an empty list for anything else
+    static getPoints(geometry) {
+        if (!geometry) return [];
+
+        switch (geometry.type) {
+            case 'Point':
+                return GeoJSONPointReader.isPosition(geometry.coordinates) ? [geometry.coordinates] : [];
+            case 'MultiPoint':
+                return (geometry.coordinates || []).filter(GeoJSONPointReader.isPosition);
+            case 'GeometryCollection':
+                return (geometry.geometries || []).flatMap(GeoJSONPointReader.getPoints);
+            default:
+                return [];
+        }
+    }
+
+    static isPosition(position) {
+        return Array.isArray(position) && typeof position[0] === 'number' && typeof position[1] === 'number';
+    }
+
+    static flatten(object, prefix, target) {
+        Object.entries(object || {}).forEach(([key, value]) => {
+            const name = prefix ? `${prefix}.${key}` : key;
+
+            if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+                GeoJSONPointReader.flatten(value, name, target);
+            } else if (Array.isArray(value)) {
+                target[name] = JSON.stringify(value);
+            } else {
+                target[name] = value === null || value === undefined ? '' : String(value);
+            }
+        });
+    }
+}
+
+// Namespace-agnostic element lookups for the XML formats (KML, xlsx), since some
+// writers prefix the elements with a namespace
+class XMLHelper {
+    static elements(parent, localName) {
+        return Array.from(parent.getElementsByTagNameNS('*', localName));
+    }
+
+    static children(parent, localName) {
+        return Array.from(parent.children).filter(child => child.localName === localName);
+    }
+}
+
+// Converts KML placemarks into a GeoJSON FeatureCollection so they can go through
+// GeoJSONPointReader. Name, description and ExtendedData become feature properties.
+class KMLReader {
+    // KMZ files are zips with the main document (usually doc.kml) at the top level
+    static async extractKML(file) {
+        const zip = await JSZip.loadAsync(file);
+        const kmlFiles = Object.values(zip.files)
+            .filter(entry => !entry.dir && entry.name.toLowerCase().endsWith('.kml'));
+
+        if (kmlFiles.length === 0) {
+            throw new Error('No KML document found in the KMZ file');
+        }
+
+        const mainFile = kmlFiles.find(entry => entry.name === 'doc.kml') || kmlFiles[0];
+        return mainFile.async('string');
+    }
+
+    static toGeoJSON(kmlText) {
+        const doc = new DOMParser().parseFromString(kmlText, 'application/xml');
+
+        if (doc.getElementsByTagName('parsererror').length > 0 || XMLHelper.elements(doc, 'kml').length === 0) {
+            throw new Error('Not a valid KML file');
+        }
+
+        const features = XMLHelper.elements(doc, 'Placemark').map(placemark => ({
+            type: 'Feature',
+            id: placemark.getAttribute('id') || undefined,
+            properties: KMLReader.readProperties(placemark),
+            geometry: KMLReader.readGeometry(placemark)
+        }));
+
+        return { type: 'FeatureCollection', features: features };
+    }
+
+    static readProperties(placemark) {
+        const properties = {};
+
+        ['name', 'description'].forEach(tag => {
+            const element = XMLHelper.children(placemark, tag)[0];
+            if (element) properties[tag] = element.textContent.trim();
+        });
+
+        // <Data name="..."><value>...</value></Data>
+        XMLHelper.elements(placemark, 'Data').forEach(data => {
+            const value = XMLHelper.children(data, 'value')[0];
+            properties[data.getAttribute('name')] = value ? value.textContent.trim() : '';
+        });
+
+        // <SchemaData><SimpleData name="...">...</SimpleData></SchemaData>
+        XMLHelper.elements(placemark, 'SimpleData').forEach(data => {
+            properties[data.getAttribute('name')] = data.textContent.trim();
+        });
+
+        return properties;
+    }
+
+    // Points (also inside MultiGeometry) become a MultiPoint; lines and polygons are not points
+    static readGeometry(placemark) {
+        const points = XMLHelper.elements(placemark, 'Point')
+            .map(point => XMLHelper.elements(point, 'coordinates')[0])
+            .filter(Boolean)
+            .map(coordinates => coordinates.textContent.trim().split(',').map(Number));
+
+        if (points.length > 0) {
+            return points.length === 1
+                ? { type: 'Point', coordinates: points[0] }
+                : { type: 'MultiPoint', coordinates: points };
+        }
+
+        const hasOtherGeometry = ['LineString', 'LinearRing', 'Polygon', 'Track', 'Model']
+            .some(tag => XMLHelper.elements(placemark, tag).length > 0);
+        return hasOtherGeometry ? { type: 'GeometryCollection', geometries: [] } : null;
+    }
+}
+
+// Decompresses .gz files and finds the CSV files in a zip. The contents are handed
+// on as File objects, so the CSV worker can stream them like an uploaded file.
+class ArchiveReader {
+    static TABLE_EXTENSIONS = ['csv', 'tsv', 'txt'];
+
+    static async gunzip(file) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress .gz files – please unpack the file first');
+        }
+
+        let blob;
+        try {
+            blob = await new Response(file.stream().pipeThrough(new DecompressionStream('gzip'))).blob();
+        } catch (error) {
+            throw new Error(`${file.name} is not a valid gzip file`);
+        }
+
+        return new File([blob], file.name.replace(/\.gz$/i, ''));
+    }
+
+    static getTableEntries(zip) {
+        return Object.values(zip.files).filter(entry => {
+            if (entry.dir || entry.name.startsWith('__MACOSX/')) return false;
+            return ArchiveReader.TABLE_EXTENSIONS.includes(entry.name.split('.').pop().toLowerCase());
+        });
+    }
+
+    static async extract(zip, entryName) {
+        const entry = zip.file(entryName);
+        if (!entry) {
+            throw new Error(`${entryName} not found in the zip`);
+        }
+        return new File([await entry.async('blob')], entryName.split('/').pop());
+    }
+}
+
+// Reads point shapefiles (.shp/.dbf/.prj/.cpg) from a zip into a GeoJSON FeatureCollection,
+// reprojecting to WGS84 with proj4 when the .prj describes another coordinate system.
+class ShapefileReader {
+    static POINT_TYPES = [1, 11, 21];      // Point, PointZ, PointM
+    static MULTIPOINT_TYPES = [8, 18, 28]; // MultiPoint, MultiPointZ, MultiPointM
+
+    // Finds the layers in an open zip – none if it holds no .shp file
+    static fromZip(zip) {
+        const entries = Object.values(zip.files).filter(entry => !entry.dir && !entry.name.startsWith('__MACOSX/'));
+
+        // Group the sidecar files by their base name ("roads.shp", "roads.dbf", ...)
+        const layers = entries
+            .filter(entry => /\.shp$/i.test(entry.name))
+            .map(shp => {
+                const base = shp.name.slice(0, -4);
+                const sidecar = extension => entries.find(entry => entry.name.toLowerCase() === `${base}.${extension}`.toLowerCase());
+                return {
+                    name: base.split('/').pop(),
+                    shp: shp,
+                    dbf: sidecar('dbf'),
+                    prj: sidecar('prj'),
+                    cpg: sidecar('cpg')
+                };
+            });
+
+        return { zip: zip, layers: layers };
+    }
+
+    static async readLayer(archive, layerName) {
+        const layer = archive.layers.find(l => l.name === layerName);
+        if (!layer) {
+            throw new Error(`Layer "${layerName}" not found`);
+        }
+
+        const geometries = ShapefileReader.readGeometries(await layer.shp.async('arraybuffer'));
+
+        const encoding = layer.cpg ? ShapefileReader.getEncoding(await layer.cpg.async('string')) : null;
+        const records = layer.dbf
+            ? ShapefileReader.readDBF(await layer.dbf.async('arraybuffer'), encoding)
+            : geometries.map(() => ({}));
+
+        const project = layer.prj ? ShapefileReader.getProjection(await layer.prj.async('string')) : null;
+
+        const features = [];
+        geometries.forEach((geometry, i) => {
+            const properties = records[i];
+            // Records deleted in the DBF are still present in the .shp
+            if (properties === null) return;
+
+            if (geometry && project) {
+                geometry.coordinates = geometry.type === 'Point'
+                    ? project(geometry.coordinates)
+                    : geometry.coordinates.map(project);
             }
-            
-            // Create right SVG
-            const rightSvg = d3.create('svg')
-                .attr('width', width)
-                .attr('height', height);
-            
-            const rightG = rightSvg.append('g')
-                .attr('transform', `translate(${margin.left},${margin.top})`);
-            
-            // Add bars for binned data
-            rightG.selectAll('.bin-bar')
-                .data(userBins)
-                .enter()
-                .append('rect')
-                .attr('class', 'bin-bar')
-                .attr('x', d => x(d.x0))
-                .attr('y', d => y(d.count))
-                .attr('width', d => Math.max(0, x(d.x1) - x(d.x0)))
-                .attr('height', d => chartHeight - y(d.count))
-                .attr('fill', 'var(--primary-color)')
-                .attr('opacity', 0.7)
-                .on('mouseover', function(event, d) {
-                    d3.select(this).attr('opacity', 1);
-                    
-                    // Create tooltip
-                    const tooltip = d3.select('body').append('div')
-                        .attr('class', 'histogram-tooltip')
-                        .style('position', 'absolute')
-                        .style('background', 'rgba(0, 0, 0, 0.8)')
-                        .style('color', 'white')
-                        .style('padding', '8px 12px')
-                        .style('border-radius', '4px')
-                        .style('font-size', '12px')
-                        .style('pointer-events', 'none')
-                        .style('z-index', '1000')
-                        .style('opacity', 0);
-                    
-                    // Format the range text
-                    let rangeText;
-                    if (d.label.endsWith('+')) {
-                        rangeText = `${d.x0}+`;
-                    } else {
-                        rangeText = `${d.x0}-${d.x1 }`;
-                    }
-                    
-                    tooltip.html(`There are ${d.count} hexagons with a point count in the ${rangeText} range`)
-                        .style('left', (event.pageX + 10) + 'px')
-                        .style('top', (event.pageY - 10) + 'px')
-                        .transition()
-                        .duration(200)
-                        .style('opacity', 1);
-                })
-                .on('mousemove', function(event) {
-                    d3.select('.histogram-tooltip')
-                        .style('left', (event.pageX + 10) + 'px')
-                        .style('top', (event.pageY - 10) + 'px');
-                })
-                .on('mouseout', function() {
-                    d3.select(this).attr('opacity', 0.7);
-                    d3.select('.histogram-tooltip').remove();
+
+            features.push({ type: 'Feature', properties: properties || {}, geometry: geometry });
+        });
+
+        return { type: 'FeatureCollection', features: features };
+    }
+
+    static readGeometries(buffer) {
+        const view = new DataView(buffer);
+
+        if (buffer.byteLength < 100 || view.getInt32(0, false) !== 9994) {
+            throw new Error('Not a valid .shp file');
+        }
+
+        const shapeType = view.getInt32(32, true);
+        if (!ShapefileReader.POINT_TYPES.includes(shapeType) && !ShapefileReader.MULTIPOINT_TYPES.includes(shapeType)) {
+            throw new Error('Only point shapefiles are supported');
+        }
+
+        const geometries = [];
+        let offset = 100;
+
+        // Record header: record number and content length in 16-bit words (big endian)
+        while (offset + 8 <= buffer.byteLength) {
+            const contentLength = view.getInt32(offset + 4, false) * 2;
+            const content = offset + 8;
+            offset = content + contentLength;
+
+            if (contentLength < 4 || offset > buffer.byteLength) break;
+
+            const recordType = view.getInt32(content, true);
+
+            if (ShapefileReader.POINT_TYPES.includes(recordType)) {
+                geometries.push({
+                    type: 'Point',
+                    coordinates: [view.getFloat64(content + 4, true), view.getFloat64(content + 12, true)]
                 });
-            
-            // Add axes for right histogram
-            rightG.append('g')
-                .attr('transform', `translate(0,${chartHeight})`)
-                .call(d3.axisBottom(x).ticks(5));
-            
-            rightG.append('g')
-                .call(d3.axisLeft(y).ticks(5));
-            
-            // Add axis labels for right histogram
-            rightG.append('text')
-                .attr('transform', `translate(${chartWidth/2}, ${chartHeight + 35})`)
-                .style('text-anchor', 'middle')
-                .style('font-size', '12px')
-                .style('fill', 'var(--text-color)')
-                .text('Bin point range');
+            } else if (ShapefileReader.MULTIPOINT_TYPES.includes(recordType)) {
+                // Skip the bounding box; points follow the count
+                const numPoints = view.getInt32(content + 36, true);
+                const points = [];
+                for (let p = 0; p < numPoints; p++) {
+                    const pointOffset = content + 40 + p * 16;
+                    points.push([view.getFloat64(pointOffset, true), view.getFloat64(pointOffset + 8, true)]);
+                }
+                geometries.push({ type: 'MultiPoint', coordinates: points });
+            } else {
+                // Null shape
+                geometries.push(null);
+            }
+        }
 
-            rightG.append('text')
-                .attr('transform', 'rotate(-90)')
-                .attr('y', 0 - margin.left)
-                .attr('x', 0 - (chartHeight / 2))
-                .attr('dy', '1em')
-                .style('text-anchor', 'middle')
-                .style('font-size', '12px')
-                .style('fill', 'var(--text-color)')
-                .text('Number of hexagons');
-            
-            const binnedHistogramContainer = document.getElementById('binned-histogram');
-            if (binnedHistogramContainer) {
-                binnedHistogramContainer.appendChild(rightSvg.node());
+        return geometries;
+    }
+
+    // Returns one properties object per record, or null for deleted records
+    static readDBF(buffer, encoding) {
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        const recordCount = view.getUint32(4, true);
+        const headerLength = view.getUint16(8, true);
+        const recordLength = view.getUint16(10, true);
+        const decode = ShapefileReader.createDecoder(bytes, headerLength, encoding);
+
+        // Field descriptors are 32 bytes each, terminated by 0x0D
+        const fields = [];
+        let fieldOffset = 0;
+        for (let offset = 32; offset + 32 <= headerLength && bytes[offset] !== 0x0D; offset += 32) {
+            const nameBytes = bytes.subarray(offset, offset + 11);
+            const nameEnd = nameBytes.indexOf(0);
+            fields.push({
+                name: decode(nameBytes.subarray(0, nameEnd === -1 ? 11 : nameEnd)).trim(),
+                type: String.fromCharCode(bytes[offset + 11]),
+                offset: fieldOffset + 1, // after the deletion flag
+                length: bytes[offset + 16]
+            });
+            fieldOffset += bytes[offset + 16];
+        }
+
+        const records = [];
+        for (let r = 0; r < recordCount; r++) {
+            const start = headerLength + r * recordLength;
+            if (start + recordLength > bytes.length) break;
+
+            if (bytes[start] === 0x2A) { // '*' marks a deleted record
+                records.push(null);
+                continue;
+            }
+
+            const properties = {};
+            fields.forEach(field => {
+                const raw = decode(bytes.subarray(start + field.offset, start + field.offset + field.length)).trim();
+                properties[field.name] = ShapefileReader.formatValue(raw, field.type);
+            });
+            records.push(properties);
+        }
+
+        return records;
+    }
+
+    static formatValue(raw, type) {
+        switch (type) {
+            case 'D': // YYYYMMDD
+                return /^\d{8}$/.test(raw) ? `${raw.slice(0, 4)}-${raw.slice(4, 6)}-${raw.slice(6, 8)}` : '';
+            case 'L':
+                if ('YyTt'.includes(raw) && raw) return 'true';
+                if ('NnFf'.includes(raw) && raw) return 'false';
+                return '';
+            case 'N':
+            case 'F':
+                // Numeric fields are padded and use asterisks for overflow
+                return /^\*+$/.test(raw) ? '' : raw;
+            default:
+                return raw;
+        }
+    }
+
+    // Without a .cpg, use UTF-8 if the whole file decodes cleanly, else Windows-1252
+    static createDecoder(bytes, headerLength, encoding) {
+        if (!encoding) {
+            try {
+                new TextDecoder('utf-8', { fatal: true }).decode(bytes.subarray(headerLength));
+                encoding = 'utf-8';
+            } catch (error) {
+                encoding = 'windows-1252';
+            }
+        }
+
+        const decoder = new TextDecoder(encoding);
+        return subarray => decoder.decode(subarray);
+    }
+
+    // .cpg files hold names like "UTF-8", "1252" or "ISO-8859-1"
+    static getEncoding(cpgText) {
+        const name = cpgText.trim().toLowerCase();
+        if (!name) return null;
+
+        const encoding = /^\d+$/.test(name) ? (name === '65001' ? 'utf-8' : `windows-${name}`) : name;
+        try {
+            new TextDecoder(encoding);
+            return encoding;
+        } catch (error) {
+            console.warn(`⚠️ Unknown shapefile encoding "${cpgText.trim()}", guessing instead`);
+            return null;
+        }
+    }
+
+    // Returns a [x, y] -> [lon, lat] function, or null when the data already is WGS84 lon/lat
+    static getProjection(prjText) {
+        const wkt = prjText.trim();
+        if (!wkt || (/^GEOGCS\[/i.test(wkt) && /WGS[ _]?(19)?84/i.test(wkt))) {
+            return null;
+        }
+
+        let converter;
+        try {
+            converter = proj4(wkt, 'EPSG:4326');
+        } catch (error) {
+            throw new Error('Unsupported coordinate system in the .prj file');
+        }
+
+        console.log('🌐 Reprojecting shapefile to WGS84 from:', wkt.slice(0, 80));
+        return coordinates => converter.forward(coordinates);
+    }
+}
+
+// Reads .xlsx workbooks with JSZip: sheet list, shared and inline strings, booleans and date cells.
+// Every sheet is returned like d3.csvParse output – objects of strings plus a `columns` array.
+class ExcelReader {
+    // Namespace of the r:id attributes, in transitional and strict workbooks
+    static RELATIONSHIP_NAMESPACES = [
+        'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+        'http://purl.oclc.org/ooxml/officeDocument/relationships'
+    ];
+
+    static async open(file) {
+        const zip = await JSZip.loadAsync(file);
+
+        const workbookXml = await ExcelReader.readXml(zip, 'xl/workbook.xml');
+        if (!workbookXml) {
+            throw new Error('Not a valid .xlsx file');
+        }
+
+        // Sheets point to their XML files through the workbook relationships
+        const relsXml = await ExcelReader.readXml(zip, 'xl/_rels/workbook.xml.rels');
+        const targets = {};
+        if (relsXml) {
+            XMLHelper.elements(relsXml, 'Relationship').forEach(rel => {
+                targets[rel.getAttribute('Id')] = rel.getAttribute('Target');
+            });
+        }
+
+        const sheets = XMLHelper.elements(workbookXml, 'sheet').map(sheet => {
+            const target = targets[ExcelReader.getRelationshipId(sheet)] || '';
+            return {
+                name: sheet.getAttribute('name'),
+                path: target.startsWith('/') ? target.slice(1) : `xl/${target}`
+            };
+        });
+
+        const workbookPr = XMLHelper.elements(workbookXml, 'workbookPr')[0];
+        const date1904 = workbookPr ? ['1', 'true'].includes(workbookPr.getAttribute('date1904')) : false;
+
+        return {
+            zip: zip,
+            sheets: sheets,
+            sharedStrings: await ExcelReader.readSharedStrings(zip),
+            dateStyles: await ExcelReader.readDateStyles(zip),
+            date1904: date1904
+        };
+    }
+
+    static async readSheet(workbook, sheetName) {
+        const sheet = workbook.sheets.find(s => s.name === sheetName);
+        const xml = sheet ? await ExcelReader.readXml(workbook.zip, sheet.path) : null;
+        if (!xml) {
+            throw new Error(`Sheet "${sheetName}" not found`);
+        }
+
+        // Collect cell values per row, placed by their column letter
+        const records = [];
+        XMLHelper.elements(xml, 'row').forEach(rowElement => {
+            const values = [];
+            XMLHelper.children(rowElement, 'c').forEach(cell => {
+                const ref = cell.getAttribute('r');
+                const index = ref ? ExcelReader.columnIndex(ref) : values.length;
+                values[index] = ExcelReader.cellValue(cell, workbook);
+            });
+
+            // Skip rows without any content
+            if (values.some(value => value !== undefined && value !== '')) {
+                records.push(values);
+            }
+        });
+
+        const data = [];
+        if (records.length === 0) {
+            data.columns = [];
+            return data;
+        }
+
+        // First non-empty row is the header; blank or repeated names get made unique
+        const seen = {};
+        const columns = Array.from(records[0], (name, i) => {
+            let column = (name || '').trim() || `column_${i + 1}`;
+            if (seen[column]) {
+                seen[column]++;
+                column = `${column}_${seen[column]}`;
             } else {
-                console.error('❌ binned-histogram container not found');
+                seen[column] = 1;
             }
+            return column;
+        });
+
+        for (let r = 1; r < records.length; r++) {
+            const row = {};
+            columns.forEach((column, i) => {
+                const value = records[r][i];
+                row[column] = value !== undefined ? value : '';
+            });
+            data.push(row);
         }
-        
-        console.log('✅ Two side-by-side histograms created');
+
+        data.columns = columns;
+        return data;
+    }
+
+    static cellValue(cell, workbook) {
+        const type = cell.getAttribute('t');
+        const valueElement = XMLHelper.children(cell, 'v')[0];
+        const value = valueElement ? valueElement.textContent : undefined;
+
+        switch (type) {
+            case 's':
+                return workbook.sharedStrings[parseInt(value, 10)] || '';
+            case 'inlineStr':
+                return XMLHelper.elements(cell, 't').map(t => t.textContent).join('');
+            case 'b':
+                return value === '1' ? 'TRUE' : 'FALSE';
+            case 'e':
+                // Error cells such as #N/A
+                return '';
+            case 'str':
+            case 'd':
+                return value || '';
+            default:
+                if (value === undefined) return '';
+                if (workbook.dateStyles.has(parseInt(cell.getAttribute('s'), 10))) {
+                    return ExcelReader.serialToDate(parseFloat(value), workbook.date1904);
+                }
+                return value;
+        }
+    }
+
+    // Excel stores dates as days since 1899-12-30 (or 1904-01-01)
+    static serialToDate(serial, date1904) {
+        const days = serial + (date1904 ? 1462 : 0);
+        const iso = new Date(Math.round((days - 25569) * 86400000)).toISOString();
+
+        if (serial < 1) return iso.slice(11, 19);            // Time only
+        if (Number.isInteger(serial)) return iso.slice(0, 10); // Date only
+        return iso.slice(0, 19).replace('T', ' ');
+    }
+
+    static async readSharedStrings(zip) {
+        const xml = await ExcelReader.readXml(zip, 'xl/sharedStrings.xml');
+        if (!xml) return [];
+
+        // Rich text splits a string into runs; phonetic hints (rPh) are left out
+        return XMLHelper.elements(xml, 'si').map(si =>
+            XMLHelper.elements(si, 't')
+                .filter(t => t.parentNode.localName !== 'rPh')
+                .map(t => t.textContent)
+                .join('')
+        );
+    }
+
+    // Returns the indexes of cell styles that format numbers as dates or times
+    static async readDateStyles(zip) {
+        const dateStyles = new Set();
+        const xml = await ExcelReader.readXml(zip, 'xl/styles.xml');
+        if (!xml) return dateStyles;
+
+        const customFormats = {};
+        XMLHelper.elements(xml, 'numFmt').forEach(format => {
+            customFormats[format.getAttribute('numFmtId')] = format.getAttribute('formatCode');
+        });
+
+        const cellXfs = XMLHelper.elements(xml, 'cellXfs')[0];
+        if (!cellXfs) return dateStyles;
+
+        XMLHelper.children(cellXfs, 'xf').forEach((xf, index) => {
+            const id = parseInt(xf.getAttribute('numFmtId'), 10);
+            const builtInDate = (id >= 14 && id <= 22) || (id >= 27 && id <= 36) || (id >= 45 && id <= 47) || (id >= 50 && id <= 58);
+            const code = customFormats[id];
+            // Ignore quoted text, [colours] and escaped characters before looking for date tokens
+            const customDate = code ? /[dmyhs]/i.test(code.replace(/"[^"]*"|\[[^\]]*\]|\\./g, '')) : false;
+
+            if (builtInDate || customDate) {
+                dateStyles.add(index);
+            }
+        });
+
+        return dateStyles;
+    }
+
+    static async readXml(zip, path) {
+        const entry = zip.file(path);
+        if (!entry) return null;
+
+        const text = await entry.async('string');
+        return new DOMParser().parseFromString(text, 'application/xml');
+    }
+
+    // Read by namespace, as writers don't all use the "r" prefix
+    static getRelationshipId(element) {
+        for (const namespace of ExcelReader.RELATIONSHIP_NAMESPACES) {
+            const id = element.getAttributeNS(namespace, 'id');
+            if (id) return id;
+        }
+        return null;
+    }
+
+    // "AB12" -> 27
+    static columnIndex(ref) {
+        const letters = ref.match(/^[A-Z]+/i)[0].toUpperCase();
+        let index = 0;
+        for (let i = 0; i < letters.length; i++) {
+            index = index * 26 + (letters.charCodeAt(i) - 64);
+        }
+        return index - 1;
+    }
+}
+
+// ============================================================================
+// DATA PROCESSING
+// ============================================================================
+
+// Detects the type of each column (numeric, date or categorical) and collects the
+// numbers shown in the filter step: empty and distinct values, ranges and a histogram.
+class ColumnProfiler {
+    static SAMPLE_SIZE = 200000; // Larger datasets are profiled from evenly spaced rows
+    static TYPE_THRESHOLD = 0.95; // Share of non-empty values that must fit a type
+    static MAX_CODE_VALUES = 10;  // Whole numbers with this few values are codes, e.g. FIRMS "type"
+    static HISTOGRAM_BINS = 12;
+
+    static ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+    static SLASH_DATE = /^\d{1,2}\/\d{1,2}\/\d{4}$/; // Read like the date filter does (month first)
+
+    static TYPE_LABELS = {
+        numeric: 'Number',
+        date: 'Date',
+        categorical: 'Category'
+    };
+
+    static profileColumns(data) {
+        const sampled = data.length > ColumnProfiler.SAMPLE_SIZE;
+        let rows = data;
+        if (sampled) {
+            const step = data.length / ColumnProfiler.SAMPLE_SIZE;
+            rows = Array.from({ length: ColumnProfiler.SAMPLE_SIZE }, (_, i) => data[Math.floor(i * step)]);
+        }
+
+        const columns = {};
+        data.columns.forEach(column => {
+            columns[column] = ColumnProfiler.profile(rows, column);
+        });
+
+        return { sampled: sampled, sampleSize: rows.length, columns: columns };
     }
 
-    // ============================================================================
-    // BIN COLOR MANAGEMENT
-    // ============================================================================
+    static profile(rows, column) {
+        const counts = new Map();
+        let empty = 0;
 
-    generateDefaultColors() {
-        console.log('🎨 Generating default colors...');
-        
-        const binCount = this.binCount;
-        this.defaultColors = [];
-        
-        for (let i = 0; i < binCount; i++) {
-            const t = binCount === 1 ? 1 : i / (binCount - 1); // Step on the color ramp
-            const color = d3.interpolateLab(this.COLOR_START, this.COLOR_END)(t);
-            const colorHex = d3.color(color).formatHex();
-            this.defaultColors.push(colorHex);
+        rows.forEach(row => {
+            const value = row[column] === undefined || row[column] === null ? '' : String(row[column]).trim();
+            if (value === '') empty++;
+            counts.set(value, (counts.get(value) || 0) + 1);
+        });
+        counts.delete('');
+
+        const profile = {
+            type: ColumnProfiler.inferType([...counts.keys()], counts),
+            count: rows.length,
+            empty: empty,
+            distinct: counts.size
+        };
+
+        if (profile.type === 'categorical') {
+            profile.topValues = [...counts.entries()]
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 3);
+            return profile;
         }
-        
-        console.log('✅ Default colors generated:', this.defaultColors);
-    }
 
-    initializeCustomColors() {
-        console.log('🎨 Initializing custom colors...');
-        
-        const binLabels = this.generateBinLabels();
-        this.customColors = {};
-        
-        binLabels.forEach((label, index) => {
-            this.customColors[label] = this.defaultColors[index];
+        // Numbers and dates both become numbers (dates as milliseconds) for the range and histogram
+        const parse = profile.type === 'date' ? ColumnProfiler.parseDate : Number;
+        const values = [];
+        counts.forEach((count, value) => {
+            const number = parse(value);
+            if (!isFinite(number)) return;
+            for (let i = 0; i < count; i++) values.push(number);
         });
-        
-        console.log('✅ Custom colors initialized:', this.customColors);
+
+        [profile.min, profile.max] = d3.extent(values);
+        profile.hasTime = profile.type === 'date' && [...counts.keys()].some(value => /\d[T ]\d/.test(value));
+
+        const histogram = d3.bin().thresholds(ColumnProfiler.HISTOGRAM_BINS)(values);
+        profile.histogram = histogram.map(bin => ({ x0: bin.x0, x1: bin.x1, length: bin.length }));
+        return profile;
     }
 
-    generateBinLabels() {
-        const labels = [];
-        
-        for (let i = 0; i < this.binCount; i++) {
-            const start = i * this.binStep + 1;
-            const end = (i + 1) * this.binStep;
-            
-            if (i === this.binCount - 1) {
-                // Last bin is always a "+" bin
-                labels.push(`${start}+`);
-            } else {
-                labels.push(`${start}–${end}`);
-            }
+    // Decided on the distinct values, weighted by how often they occur
+    static inferType(distinctValues, counts) {
+        const total = distinctValues.reduce((sum, value) => sum + counts.get(value), 0);
+        if (total === 0) return 'categorical';
+
+        const share = test => distinctValues.reduce((sum, value) => sum + (test(value) ? counts.get(value) : 0), 0) / total;
+
+        if (share(value => isFinite(Number(value))) >= ColumnProfiler.TYPE_THRESHOLD) {
+            const isCode = distinctValues.length <= ColumnProfiler.MAX_CODE_VALUES && distinctValues.every(value => Number.isInteger(Number(value)));
+            return isCode ? 'categorical' : 'numeric';
         }
-        
-        return labels;
-    }
 
-    getDefaultColor(binIndex) {
-        return this.defaultColors[binIndex] || this.COLOR_START;
+        if (share(value => isFinite(ColumnProfiler.parseDate(value))) >= ColumnProfiler.TYPE_THRESHOLD) {
+            return 'date';
+        }
+
+        return 'categorical';
     }
 
-    getCustomColor(binLabel) {
-        return this.customColors[binLabel] || this.getDefaultColor(this.getBinIndex(binLabel));
+    // Milliseconds, or NaN for values that don't look like a date
+    static parseDate(value) {
+        if (ColumnProfiler.ISO_DATE.test(value)) {
+            return TimeParser.getTimestamp(value, null);
+        }
+        return ColumnProfiler.SLASH_DATE.test(value) ? new Date(value).getTime() : NaN;
     }
 
-    getBinIndex(binLabel) {
-        const binLabels = this.generateBinLabels();
-        return binLabels.indexOf(binLabel);
+    static formatNumber(value) {
+        return value === undefined ? '–' : value.toLocaleString(undefined, { maximumFractionDigits: 4 });
     }
 
-    setupCopyLegend() {
-        // Add event listener for copy button
-        this.navigation.addListener('copy-legend-html', 'click', () => {
-            this.copyLegendAsHTML();
-        });
+    static formatDate(value, withTime = false) {
+        if (value === undefined) return '–';
+        const iso = new Date(value).toISOString();
+        return withTime ? iso.slice(0, 16).replace('T', ' ') : iso.slice(0, 10);
     }
+}
 
-    copyLegendAsHTML() {
-        if (!this.processedData || !this.processedData.binLabels) {
-            console.warn('⚠️ No processed data available for legend');
-            return;
+// Timestamps from date and time columns, and the time of day in UTC or local solar time
+class TimeParser {
+    // Milliseconds since 1970 (UTC) from a date or date-time value and an optional time
+    // value such as FIRMS acq_time ("0412", "412" or "04:12")
+    static getTimestamp(dateValue, timeValue) {
+        const date = String(dateValue || '').trim();
+        if (!date) return NaN;
+
+        if (timeValue === null || timeValue === undefined) {
+            return TimeParser.parseUTC(date);
         }
 
-        // Get bin labels and their corresponding colors
-        const binLabels = this.processedData.binLabels;
-        const legendData = binLabels.map(label => {
-            const color = this.getCustomColor(label);
-            return {
-                color: color,
-                label: label
-            };
-        });
+        const time = String(timeValue).trim();
+        const match = /^\d{1,4}$/.test(time)
+            ? /^(\d{2})(\d{2})$/.exec(time.padStart(4, '0'))
+            : /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(time);
+        if (!match) return NaN;
 
-        // Generate horizontal HTML legend (like Datawrapper style)
-        const htmlLegend = this.generateHorizontalHTMLLegend(legendData);
-        
-        // Copy to clipboard
-        navigator.clipboard.writeText(htmlLegend).then(() => {
-            this.showToast('Legend copied to clipboard!', 'success');
-            console.log('✅ HTML legend copied to clipboard');
-        }).catch(err => {
-            console.error('❌ Failed to copy legend:', err);
-            this.showToast('Failed to copy legend', 'error');
-            // Fallback: show the HTML in a prompt
-            prompt('Copy this HTML:', htmlLegend);
-        });
+        // Start of the (UTC) day; ISO values are cut to the date so a zone can't move it
+        const DAY = 24 * 60 * 60 * 1000;
+        const day = Math.floor(TimeParser.parseUTC(/^\d{4}-\d{2}-\d{2}/.test(date) ? date.slice(0, 10) : date) / DAY) * DAY;
+        return day + ((parseInt(match[1]) * 60 + parseInt(match[2])) * 60 + parseInt(match[3] || 0)) * 1000;
     }
 
-    generateHorizontalHTMLLegend(legendData) {
-        // Create horizontal legend using the provided template
-        let html = '';
-        
-        legendData.forEach((item, index) => {
-            const isLast = index === legendData.length - 1;
-            const marginRight = isLast ? '' : 'margin-right:6px;';
-            
-            html += `<span style="display:inline-block; text-align:center; ${marginRight}">
-                    <span style="display:block; width:30px; height:12px; background:${item.color};"></span>
-                    <span style="display:block; font-size:11px; color:#444;">${item.label}</span>
-                    </span>`;
-        });
-        
-        return html;
+    // Values without a time zone are read as UTC, whatever the browser's time zone
+    static parseUTC(date) {
+        const hasZone = /(Z|[+-]\d{2}:?\d{2}|GMT|UTC)$/i.test(date);
+
+        // Date-only ISO strings are UTC already; add a Z to date-times without a zone
+        if (/^\d{4}-\d{2}-\d{2}/.test(date)) {
+            return Date.parse(/\d[T ]\d/.test(date) && !hasZone ? `${date.replace(' ', 'T')}Z` : date);
+        }
+
+        // Other forms, e.g. "07/01/2025" (month first), are read in local time by the
+        // browser, so the same clock reading is taken again as UTC
+        const local = new Date(date);
+        if (isNaN(local.getTime()) || hasZone) return local.getTime();
+        return Date.UTC(local.getFullYear(), local.getMonth(), local.getDate(),
+            local.getHours(), local.getMinutes(), local.getSeconds(), local.getMilliseconds());
     }
 
+    // Minutes since midnight, in UTC or in local mean solar time at `lon`
+    // (noon when the sun is highest: UTC shifted by four minutes per degree of longitude)
+    static getMinuteOfDay(timestamp, clock = 'utc', lon = 0) {
+        const utcMinutes = Math.floor(timestamp / 60000) % 1440;
+        const minutes = clock === 'solar' ? utcMinutes + lon * 4 : utcMinutes;
+        return ((minutes % 1440) + 1440) % 1440;
+    }
 
-    // ============================================================================
-    // DOWNLOAD STEP METHODS
-    // ============================================================================
+    // "HH:MM" -> minutes since midnight
+    static parseTimeOfDay(value) {
+        const match = /^(\d{1,2}):(\d{2})/.exec(value || '');
+        return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : NaN;
+    }
 
-    initializeDownloadStep() {
-        console.log('📥 Initializing download step...');
-        
-        // Initialize the download preview map
-        this.initializeDownloadPreviewMap();
-        
-        // Initialize custom colors (copy of defaults)
-        this.initializeCustomColors();
-        
-        // Update file info
-        this.updateFileInfo();
-        
-        // Update the download preview map with current data
-        this.updateDownloadPreviewMap();
-        
-        // Setup download button listeners
-        this.setupDownloadListeners();
-        
-        // Setup color customization
-        this.setupColorCustomization();
-        
-        // Setup copy legend functionality
-        this.setupCopyLegend();
-        
-        // Initialize Coloris color picker
-        this.initializeColoris();
-        
-        console.log('✅ Download step initialized');
+    // Windows can wrap around midnight, e.g. 20:00–06:00 for night detections
+    static isInTimeWindow(minute, from, to) {
+        return from <= to
+            ? minute >= from && minute <= to
+            : minute >= from || minute <= to;
     }
+}
 
-    initializeDownloadPreviewMap() {
-        if (!this.maps.downloadPreview) {
-            console.log('🗺️ Creating download preview map...');
-            
-            // Create Leaflet map
-            this.maps.downloadPreview = L.map('download-preview-map').setView([0, 0], 2);
-            
-            // Add OpenStreetMap tiles
-            L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-                attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-                maxZoom: 19
-            }).addTo(this.maps.downloadPreview);
-            
-            console.log('✅ Download preview map initialized');
-        }
+// Finds duplicate points. Rows are visited from the one to keep to the one to drop,
+// and each row is compared with the rows kept so far.
+class Deduplicator {
+    static EARTH_RADIUS = 6371008.8; // Metres
+
+    // FIRMS names, then anything that looks right
+    static suggestColumns(columns) {
+        const find = (...patterns) => {
+            for (const pattern of patterns) {
+                const match = columns.find(col => pattern.test(col));
+                if (match) return match;
+            }
+            return '';
+        };
+
+        const dateColumn = find(/^acq_date$/i, /date/i, /time/i);
+        const timeColumn = find(/^acq_time$/i, /^time$/i);
+        return {
+            dateColumn: dateColumn,
+            timeColumn: timeColumn !== dateColumn ? timeColumn : '',
+            differColumn: find(/^satellite$/i, /^instrument$/i, /^source_file$/i),
+            keepColumn: find(/^frp$/i, /^confidence$/i, /^bright/i)
+        };
     }
 
-    updateDownloadPreviewMap() {
-        if (!this.maps.downloadPreview) return;
-        
-        // Clear existing hexagon layers
-        if (this.downloadHexagonLayer) {
-            this.maps.downloadPreview.removeLayer(this.downloadHexagonLayer);
-        }
-        
-        // Add hexagon polygons to map if we have processed data
-        if (this.processedData && this.processedData.features.length > 0) {
-            console.log('🗺️ Adding hexagon polygons to download preview map...');
-            
-            // Create hexagon layer with styling
-            this.downloadHexagonLayer = L.geoJSON(this.processedData, {
-                style: (feature) => {
-                    const binLabel = feature.properties.bin;
-                    const color = this.getCustomColor(binLabel);
-                    
-                    return {
-                        fillColor: color,
-                        weight: 1,
-                        opacity: 0.8,
-                        color: '#ffffff',
-                        fillOpacity: 0.7
-                    };
-                },
-                onEachFeature: (feature, layer) => {
- 
-                    const count = feature.properties.count;
-                    const binLabel = feature.properties.bin;
-                    
-                    
-                    layer.bindPopup(`
-                        <div class="popup-content">
-                            <strong>Hexagon Details</strong><br>
-                            Point count: ${count}<br>
-                            Bin: ${binLabel}
-                        </div>
-                    `);
+    // Returns { kept, removed } with the kept rows in their original order and, for each
+    // removed row, { row, keptRow, distance, timeDifference } (metres and minutes)
+    static run(data, options, getCoordinates) {
+        const order = Deduplicator.getOrder(data, options);
+        const removed = [];
+        const isRemoved = new Uint8Array(data.length);
+
+        if (options.mode === 'exact') {
+            // Identical in every column; the file a row came from doesn't matter
+            const columns = data.columns.filter(col => col !== 'source_file');
+            const keptByKey = new Map();
+
+            order.forEach(index => {
+                const row = data[index];
+                const key = columns.map(col => row[col]).join('\u0000');
+                const keptRow = keptByKey.get(key);
+
+                if (keptRow) {
+                    isRemoved[index] = 1;
+                    removed.push({ row: row, keptRow: keptRow, distance: 0, timeDifference: 0 });
+                } else {
+                    keptByKey.set(key, row);
                 }
-            }).addTo(this.maps.downloadPreview);
-            
-            // Fit map to hexagon bounds
-            this.maps.downloadPreview.fitBounds(this.downloadHexagonLayer.getBounds());
-            
-            console.log(`🗺️ Added ${this.processedData.features.length} hexagon polygons to download preview map`);
+            });
+        } else {
+            const coordinates = data.map(row => getCoordinates(row));
+            const cells = Deduplicator.getGridCells(coordinates, Math.max(options.distance, 1));
+            const grid = new Map(); // "x,y" grid cell -> kept points in it
+
+            order.forEach(index => {
+                const row = data[index];
+                const { lat, lon } = coordinates[index];
+                const time = options.dateColumn
+                    ? TimeParser.getTimestamp(row[options.dateColumn], options.timeColumn ? row[options.timeColumn] : null)
+                    : NaN;
+                const group = options.differColumn ? row[options.differColumn] : null;
+
+                const x = Math.min(cells.columns - 1, Math.floor((lon + 180) / cells.width));
+                const y = Math.floor((lat + 90) / cells.height);
+
+                const match = Deduplicator.findMatch(grid, x, y, cells.columns, { lat, lon, time, group }, options);
+                if (match) {
+                    isRemoved[index] = 1;
+                    removed.push({ row: row, keptRow: match.point.row, distance: match.distance, timeDifference: match.timeDifference });
+                    return;
+                }
+
+                const cellKey = `${x},${y}`;
+                if (!grid.has(cellKey)) {
+                    grid.set(cellKey, []);
+                }
+                grid.get(cellKey).push({ row, lat, lon, time, group });
+            });
         }
+
+        const kept = data.filter((row, index) => !isRemoved[index]);
+        return { kept, removed };
     }
 
-    updateFileInfo() {
-        if (!this.processedData) return;
-        
-        const hexCount = this.processedData.features.length;
-        const fileSize = this.estimateFileSize();
-        
-        // Update hex count
-        const hexCountElement = document.getElementById('hex-count');
-        if (hexCountElement) {
-            hexCountElement.textContent = hexCount.toLocaleString();
-        }
-        
-        // Update file size
-        const fileSizeElement = document.getElementById('file-size');
-        if (fileSizeElement) {
-            fileSizeElement.textContent = fileSize;
-        }
+    // Grid in degrees whose cells are at least `distance` wide everywhere in the data, so
+    // the neighbouring cells hold every point within `distance`. One longitude width is
+    // used for the whole run, sized for the latitude furthest from the equator.
+    static getGridCells(coordinates, distance) {
+        const maxLatitude = d3.max(coordinates, point => Math.abs(point.lat)) || 0;
+        const angle = distance / Deduplicator.EARTH_RADIUS;
+        const toDegrees = 180 / Math.PI;
+
+        // From the haversine formula: points within `distance` differ by at most this much
+        // in latitude, and, when neither is beyond maxLatitude, in longitude
+        const sinHalfLongitude = Math.sin(angle / 2) / Math.cos(maxLatitude / toDegrees);
+        const width = sinHalfLongitude < 1 ? 2 * Math.asin(sinHalfLongitude) * toDegrees : 360;
+
+        // Slightly larger than the bounds, so rounding can't push a neighbour two cells away
+        const columns = Math.max(1, Math.floor(360 / (width * (1 + 1e-9))));
+        return { width: 360 / columns, height: angle * toDegrees * (1 + 1e-9), columns: columns };
     }
 
-    estimateFileSize() {
-        if (!this.processedData) return '0 KB';
-        
-        // Rough estimation: each feature is about 200-500 bytes
-        const estimatedBytes = this.processedData.features.length * 350;
-        
-        if (estimatedBytes < 1024) {
-            return `${estimatedBytes} B`;
-        } else if (estimatedBytes < 1024 * 1024) {
-            return `${(estimatedBytes / 1024).toFixed(1)} KB`;
-        } else {
-            return `${(estimatedBytes / (1024 * 1024)).toFixed(1)} MB`;
+    static findMatch(grid, x, y, columns, point, options) {
+        const toleranceMs = options.timeTolerance * 60000;
+
+        // Columns wrap around at the antimeridian; with fewer than three, each is visited once
+        const neighbourColumns = new Set([-1, 0, 1].map(dx => (x + dx + columns) % columns));
+
+        for (const column of neighbourColumns) {
+            for (let dy = -1; dy <= 1; dy++) {
+                const cell = grid.get(`${column},${y + dy}`);
+                if (!cell) continue;
+
+                for (const other of cell) {
+                    if (point.group !== null && other.group === point.group) continue;
+
+                    // Rows without a readable time can't be confirmed as duplicates
+                    let timeDifference = NaN;
+                    if (options.dateColumn) {
+                        timeDifference = Math.abs(point.time - other.time);
+                        if (!(timeDifference <= toleranceMs)) continue;
+                    }
+
+                    const distance = Deduplicator.getDistance(point.lat, point.lon, other.lat, other.lon);
+                    if (distance <= options.distance) {
+                        return { point: other, distance: distance, timeDifference: timeDifference / 60000 };
+                    }
+                }
+            }
         }
-    }
 
-    setupDownloadListeners() {
-        // Single file download
-        this.navigation.addListener('download-single', 'click', () => {
-            this.downloadSingleFile();
-        });
-        
-        // Multiple files download
-        this.navigation.addListener('download-multi', 'click', () => {
-            this.downloadMultipleFiles();
-        });
+        return null;
     }
 
-    downloadSingleFile() {
-        if (!this.processedData) {
-            console.error('❌ No processed data available for download');
-            return;
+    // Row indexes from the most to the least preferred row
+    static getOrder(data, options) {
+        const order = data.map((row, index) => index);
+
+        if (options.keep === 'last') {
+            order.reverse();
+        } else if ((options.keep === 'max' || options.keep === 'min') && options.keepColumn) {
+            const values = data.map(row => parseFloat(row[options.keepColumn]));
+            const direction = options.keep === 'max' ? -1 : 1;
+            // Rows without a number come last; ties keep the file order
+            order.sort((a, b) => {
+                if (isNaN(values[a]) || isNaN(values[b])) return isNaN(values[a]) - isNaN(values[b]);
+                return direction * (values[a] - values[b]) || a - b;
+            });
         }
-        
-        console.log('📥 Downloading single file with custom colors...');
-        
-        // Apply custom colors on-the-fly (no memory duplication)
-        const geoJsonString = JSON.stringify(this.processedData, null, 2);
-        
-        // Create and trigger download
-        const blob = new Blob([geoJsonString], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `hexagon_map_${new Date().toISOString().split('T')[0]}.geojson`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        
-        console.log('✅ Single file download completed with custom colors');
+
+        return order;
     }
 
-    downloadMultipleFiles() {
-        if (!this.processedData) {
-            console.error('❌ No processed data available for download');
-            return;
-        }
-        
-        console.log('📦 Downloading multiple files with custom colors...');
-        
-        // Apply custom colors on-the-fly
-        // const customizedData = this.applyCustomColorsToData(this.processedData);
-        
-        // Group features by bin
-        const bins = {};
-        this.processedData.features.forEach(feature => {
-            const binLabel = feature.properties.bin;
-            if (!bins[binLabel]) {
-                bins[binLabel] = {
-                    type: 'FeatureCollection',
-                    features: []
-                };
+    // Haversine distance in metres
+    static getDistance(lat1, lon1, lat2, lon2) {
+        const toRadians = Math.PI / 180;
+        const dLat = (lat2 - lat1) * toRadians;
+        const dLon = (lon2 - lon1) * toRadians;
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(lat1 * toRadians) * Math.cos(lat2 * toRadians) * Math.sin(dLon / 2) ** 2;
+        return 2 * Deduplicator.EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+    }
+}
+
+// Matches values for the text filter: contains, starts with, any of a pasted list or a
+// regular expression, optionally case-sensitive
+class TextMatcher {
+    static MODE_LABELS = {
+        contains: 'contains',
+        startsWith: 'starts with',
+        anyOf: 'is any of',
+        regex: 'matches'
+    };
+
+    // Throws a SyntaxError for invalid regular expressions
+    static create(filter) {
+        const normalize = value => filter.caseSensitive ? value : value.toLowerCase();
+
+        switch (filter.match) {
+            case 'regex': {
+                const regex = new RegExp(filter.pattern, filter.caseSensitive ? '' : 'i');
+                return value => regex.test(value);
             }
-            bins[binLabel].features.push(feature);
-        });
-        
-        // Create ZIP file
-        const zip = new JSZip();
-        
-        // Add each bin as a separate GeoJSON file
-        Object.keys(bins).forEach(binLabel => {
-            const geoJsonString = JSON.stringify(bins[binLabel], null, 2);
-            const fileName = `hexagons_${binLabel.replace(/[^a-zA-Z0-9]/g, '_')}.geojson`;
-            zip.file(fileName, geoJsonString);
-        });
-        
-        // Generate and download ZIP
-        zip.generateAsync({ type: 'blob' }).then(content => {
-            const url = URL.createObjectURL(content);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `hexagon_maps_${new Date().toISOString().split('T')[0]}.zip`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-        });
-        
-        console.log('✅ Multiple files download completed with custom colors');
+            case 'anyOf': {
+                const values = new Set(filter.values.map(normalize));
+                return value => values.has(normalize(value.trim()));
+            }
+            case 'startsWith': {
+                const pattern = normalize(filter.pattern);
+                return value => normalize(value).startsWith(pattern);
+            }
+            default: {
+                const pattern = normalize(filter.pattern);
+                return value => normalize(value).includes(pattern);
+            }
+        }
     }
+}
 
-    // applyCustomColorsToData(originalData) {
-    //     if (!originalData || !originalData.features) {
-    //         console.warn('⚠️ No valid data to apply custom colors to');
-    //         return originalData;
-    //     }
-        
-    //     console.log('🎨 Applying custom colors to data...');
-        
-    //     // Deep clone the original data
-    //     const customized = JSON.parse(JSON.stringify(originalData));
-        
-    //     // Apply custom colors to each feature
-    //     customized.features.forEach(feature => {
-    //         const binLabel = feature.properties.binLabel;
-    //         if (binLabel) {
-    //             const customColor = this.getCustomColor(binLabel);
-    //             feature.properties.color = customColor;
-                
-    //             // Add additional color properties for better compatibility
-    //             feature.properties.fill = customColor;
-    //             feature.properties.stroke = customColor;
-    //         }
-    //     });
-        
-    //     console.log(`✅ Applied custom colors to ${customized.features.length} features`);
-    //     return customized;
-    // }
+// Filters as a tree of rules and groups. A group combines its children with AND or OR,
+// and any group or rule can be negated:
+//   { kind: 'group', id, operator: 'and' | 'or', negate, children: [...] }
+//   { kind: 'rule', id, column, negate, filter: { type: 'categorical' | 'text' | 'numeric' | 'date' | 'datetime', ... } }
+class FilterTree {
+    static nextId = 1;
 
-    // ============================================================================
-    // COLOR CUSTOMIZATION METHODS
-    // ============================================================================
+    static createGroup(operator = 'and') {
+        return { kind: 'group', id: FilterTree.nextId++, operator: operator, negate: false, children: [] };
+    }
 
-    setupColorCustomization() {
-        // Reset colors button
-        this.navigation.addListener('reset-colors', 'click', () => {
-            this.resetToDefaultColors();
-        });
-        
-        // Update color legend (always visible)
-        this.updateColorLegend();
+    static createRule(column, filter) {
+        return { kind: 'rule', id: FilterTree.nextId++, column: column, negate: false, filter: filter };
     }
 
-    initializeColoris() {
-        // Initialize Coloris with default settings
-        if (typeof Coloris !== 'undefined') {
-            // Initialize Coloris (no need for separate init() call)
-            Coloris({
-                el: '.coloris-input',
-                theme: 'pill',
-                themeMode: 'light',
-                format: 'hex',
-                formatToggle: false,
-                clearButton: false,
-                closeButton: true,
-                swatches: this.COLOR_SUGGESTIONS
-            });
-            console.log('✅ Coloris initialized with hex format and color suggestions');
-        } else {
-            console.warn('⚠️ Coloris not loaded, falling back to native color picker');
+    // { node, parent } for the node with this id, or null
+    static find(node, id, parent = null) {
+        if (node.id === id) return { node: node, parent: parent };
+        if (node.kind !== 'group') return null;
+
+        for (const child of node.children) {
+            const found = FilterTree.find(child, id, node);
+            if (found) return found;
         }
+        return null;
     }
 
-    ensureHexFormat(color) {
-        // Convert RGB/RGBA to hex if needed
-        if (color.startsWith('rgb')) {
-            // Uses d3 for color conversion
-            const hexColor = d3.color(color).formatHex();
-        }
-        
-        return color.toUpperCase();
+    static getRules(node) {
+        if (node.kind === 'rule') return [node];
+        return node.children.flatMap(child => FilterTree.getRules(child));
+    }
 
+    // Columns the rules read, including the time columns of date-time rules
+    static getColumns(node) {
+        const columns = new Set();
+        FilterTree.getRules(node).forEach(rule => {
+            columns.add(rule.column);
+            if (rule.filter.timeColumn) columns.add(rule.filter.timeColumn);
+        });
+        return [...columns];
     }
 
-    handleColorChange(binLabel, newColor) {
-        // Ensure color is in hex format
-        const hexColor = this.ensureHexFormat(newColor);
-        
-        // Update custom color
-        this.customColors[binLabel] = hexColor;
-        
-        // Update all related components
-        this.updateColorLegend();
-        this.updateDownloadPreviewMap();
-        
-        console.log(`✅ Color updated for bin "${binLabel}": ${hexColor}`);
+    // Deep copy with new ids, e.g. for trees from saved presets
+    static clone(node) {
+        const copy = JSON.parse(JSON.stringify(node));
+        const renumber = current => {
+            current.id = FilterTree.nextId++;
+            if (current.kind === 'group') current.children.forEach(renumber);
+        };
+        renumber(copy);
+        return copy;
     }
 
+    // Removes the rules for which test(rule) is true, in all groups
+    static removeRules(group, test) {
+        group.children = group.children.filter(child => child.kind === 'group' || !test(child));
+        group.children.forEach(child => {
+            if (child.kind === 'group') FilterTree.removeRules(child, test);
+        });
+    }
 
-    resetToDefaultColors() {
-        // Reset custom colors to default colors
-        this.initializeCustomColors();
-        
-        // Update color legend and map
-        this.updateColorLegend();
-        this.updateDownloadPreviewMap();
-        
-        console.log('✅ Colors reset to defaults');
+    // A function telling whether a row matches the whole tree, built once so filtering
+    // doesn't walk the tree for every row. compileRule(rule) returns the same for a single
+    // rule. Groups without rules are no condition at all, negated or not.
+    static compile(node, compileRule) {
+        return FilterTree.compileNode(node, compileRule) || (() => true);
     }
 
-    updateColorLegend() {
-        const colorLegend = document.getElementById('color-legend');
-        if (!colorLegend) return;
-        
-        if (!this.processedData || !this.processedData.binLabels) {
-            colorLegend.innerHTML = '<p class="text-center text-gray-500">No data available</p>';
-            return;
+    // null for groups without rules
+    static compileNode(node, compileRule) {
+        let test;
+        if (node.kind === 'rule') {
+            test = compileRule(node);
+        } else {
+            const tests = node.children
+                .map(child => FilterTree.compileNode(child, compileRule))
+                .filter(Boolean);
+            if (tests.length === 0) return null;
+
+            if (tests.length === 1) {
+                test = tests[0];
+            } else if (node.operator === 'or') {
+                test = row => tests.some(childTest => childTest(row));
+            } else {
+                test = row => tests.every(childTest => childTest(row));
+            }
         }
-        
-        const binLabels = this.processedData.binLabels;
-        const legendItems = binLabels.map(label => {
-            const color = this.getCustomColor(label);
-            const hexColor = this.ensureHexFormat(color);
-            return `
-                <div class="color-legend-item" data-bin-label="${label}">
-                    <input type="text" class="coloris-input" data-bin-label="${label}" value="${hexColor}" readonly>
-                    <span class="color-label">${label}</span>
-                </div>
-            `;
-        }).join('');
-        
-        colorLegend.innerHTML = legendItems;
-        
-        // Re-initialize Coloris for new inputs
-        if (typeof Coloris !== 'undefined') {
-            Coloris({
-                el: '.coloris-input',
-                theme: 'pill',
-                themeMode: 'light',
-                format: 'hex',
-                formatToggle: false,
-                clearButton: false,
-                closeButton: true,
-                swatches: this.COLOR_SUGGESTIONS
-            });
-            
-            // Add individual change listeners to each input
-            colorLegend.querySelectorAll('.coloris-input').forEach(input => {
-                input.addEventListener('input', (e) => {
-                    const binLabel = e.target.dataset.binLabel;
-                    const newColor = e.target.value;
-                    if (binLabel && newColor) {
-                        this.handleColorChange(binLabel, newColor);
-                    }
-                });
-            });
+        return node.negate ? row => !test(row) : test;
+    }
+
+    // Readable expression, e.g. "confidence not in (l) AND (frp ≥ 10 OR NOT satellite not in (N21))"
+    static describe(node, describeRule, isRoot = true) {
+        let text;
+        if (node.kind === 'rule') {
+            text = describeRule(node);
+        } else {
+            const parts = node.children
+                .filter(child => FilterTree.getRules(child).length > 0)
+                .map(child => FilterTree.describe(child, describeRule, false));
+            if (parts.length === 0) return '';
+
+            text = parts.join(node.operator === 'or' ? ' OR ' : ' AND ');
+            if (parts.length > 1 && (!isRoot || node.negate)) {
+                text = `(${text})`;
+            }
         }
-        
-        console.log('✅ Color legend updated with custom colors');
+        return node.negate ? `NOT ${text}` : text;
     }
+}
+
+// Expressions for computed columns, e.g. frp / (scan * track), yearmonth(acq_date) or
+// if(confidence == "h", 100, number(confidence)). They are parsed into plain functions –
+// there is no eval, and only the functions listed in FUNCTIONS can be called.
+//
+//   Values     numbers, "text" or 'text', true, false, null, column names; [any column name]
+//              for names with spaces or other characters
+//   Operators  + - * / % (+ joins text unless both sides are numbers), == != < <= > >=
+//              (= works as ==), and/&&, or/||, not/!, parentheses
+class ColumnExpression {
+    static FUNCTIONS = {
+        // Numbers
+        abs: { args: [1, 1], fn: x => Math.abs(ColumnExpression.toNumber(x)) },
+        round: { args: [1, 2], fn: (x, digits = 0) => {
+            const factor = 10 ** ColumnExpression.toNumber(digits);
+            return Math.round(ColumnExpression.toNumber(x) * factor) / factor;
+        } },
+        floor: { args: [1, 1], fn: x => Math.floor(ColumnExpression.toNumber(x)) },
+        ceil: { args: [1, 1], fn: x => Math.ceil(ColumnExpression.toNumber(x)) },
+        sqrt: { args: [1, 1], fn: x => Math.sqrt(ColumnExpression.toNumber(x)) },
+        pow: { args: [2, 2], fn: (x, y) => ColumnExpression.toNumber(x) ** ColumnExpression.toNumber(y) },
+        log: { args: [1, 1], fn: x => Math.log(ColumnExpression.toNumber(x)) },
+        log10: { args: [1, 1], fn: x => Math.log10(ColumnExpression.toNumber(x)) },
+        exp: { args: [1, 1], fn: x => Math.exp(ColumnExpression.toNumber(x)) },
+        min: { args: [1, Infinity], fn: (...values) => Math.min(...values.map(ColumnExpression.toNumber)) },
+        max: { args: [1, Infinity], fn: (...values) => Math.max(...values.map(ColumnExpression.toNumber)) },
+        number: { args: [1, 1], fn: x => ColumnExpression.toNumber(x) },
+
+        // Text
+        text: { args: [1, 1], fn: x => ColumnExpression.format(x) },
+        lower: { args: [1, 1], fn: s => ColumnExpression.format(s).toLowerCase() },
+        upper: { args: [1, 1], fn: s => ColumnExpression.format(s).toUpperCase() },
+        trim: { args: [1, 1], fn: s => ColumnExpression.format(s).trim() },
+        length: { args: [1, 1], fn: s => ColumnExpression.format(s).length },
+        concat: { args: [1, Infinity], fn: (...values) => values.map(ColumnExpression.format).join('') },
+        substr: { args: [2, 3], fn: (s, start, length) => {
+            const from = ColumnExpression.toNumber(start);
+            const text = ColumnExpression.format(s);
+            return length === undefined ? text.slice(from) : text.slice(from, from + ColumnExpression.toNumber(length));
+        } },
+        left: { args: [2, 2], fn: (s, n) => ColumnExpression.format(s).slice(0, ColumnExpression.toNumber(n)) },
+        right: { args: [2, 2], fn: (s, n) => {
+            const count = ColumnExpression.toNumber(n);
+            return count > 0 ? ColumnExpression.format(s).slice(-count) : '';
+        } },
+        replace: { args: [3, 3], fn: (s, find, replacement) =>
+            ColumnExpression.format(s).split(ColumnExpression.format(find)).join(ColumnExpression.format(replacement)) },
+        contains: { args: [2, 2], fn: (s, part) => ColumnExpression.format(s).includes(ColumnExpression.format(part)) },
+        startswith: { args: [2, 2], fn: (s, part) => ColumnExpression.format(s).startsWith(ColumnExpression.format(part)) },
+        endswith: { args: [2, 2], fn: (s, part) => ColumnExpression.format(s).endsWith(ColumnExpression.format(part)) },
+
+        // Dates, in UTC; the optional time is a value like FIRMS acq_time ("0412")
+        date: { args: [1, 2], fn: (d, t) => ColumnExpression.formatTimestamp(ColumnExpression.toTimestamp(d, t), 10) },
+        datetime: { args: [1, 2], fn: (d, t) => ColumnExpression.formatTimestamp(ColumnExpression.toTimestamp(d, t), 16) },
+        yearmonth: { args: [1, 1], fn: d => ColumnExpression.formatTimestamp(ColumnExpression.toTimestamp(d), 7) },
+        year: { args: [1, 1], fn: d => ColumnExpression.getDatePart(d, undefined, date => date.getUTCFullYear()) },
+        month: { args: [1, 1], fn: d => ColumnExpression.getDatePart(d, undefined, date => date.getUTCMonth() + 1) },
+        day: { args: [1, 1], fn: d => ColumnExpression.getDatePart(d, undefined, date => date.getUTCDate()) },
+        hour: { args: [1, 2], fn: (d, t) => ColumnExpression.getDatePart(d, t, date => date.getUTCHours()) },
+        weekday: { args: [1, 1], fn: d => ColumnExpression.getDatePart(d, undefined, date => date.getUTCDay() || 7) }, // 1 = Monday
+        daysbetween: { args: [2, 2], fn: (a, b) =>
+            (ColumnExpression.toTimestamp(b) - ColumnExpression.toTimestamp(a)) / (24 * 60 * 60 * 1000) },
+
+        // Conditions; if() only evaluates the branch it returns
+        if: { args: [3, 3], lazy: true },
+        coalesce: { args: [1, Infinity], fn: (...values) => values.find(value => !ColumnExpression.isEmpty(value)) },
+        isempty: { args: [1, 1], fn: x => ColumnExpression.isEmpty(x) }
+    };
+
+    // Returns row => value. Throws an Error naming the problem and its position,
+    // or the unknown column or function.
+    static compile(source, columns) {
+        const tokens = ColumnExpression.tokenize(source);
+        let index = 0;
+
+        const peek = () => tokens[index];
+        const next = () => tokens[index++];
+        const isOperator = (...values) => peek().type === 'operator' && values.includes(peek().value);
+        const fail = (message, token = peek()) => {
+            throw new Error(token.type === 'end' ? `${message} at the end` : `${message} at position ${token.position + 1}`);
+        };
+        const expect = value => {
+            if (!isOperator(value)) fail(`Expected "${value}"`);
+            next();
+        };
+
+        // Lowest precedence first: or, and, not, comparisons, + -, * / %, unary minus
+        const parseOr = () => {
+            let left = parseAnd();
+            while (isOperator('or')) {
+                next();
+                const a = left, b = parseAnd();
+                left = row => ColumnExpression.isTrue(a(row)) || ColumnExpression.isTrue(b(row));
+            }
+            return left;
+        };
+
+        const parseAnd = () => {
+            let left = parseNot();
+            while (isOperator('and')) {
+                next();
+                const a = left, b = parseNot();
+                left = row => ColumnExpression.isTrue(a(row)) && ColumnExpression.isTrue(b(row));
+            }
+            return left;
+        };
+
+        const parseNot = () => {
+            if (isOperator('not')) {
+                next();
+                const operand = parseNot();
+                return row => !ColumnExpression.isTrue(operand(row));
+            }
+            return parseComparison();
+        };
+
+        const parseComparison = () => {
+            const left = parseAdditive();
+            if (!isOperator('==', '!=', '<', '<=', '>', '>=')) return left;
 
+            const operator = next().value;
+            const right = parseAdditive();
+            return row => ColumnExpression.compare(operator, left(row), right(row));
+        };
 
-} // End of AppState class
+        const parseAdditive = () => {
+            let left = parseMultiplicative();
+            while (isOperator('+', '-')) {
+                const operator = next().value;
+                const a = left, b = parseMultiplicative();
+                left = operator === '+'
+                    ? row => ColumnExpression.add(a(row), b(row))
+                    : row => ColumnExpression.toNumber(a(row)) - ColumnExpression.toNumber(b(row));
+            }
+            return left;
+        };
 
+        const parseMultiplicative = () => {
+            let left = parseUnary();
+            while (isOperator('*', '/', '%')) {
+                const operator = next().value;
+                const a = left, b = parseUnary();
+                left = row => {
+                    const x = ColumnExpression.toNumber(a(row));
+                    const y = ColumnExpression.toNumber(b(row));
+                    return operator === '*' ? x * y : operator === '/' ? x / y : x % y;
+                };
+            }
+            return left;
+        };
 
+        const parseUnary = () => {
+            if (isOperator('-', '+')) {
+                const operator = next().value;
+                const operand = parseUnary();
+                return operator === '-'
+                    ? row => -ColumnExpression.toNumber(operand(row))
+                    : row => ColumnExpression.toNumber(operand(row));
+            }
+            return parsePrimary();
+        };
 
-// ============================================================================
-// STEP NAVIGATION SYSTEM
-// ============================================================================
+        const parsePrimary = () => {
+            const token = next();
+
+            switch (token.type) {
+                case 'number':
+                case 'string':
+                    return () => token.value;
+                case 'column':
+                    return parseColumn(token);
+                case 'identifier': {
+                    if (isOperator('(')) return parseCall(token);
+
+                    const keyword = token.value.toLowerCase();
+                    if (keyword === 'true') return () => true;
+                    if (keyword === 'false') return () => false;
+                    if (keyword === 'null') return () => null;
+                    return parseColumn(token);
+                }
+                case 'operator':
+                    if (token.value === '(') {
+                        const inner = parseOr();
+                        expect(')');
+                        return inner;
+                    }
+                    return fail(`Unexpected "${token.value}"`, token);
+                default:
+                    return fail('Expected a value', token);
+            }
+        };
 
-class StepNavigation {
-    constructor(appState) {
-        this.appState = appState;
-        this.setupNavigationListeners();
+        const parseColumn = token => {
+            if (columns && !columns.includes(token.value)) {
+                throw new Error(`Unknown column "${token.value}"`);
+            }
+            const column = token.value;
+            return row => row[column];
+        };
+
+        const parseCall = token => {
+            const name = token.value.toLowerCase();
+            const spec = Object.prototype.hasOwnProperty.call(ColumnExpression.FUNCTIONS, name)
+                ? ColumnExpression.FUNCTIONS[name]
+                : null;
+            if (!spec) throw new Error(`Unknown function "${token.value}"`);
+
+            expect('(');
+            const args = [];
+            if (!isOperator(')')) {
+                args.push(parseOr());
+                while (isOperator(',')) {
+                    next();
+                    args.push(parseOr());
+                }
+            }
+            expect(')');
+
+            const [min, max] = spec.args;
+            if (args.length < min || args.length > max) {
+                const expected = min === max ? min : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+                // "1 argument", "at least 1 argument", but "1 to 2 arguments"
+                const isSingular = (max === Infinity ? min : max) === 1;
+                throw new Error(`${name}() takes ${expected} argument${isSingular ? '' : 's'}`);
+            }
+
+            if (spec.lazy) {
+                const [condition, then, otherwise] = args;
+                return row => ColumnExpression.isTrue(condition(row)) ? then(row) : otherwise(row);
+            }
+            return row => spec.fn(...args.map(arg => arg(row)));
+        };
+
+        if (peek().type === 'end') {
+            throw new Error('The expression is empty');
+        }
+        const evaluate = parseOr();
+        if (peek().type !== 'end') fail(`Unexpected "${peek().value}"`);
+        return evaluate;
     }
 
-    setupNavigationListeners() {
-        // Start button
-        this.addListener('start-button', 'click', () => {
-            // This is always the AppState.
-            // On click, it calls the funciton navigate to step, with the correct step number.
-            this.navigateToStep(2);
-        });
+    // [{ type: 'number' | 'string' | 'identifier' | 'column' | 'operator' | 'end', value, position }]
+    static tokenize(source) {
+        const tokens = [];
+        const WORD_OPERATORS = new Map([['and', 'and'], ['or', 'or'], ['not', 'not']]);
+        const SYMBOL_OPERATORS = new Map([
+            ['&&', 'and'], ['||', 'or'], ['==', '=='], ['!=', '!='], ['<>', '!='], ['<=', '<='], ['>=', '>='],
+            ['!', 'not'], ['=', '=='], ['<', '<'], ['>', '>'], ['+', '+'], ['-', '-'], ['*', '*'], ['/', '/'], ['%', '%'],
+            ['(', '('], [')', ')'], [',', ',']
+        ]);
+        let i = 0;
 
-        // Back buttons
-        this.addListener('back-to-start', 'click', () => {
-            this.navigateToStep(1);
-        });
+        while (i < source.length) {
+            const char = source[i];
+            const position = i;
 
-        this.addListener('back-to-upload', 'click', () => {
-            this.navigateToStep(2);
-        });
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
 
-        this.addListener('back-to-filter', 'click', () => {
-            this.navigateToStep(3);
-        });
+            const number = /^(\d+\.?\d*|\.\d+)(e[-+]?\d+)?/i.exec(source.slice(i));
+            if (number) {
+                tokens.push({ type: 'number', value: parseFloat(number[0]), position: position });
+                i += number[0].length;
+                continue;
+            }
 
-        this.addListener('back-to-area', 'click', () => {
-            this.navigateToStep(4);
-        });
+            const word = /^[A-Za-z_][\w.]*/.exec(source.slice(i));
+            if (word) {
+                const operator = WORD_OPERATORS.get(word[0].toLowerCase());
+                tokens.push(operator
+                    ? { type: 'operator', value: operator, position: position }
+                    : { type: 'identifier', value: word[0], position: position });
+                i += word[0].length;
+                continue;
+            }
 
-        this.addListener('back-to-resolution', 'click', () => {
-            this.navigateToStep(5);
-        });
+            if (char === '"' || char === "'") {
+                let value = '';
+                i++;
+                while (i < source.length && source[i] !== char) {
+                    // Backslash escapes the next character, e.g. "say \"hi\""
+                    if (source[i] === '\\' && i + 1 < source.length) i++;
+                    value += source[i++];
+                }
+                if (i >= source.length) throw new Error(`Unclosed text starting at position ${position + 1}`);
+                tokens.push({ type: 'string', value: value, position: position });
+                i++;
+                continue;
+            }
 
-        // Next buttons
-        this.addListener('next-to-filter', 'click', () => {
-            this.navigateToStep(3);
-        });
+            if (char === '[') {
+                const end = source.indexOf(']', i);
+                if (end === -1) throw new Error(`Unclosed [column name] starting at position ${position + 1}`);
+                tokens.push({ type: 'column', value: source.slice(i + 1, end), position: position });
+                i = end + 1;
+                continue;
+            }
 
-        this.addListener('next-to-area', 'click', () => {
-            this.navigateToStep(4);
-        });
+            const symbol = SYMBOL_OPERATORS.has(source.slice(i, i + 2)) ? source.slice(i, i + 2) : char;
+            if (!SYMBOL_OPERATORS.has(symbol)) throw new Error(`Unexpected "${char}" at position ${position + 1}`);
+            tokens.push({ type: 'operator', value: SYMBOL_OPERATORS.get(symbol), position: position });
+            i += symbol.length;
+        }
 
-        this.addListener('next-to-resolution', 'click', () => {
-            this.navigateToStep(5);
-        });
+        tokens.push({ type: 'end', value: '', position: source.length });
+        return tokens;
+    }
 
-        this.addListener('next-to-download', 'click', () => {
-            this.navigateToStep(6);
-        });
+    static isEmpty(value) {
+        return value === null || value === undefined || (typeof value === 'number' && isNaN(value)) || String(value).trim() === '';
+    }
 
-        // Restart button
-        this.addListener('restart-process', 'click', () => {
-            this.restartApplication();
-        });
+    // Empty text, 0, NaN, null and "false" are false
+    static isTrue(value) {
+        if (typeof value === 'boolean') return value;
+        if (typeof value === 'number') return !isNaN(value) && value !== 0;
+        if (ColumnExpression.isEmpty(value)) return false;
+        return String(value).trim().toLowerCase() !== 'false';
     }
 
-    addListener(elementId, event, handler) {
-        const element = document.getElementById(elementId);
-        if (element) {
-            element.addEventListener(event, handler);
-        } else {
-            console.warn(`Element with ID '${elementId}' not found`);
+    // CSV values are text, so "12.5" counts as a number
+    static toNumber(value) {
+        if (typeof value === 'number') return value;
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        if (ColumnExpression.isEmpty(value)) return NaN;
+        return Number(String(value).trim());
+    }
+
+    static isNumeric(value) {
+        return typeof value !== 'string' || !isNaN(ColumnExpression.toNumber(value));
+    }
+
+    static add(a, b) {
+        if (ColumnExpression.isNumeric(a) && ColumnExpression.isNumeric(b)) {
+            return ColumnExpression.toNumber(a) + ColumnExpression.toNumber(b);
         }
+        return ColumnExpression.format(a) + ColumnExpression.format(b);
     }
 
-    navigateToStep(stepNumber) {
-        console.log('🔄 Navigating to step', stepNumber);
-        if (this.appState.canProceedToStep(stepNumber)) {
-            this.appState.goToStep(stepNumber);
-            this.updateButtonStates();
+    // Numbers are compared as numbers, anything else as text
+    static compare(operator, a, b) {
+        let x = a, y = b;
+        if (ColumnExpression.isNumeric(a) && ColumnExpression.isNumeric(b) && !ColumnExpression.isEmpty(a) && !ColumnExpression.isEmpty(b)) {
+            x = ColumnExpression.toNumber(a);
+            y = ColumnExpression.toNumber(b);
         } else {
-            this.showNavigationError(stepNumber);
+            x = ColumnExpression.format(a);
+            y = ColumnExpression.format(b);
+        }
+
+        switch (operator) {
+            case '==': return x === y;
+            case '!=': return x !== y;
+            case '<': return x < y;
+            case '<=': return x <= y;
+            case '>': return x > y;
+            default: return x >= y;
         }
     }
 
-    updateButtonStates() {
-        // Update all navigation buttons based on current state
-        this.updateButtonState('next-to-filter', this.appState.canProceedToStep(3));
-        this.updateButtonState('next-to-area', this.appState.canProceedToStep(4));
-        this.updateButtonState('next-to-resolution', this.appState.canProceedToStep(5));
-        this.updateButtonState('next-to-download', this.appState.canProceedToStep(6));
+    static toTimestamp(dateValue, timeValue) {
+        const date = ColumnExpression.format(dateValue);
+        return TimeParser.getTimestamp(date, ColumnExpression.isEmpty(timeValue) ? null : ColumnExpression.format(timeValue));
     }
 
-    updateButtonState(buttonId, enabled) {
-        const button = document.getElementById(buttonId);
-        if (button) {
-            button.disabled = !enabled; // If True, then disabled is false
-            if (enabled) {
-                button.classList.remove('button-disabled');
-                button.classList.add('button-enabled');
-            } else {
-                button.classList.remove('button-enabled');
-                button.classList.add('button-disabled');
-            }
-        }
+    static formatTimestamp(timestamp, length) {
+        return isNaN(timestamp) ? '' : new Date(timestamp).toISOString().slice(0, length).replace('T', ' ');
     }
 
-    showNavigationError(stepNumber) {
-        const errorMessages = {
-            3: 'Please upload a CSV file first',
-            4: 'Please review and filter your data first',
-            5: 'Please select an area first (draw rectangle or upload GeoJSON)',
-            6: 'Please wait for data processing to complete'
-        };
-        
-        const message = errorMessages[stepNumber] || 'Cannot proceed to this step';
-        this.showToast(message, 'error');
+    static getDatePart(dateValue, timeValue, getPart) {
+        const timestamp = ColumnExpression.toTimestamp(dateValue, timeValue);
+        return isNaN(timestamp) ? NaN : getPart(new Date(timestamp));
     }
 
-    restartApplication() {
-        console.log('🔄 Restarting application...');
-        
-        // Hide all steps first
-        for (let i = 1; i <= this.appState.totalSteps; i++) {
-            this.appState.hideStep(i);
-        }
-        
-        // Reset state
-        this.appState.reset();
-        
-        // Clear any file inputs
-        this.clearFileInputs();
-        
-        // Reset form inputs
-        this.resetFormInputs();
-        
-        // Go back to start
-        this.appState.goToStep(1);
-        this.updateButtonStates();
-        
-        this.showToast('Application restarted successfully', 'success');
+    // Values are stored as text like the rest of the table; NaN and Infinity become empty
+    static format(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number') return isFinite(value) ? String(parseFloat(value.toPrecision(12))) : '';
+        if (typeof value === 'boolean') return value ? 'true' : 'false';
+        return String(value);
     }
+}
 
-    clearFileInputs() {
-        const csvUpload = document.getElementById('csv-upload');
-        const geojsonUpload = document.getElementById('geojson-upload');
-        
-        if (csvUpload) csvUpload.value = '';
-        if (geojsonUpload) geojsonUpload.value = '';
+// Named filter trees saved in the browser (localStorage), and exported or imported as JSON files:
+//   { format: 'fire-hexbin-maker/filter-preset', version: 1, name, savedAt, filterTree }
+class FilterPresets {
+    static STORAGE_KEY = 'fireHexbinMaker.filterPresets';
+    static FILE_FORMAT = 'fire-hexbin-maker/filter-preset';
+    static FILTER_TYPES = ['categorical', 'text', 'numeric', 'date', 'datetime'];
+
+    // [{ name, savedAt, filterTree }]; nothing when storage is unavailable or unreadable
+    static load() {
+        try {
+            const presets = JSON.parse(localStorage.getItem(FilterPresets.STORAGE_KEY) || '[]');
+            return Array.isArray(presets) ? presets.filter(preset => FilterPresets.isValidNode(preset.filterTree)) : [];
+        } catch (error) {
+            console.warn('⚠️ Could not read saved filter presets:', error);
+            return [];
+        }
     }
 
-    resetFormInputs() {
-        const resolution = document.getElementById('resolution');
-        const binStep = document.getElementById('bin-step');
-        const binCount = document.getElementById('bin-count');
-        
-        if (resolution) resolution.value = '2';
-        if (binStep) binStep.value = '10';
-        if (binCount) binCount.value = '10';
+    // Throws when the browser refuses to store them (private mode, full storage)
+    static save(presets) {
+        localStorage.setItem(FilterPresets.STORAGE_KEY, JSON.stringify(presets));
     }
 
-    showToast(message, type = 'info') {
-        ToastManager.show(message, type);
+    static toJSON(preset) {
+        return JSON.stringify({
+            format: FilterPresets.FILE_FORMAT,
+            version: 1,
+            name: preset.name,
+            savedAt: preset.savedAt,
+            filterTree: preset.filterTree
+        }, null, 2);
     }
-}
 
-// ============================================================================
-// TOAST NOTIFICATION SYSTEM
-// ============================================================================
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('File is not valid JSON');
+        }
 
-class ToastManager {
-    static show(message, type = 'info', duration = 4000) {
-        const toast = document.createElement('div');
-        toast.className = `toast ${type}`;
-        
-        if (type === 'loading') {
-            // Loading toast with spinner
-            toast.innerHTML = `
-                <div class="toast-content">
-                    <div class="loading-spinner"></div>
-                    <span>${message}</span>
-                </div>
-            `;
-        } else {
-            toast.textContent = message;
+        if (!data || data.format !== FilterPresets.FILE_FORMAT || !data.filterTree) {
+            throw new Error('File is not a filter preset');
         }
-        
-        document.body.appendChild(toast);
-        
-        // Auto-remove after duration (except for loading toasts)
-        if (type !== 'loading') {
-            setTimeout(() => {
-                toast.classList.add('slide-out');
-                setTimeout(() => toast.remove(), 300);
-            }, duration);
+        if (!FilterPresets.isValidNode(data.filterTree)) {
+            throw new Error('The preset has incomplete or invalid filters');
         }
-        
-        console.log(`📢 Toast [${type}]: ${message}`);
-        
-        // Return the toast element for loading toasts
-        return toast;
+
+        return {
+            name: String(data.name || 'Imported preset'),
+            savedAt: data.savedAt || new Date().toISOString(),
+            filterTree: data.filterTree
+        };
     }
-    
-    // Method to update loading toast to success/error
-    static updateLoadingToast(loadingToast, message, type = 'success') {
-        if (loadingToast && loadingToast.parentNode) {
-            loadingToast.className = `toast ${type}`;
-            loadingToast.innerHTML = `
-                <div class="toast-content">
-                    <span>${message}</span>
-                </div>
-            `;
-            
-            // Auto-remove after showing result
-            setTimeout(() => {
-                loadingToast.classList.add('slide-out');
-                setTimeout(() => loadingToast.remove(), 300);
-            }, 3000);
+
+    static isValidNode(node) {
+        if (!node || typeof node !== 'object') return false;
+
+        if (node.kind === 'group') {
+            return ['and', 'or'].includes(node.operator) &&
+                Array.isArray(node.children) &&
+                node.children.every(child => FilterPresets.isValidNode(child));
         }
+
+        return node.kind === 'rule' &&
+            typeof node.column === 'string' &&
+            FilterPresets.isValidFilter(node.filter);
     }
-    
-    // Method to remove loading toast
-    static removeLoadingToast(loadingToast) {
-        if (loadingToast && loadingToast.parentNode) {
-            loadingToast.classList.add('slide-out');
-            setTimeout(() => loadingToast.remove(), 300);
+
+    // Checks the fields each filter type reads, so a broken or hand-edited file is turned
+    // away instead of breaking the filter step every time the preset is used
+    static isValidFilter(filter) {
+        if (!filter || typeof filter !== 'object' || !FilterPresets.FILTER_TYPES.includes(filter.type)) return false;
+
+        const isMissing = value => value === undefined || value === null || value === '';
+        const isTextList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+        const isDate = value => typeof value === 'string' && !isNaN(new Date(value).getTime());
+        const isDateTime = value => typeof value === 'string' && !isNaN(Date.parse(`${value}Z`));
+        const isTimeOfDay = value => typeof value === 'string' && !isNaN(TimeParser.parseTimeOfDay(value));
+        const relative = filter.relative;
+        const isValidRelative = isMissing(relative) || (
+            typeof relative === 'object' &&
+            Number.isFinite(relative.amount) && relative.amount > 0 &&
+            ['days', 'hours'].includes(relative.unit) &&
+            ['data', 'now'].includes(relative.anchor)
+        );
+
+        switch (filter.type) {
+            case 'categorical':
+                return isTextList(filter.exclude);
+            case 'text':
+                if (!Object.keys(TextMatcher.MODE_LABELS).includes(filter.match) || typeof filter.pattern !== 'string') return false;
+                if (filter.match === 'anyOf' && !isTextList(filter.values)) return false;
+                try {
+                    // Regular expressions have to compile
+                    TextMatcher.create(filter);
+                    return true;
+                } catch (error) {
+                    return false;
+                }
+            case 'numeric':
+                return [filter.min, filter.max].every(value => value === undefined || Number.isFinite(value));
+            case 'date':
+                return isValidRelative && [filter.dateFrom, filter.dateTo].every(value => isMissing(value) || isDate(value));
+            case 'datetime':
+                return isValidRelative &&
+                    (isMissing(filter.timeColumn) || typeof filter.timeColumn === 'string') &&
+                    [filter.from, filter.to].every(value => isMissing(value) || isDateTime(value)) &&
+                    [filter.timeOfDayFrom, filter.timeOfDayTo].every(value => isMissing(value) || isTimeOfDay(value)) &&
+                    (isMissing(filter.clock) || ['utc', 'solar'].includes(filter.clock));
         }
+        return false;
+    }
+}
+
+// Row order and visible window of the filter step's data table. Only the rows in
+// view are in the page, so the table stays fast with hundreds of thousands of rows.
+class TableView {
+    static ROW_HEIGHT = 37;       // Pixels, matches .preview-table tbody tr
+    static OVERSCAN = 10;         // Rows drawn above and below the visible ones
+    static MAX_HEIGHT = 10000000; // Browsers can't lay out much taller elements (Firefox stops near 17.9M px)
+
+    static collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+    // Rows with any value containing the text, ignoring case
+    static search(rows, columns, text) {
+        const needle = text.trim().toLowerCase();
+        if (!needle) return rows;
+
+        return rows.filter(row => columns.some(column => {
+            const value = row[column];
+            return value !== undefined && value !== null && String(value).toLowerCase().includes(needle);
+        }));
+    }
+
+    // A sorted copy; empty and unreadable values go last in both directions
+    static sort(rows, column, type, descending) {
+        const getKey = type === 'numeric'
+            ? value => (value === '' ? NaN : Number(value))
+            : type === 'date'
+                ? value => ColumnProfiler.parseDate(value)
+                : null;
+
+        // Keys are worked out once per row rather than once per comparison
+        const keys = rows.map(row => {
+            const value = row[column] === undefined || row[column] === null ? '' : String(row[column]).trim();
+            return getKey ? getKey(value) : value;
+        });
+        const isEmpty = getKey ? key => isNaN(key) : key => key === '';
+        const compare = getKey ? (a, b) => a - b : TableView.collator.compare;
+        const direction = descending ? -1 : 1;
+
+        const order = rows.map((row, index) => index);
+        order.sort((a, b) => {
+            const emptyA = isEmpty(keys[a]);
+            const emptyB = isEmpty(keys[b]);
+            if (emptyA || emptyB) return emptyA === emptyB ? a - b : (emptyA ? 1 : -1);
+            return direction * compare(keys[a], keys[b]) || a - b;
+        });
+        return order.map(index => rows[index]);
+    }
+
+    // Pixels of rows passed per pixel scrolled: 1, unless the table is taller than MAX_HEIGHT
+    static getScrollRatio(rowCount, viewportHeight) {
+        const fullHeight = rowCount * TableView.ROW_HEIGHT;
+        const height = Math.min(fullHeight, TableView.MAX_HEIGHT);
+        return height > viewportHeight ? (fullHeight - viewportHeight) / (height - viewportHeight) : 1;
+    }
+
+    // Rows first to last (exclusive) to draw, and the heights of the spacers around them
+    static getVisibleRange(rowCount, scrollTop, viewportHeight) {
+        const rowHeight = TableView.ROW_HEIGHT;
+        const height = Math.min(rowCount * rowHeight, TableView.MAX_HEIGHT);
+        const offset = Math.max(0, scrollTop) * TableView.getScrollRatio(rowCount, viewportHeight);
+
+        const first = Math.max(0, Math.floor(offset / rowHeight) - TableView.OVERSCAN);
+        const last = Math.min(rowCount, Math.ceil((offset + viewportHeight) / rowHeight) + TableView.OVERSCAN);
+        const rowsHeight = (last - first) * rowHeight;
+
+        // Place the drawn rows so the row at the offset lines up with the top of the view
+        const top = Math.max(0, Math.min(scrollTop - (offset - first * rowHeight), height - rowsHeight));
+        return { first, last, top, bottom: Math.max(0, height - top - rowsHeight) };
     }
 }
 
@@ -3432,6 +8489,27 @@ class ToastManager {
 // UTILITY FUNCTIONS
 // ============================================================================
 
+// Text that is safe to put into innerHTML
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Triggers a browser download for a Blob
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
 
 
 // ============================================================================
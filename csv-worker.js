@@ -0,0 +1,216 @@
+// Fire Hexbin Maker - CSV parsing worker
+// Streams a CSV file in chunks so multi-million-row files neither freeze the page
+// nor have to be held in memory as one big string.
+//
+// Messages from the page:
+//   { type: 'parse', file, options } start reading the file; options are
+//                                   { encoding, delimiter, decimalComma }
+//   { type: 'columns', columns }    columns to keep, sent in reply to 'header'
+//
+// Messages to the page:
+//   { type: 'header', columns, sampleRows }
+//   { type: 'rows', rows }          arrays of values, in the order of the kept columns
+//   { type: 'progress', bytesRead, totalBytes, rowCount }
+//   { type: 'done', rowCount }
+//   { type: 'error', message }
+
+const QUOTE = 34; // "
+const LF = 10;    // \n
+const CR = 13;    // \r
+
+// "48,1372" or "1.234,5" – numbers written with a decimal comma
+const DECIMAL_COMMA = /^\s*[-+]?(\d{1,3}(\.\d{3})+|\d+),\d+\s*$/;
+
+let resolveColumns = null;
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'parse':
+            parseFile(message.file, message.options || {}).catch(error => {
+                self.postMessage({ type: 'error', message: error.message });
+            });
+            break;
+        case 'columns':
+            if (resolveColumns) {
+                resolveColumns(message.columns);
+                resolveColumns = null;
+            }
+            break;
+    }
+};
+
+async function parseFile(file, options) {
+    const reader = file.stream().getReader();
+    // TextDecoder drops a leading byte order mark
+    const decoder = new TextDecoder(options.encoding || 'utf-8');
+    const delimiter = options.delimiter || ',';
+    const decimalComma = Boolean(options.decimalComma);
+
+    let buffer = '';
+    let bytesRead = 0;
+    let rowCount = 0;
+    let header = null;
+    let keepIndexes = null;
+
+    const handleRecords = async (records) => {
+        if (!header) {
+            if (records.length === 0) return;
+            header = records.shift();
+
+            // Wait for the page to tell us which columns are worth keeping
+            const columnsPromise = new Promise(resolve => { resolveColumns = resolve; });
+            self.postMessage({ type: 'header', columns: header, sampleRows: records.slice(0, 5) });
+            const columns = await columnsPromise;
+            keepIndexes = columns.map(col => header.indexOf(col));
+        }
+
+        const rows = [];
+        for (const record of records) {
+            // Skip blank lines
+            if (record.length === 1 && record[0] === '') continue;
+            const values = keepIndexes.map(index => record[index] !== undefined ? record[index] : '');
+            rows.push(decimalComma ? values.map(normalizeDecimalComma) : values);
+        }
+
+        if (rows.length > 0) {
+            rowCount += rows.length;
+            self.postMessage({ type: 'rows', rows: rows });
+        }
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        bytesRead += value.byteLength;
+        buffer += decoder.decode(value, { stream: true });
+
+        const { records, rest } = parseRecords(buffer, delimiter, false);
+        buffer = rest;
+        await handleRecords(records);
+
+        self.postMessage({ type: 'progress', bytesRead: bytesRead, totalBytes: file.size, rowCount: rowCount });
+    }
+
+    buffer += decoder.decode();
+    await handleRecords(parseRecords(buffer, delimiter, true).records);
+
+    if (!header) {
+        throw new Error('CSV file is empty');
+    }
+
+    self.postMessage({ type: 'done', rowCount: rowCount });
+}
+
+// "1.234,5" -> "1234.5"; other values are returned unchanged
+function normalizeDecimalComma(value) {
+    if (!DECIMAL_COMMA.test(value)) return value;
+    return value.trim().replace(/\./g, '').replace(',', '.');
+}
+
+// Splits text into records of fields (RFC 4180 quoting). Unless this is the final
+// chunk, an incomplete record at the end is returned as `rest` to be parsed again
+// once the next chunk has been appended.
+function parseRecords(text, delimiter, isFinal) {
+    const DELIMITER = delimiter.charCodeAt(0);
+    const records = [];
+    const length = text.length;
+
+    let recordStart = 0;
+    let record = [];
+    let i = 0;
+
+    parsing: while (i < length) {
+        let value;
+
+        if (text.charCodeAt(i) === QUOTE) {
+            // Quoted field – may contain delimiters, newlines and "" escapes
+            let parts = '';
+            let start = i + 1;
+
+            while (true) {
+                const quote = text.indexOf('"', start);
+
+                if (quote === -1) {
+                    if (!isFinal) break parsing;
+                    value = parts + text.slice(start);
+                    i = length;
+                    break;
+                }
+
+                // Can't tell an escaped quote from a closing one without the next character
+                if (quote + 1 >= length && !isFinal) break parsing;
+
+                if (text.charCodeAt(quote + 1) === QUOTE) {
+                    parts += text.slice(start, quote + 1);
+                    start = quote + 2;
+                    continue;
+                }
+
+                value = parts + text.slice(start, quote);
+                i = quote + 1;
+                break;
+            }
+
+            // Ignore stray characters between the closing quote and the delimiter
+            while (i < length) {
+                const code = text.charCodeAt(i);
+                if (code === DELIMITER || code === LF || code === CR) break;
+                i++;
+            }
+            if (i >= length && !isFinal) break parsing;
+        } else {
+            let end = i;
+            while (end < length) {
+                const code = text.charCodeAt(end);
+                if (code === DELIMITER || code === LF || code === CR) break;
+                end++;
+            }
+            if (end >= length && !isFinal) break parsing;
+
+            value = text.slice(i, end);
+            i = end;
+        }
+
+        record.push(value);
+
+        if (i >= length) {
+            break;
+        }
+
+        const code = text.charCodeAt(i);
+
+        if (code === DELIMITER) {
+            i++;
+            if (i >= length) {
+                if (!isFinal) break parsing;
+                // Trailing delimiter means a last, empty field
+                record.push('');
+            }
+            continue;
+        }
+
+        // End of line (\n, \r\n or \r)
+        if (code === CR) {
+            if (i + 1 >= length && !isFinal) break parsing;
+            i += text.charCodeAt(i + 1) === LF ? 2 : 1;
+        } else {
+            i++;
+        }
+
+        records.push(record);
+        record = [];
+        recordStart = i;
+    }
+
+    if (isFinal) {
+        if (record.length > 0) {
+            records.push(record);
+        }
+        return { records: records, rest: '' };
+    }
+
+    return { records: records, rest: text.slice(recordStart) };
+}
@@ -0,0 +1,102 @@
+// Fire Hexbin Maker - local stand-in for the NASA FIRMS area API
+// Serves the bundled sample CSV in the same URL scheme as the real API, so the
+// "Load from FIRMS" form can be tried without a map key or network access:
+//
+//   node scripts/firms-mock-server.js [port]
+//
+// then use http://localhost:8765 as the API server in the upload step.
+//
+//   GET /api/area/csv/{MAP_KEY}/{SOURCE}/{west,south,east,north|world}/{DAY_RANGE}[/{YYYY-MM-DD}]
+//
+// The rows are filtered by area and day range. A map key of "invalid" answers
+// like FIRMS does for a wrong key.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = parseInt(process.argv[2] || process.env.PORT || '8765');
+const SAMPLE_FILE = path.join(__dirname, '..', 'csv-samples', 'Europe_Fires_VIIRS _7d_20250701.csv');
+const SOURCES = [
+    'LANDSAT_NRT', 'MODIS_NRT', 'MODIS_SP',
+    'VIIRS_NOAA20_NRT', 'VIIRS_NOAA20_SP', 'VIIRS_NOAA21_NRT', 'VIIRS_SNPP_NRT', 'VIIRS_SNPP_SP'
+];
+
+const sample = readSample(SAMPLE_FILE);
+
+function readSample(file) {
+    const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(line => line !== '');
+    const header = lines.shift();
+    const columns = header.split(',');
+    return {
+        header: header,
+        rows: lines.map(line => {
+            const values = line.split(',');
+            return {
+                line: line,
+                lat: parseFloat(values[columns.indexOf('latitude')]),
+                lon: parseFloat(values[columns.indexOf('longitude')]),
+                date: values[columns.indexOf('acq_date')]
+            };
+        })
+    };
+}
+
+function parseArea(area) {
+    if (area === 'world') return { west: -180, south: -90, east: 180, north: 90 };
+
+    const [west, south, east, north] = area.split(',').map(Number);
+    if ([west, south, east, north].some(isNaN) || south >= north) return null;
+    return { west, south, east, north };
+}
+
+function addDays(date, days) {
+    const result = new Date(`${date}T00:00:00Z`);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().slice(0, 10);
+}
+
+function handleAreaRequest(parts) {
+    const [mapKey, source, area, dayRange, date] = parts;
+
+    if (mapKey === 'invalid') return { status: 400, body: 'Invalid MAP_KEY.' };
+    if (!SOURCES.includes(source)) return { status: 400, body: `Invalid source: ${source}` };
+
+    const bounds = area ? parseArea(area) : null;
+    if (!bounds) return { status: 400, body: 'Invalid area coordinates.' };
+
+    const days = parseInt(dayRange);
+    if (!(days >= 1 && days <= 5)) return { status: 400, body: 'Invalid day range. Expects [1..5].' };
+
+    // Without a date the range ends at the newest day in the sample, like "today" for the real API
+    const lastDay = date || sample.rows.reduce((latest, row) => row.date > latest ? row.date : latest, '');
+    const firstDay = addDays(lastDay, -(days - 1));
+
+    const rows = sample.rows.filter(row =>
+        row.date >= firstDay && row.date <= lastDay &&
+        row.lat >= bounds.south && row.lat <= bounds.north &&
+        (bounds.west <= bounds.east
+            ? row.lon >= bounds.west && row.lon <= bounds.east
+            : row.lon >= bounds.west || row.lon <= bounds.east) // Area across the antimeridian
+    );
+
+    console.log(`🔥 ${source} ${area} ${firstDay}..${lastDay}: ${rows.length} rows`);
+    return { status: 200, body: [sample.header, ...rows.map(row => row.line)].join('\n') + '\n', type: 'text/csv' };
+}
+
+const server = http.createServer((request, response) => {
+    // The app is usually served from another port (or file://)
+    response.setHeader('Access-Control-Allow-Origin', '*');
+
+    const match = request.url.split('?')[0].match(/^\/api\/area\/csv\/(.+)$/);
+    const result = match
+        ? handleAreaRequest(match[1].split('/').map(decodeURIComponent))
+        : { status: 404, body: 'Not found' };
+
+    response.writeHead(result.status, { 'Content-Type': result.type || 'text/plain' });
+    response.end(result.body);
+});
+
+server.listen(PORT, () => {
+    console.log(`🛰️ FIRMS mock server on http://localhost:${PORT} (${sample.rows.length} sample rows)`);
+});